@@ -0,0 +1,147 @@
+const MemoryCache = require('./memory');
+const RedisCache = require('./redis');
+const { createLogger } = require('../logger');
+
+const log = createLogger('cache');
+
+// Default time to live per kind of data, in seconds. Override with
+// CACHE_TTL_<KIND> env vars, e.g. CACHE_TTL_INFO=300.
+const DEFAULT_TTLS = {
+  anilist: 7 * 24 * 60 * 60,  // AniList metadata barely changes
+  kitsu: 7 * 24 * 60 * 60,    // Kitsu's ID mappings, which barely change either
+  mangaupdates: 24 * 60 * 60, // MangaUpdates series, which carry the latest chapter
+  search: 6 * 60 * 60,        // Provider search results
+  info: 15 * 60,              // Manga info, which carries the chapter list
+  pages: 24 * 60 * 60         // A chapter's page list; providers whose image URLs expire cap it
+};
+
+/**
+ * Read-through cache in front of AniList and provider calls
+ */
+class Cache {
+  /**
+   * @param {Object} backend - Object with async get(key), set(key, value, ttlMs) and delete(key)
+   * @param {Object} ttls - Seconds to live per kind
+   */
+  constructor(backend, ttls = DEFAULT_TTLS) {
+    this.backend = backend;
+    this.ttls = ttls;
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, errors: 0 };
+    this.kindStats = {};
+  }
+
+  /**
+   * Count a lookup in the totals and in its kind's stats
+   * @param {string} kind - Kind of data
+   * @param {string} result - hits or misses
+   */
+  count(kind, result) {
+    if (!this.kindStats[kind]) this.kindStats[kind] = { hits: 0, misses: 0 };
+    this.kindStats[kind][result]++;
+    this.stats[result]++;
+  }
+
+  /**
+   * Return the cached value for a key, or load, cache and return it.
+   * Concurrent loads of the same key share one upstream call.
+   * @param {string} kind - Kind of data (anilist, kitsu, mangaupdates, search, info, pages), selects the TTL
+   * @param {string} key - Key within that kind
+   * @param {Function} loader - Async function producing the value on a miss
+   * @param {number} maxTtl - Seconds the value may live at most, whatever the kind's TTL
+   * @returns {Promise<*>} - Cached or freshly loaded value
+   */
+  async wrap(kind, key, loader, maxTtl = Infinity) {
+    if (!this.backend) return loader();
+
+    const cacheKey = `${kind}:${key}`;
+
+    try {
+      const cached = await this.backend.get(cacheKey);
+      if (cached !== undefined) {
+        this.count(kind, 'hits');
+        return cached;
+      }
+    } catch (error) {
+      // A broken backend only costs us the cache, never the request
+      this.stats.errors++;
+      log.warn('Cache read failed', { key: cacheKey, error });
+    }
+
+    this.count(kind, 'misses');
+
+    if (this.inFlight.has(cacheKey)) {
+      return this.inFlight.get(cacheKey);
+    }
+
+    const load = (async () => {
+      const value = await loader();
+
+      // Empty results usually mean a scraper hiccup; don't remember them
+      if (!isEmpty(value)) {
+        const ttlMs = Math.min(this.ttls[kind] || 60, maxTtl) * 1000;
+        this.backend.set(cacheKey, value, ttlMs).catch(error => {
+          this.stats.errors++;
+          log.warn('Cache write failed', { key: cacheKey, error });
+        });
+      }
+
+      return value;
+    })();
+
+    this.inFlight.set(cacheKey, load);
+    try {
+      return await load;
+    } finally {
+      this.inFlight.delete(cacheKey);
+    }
+  }
+}
+
+/**
+ * Whether a value is not worth caching
+ * @param {*} value - Loaded value
+ * @returns {boolean} - True for null, empty arrays and empty search results
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (Array.isArray(value.results)) return value.results.length === 0;
+  return false;
+}
+
+/**
+ * Build the cache configured through env vars:
+ *  - CACHE_BACKEND: memory (default), redis or none
+ *  - CACHE_MAX_ENTRIES: LRU size for the memory backend (default 1000)
+ *  - REDIS_URL: connection URL for the redis backend
+ *  - CACHE_TTL_ANILIST / _KITSU / _MANGAUPDATES / _SEARCH / _INFO / _PAGES: TTLs in seconds
+ * @returns {Cache} - Configured cache
+ */
+function createCache() {
+  const ttls = { ...DEFAULT_TTLS };
+  for (const kind of Object.keys(ttls)) {
+    const override = parseInt(process.env[`CACHE_TTL_${kind.toUpperCase()}`]);
+    if (!isNaN(override)) ttls[kind] = override;
+  }
+
+  let backend;
+  switch ((process.env.CACHE_BACKEND || 'memory').toLowerCase()) {
+    case 'none':
+      backend = null;
+      break;
+    case 'redis':
+      backend = new RedisCache(process.env.REDIS_URL);
+      break;
+    default:
+      backend = new MemoryCache(parseInt(process.env.CACHE_MAX_ENTRIES) || 1000);
+  }
+
+  return new Cache(backend, ttls);
+}
+
+module.exports = {
+  Cache,
+  createCache,
+  cache: createCache()
+};
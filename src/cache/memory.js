@@ -0,0 +1,62 @@
+/**
+ * In-memory LRU cache backend with per-entry expiry. Values are copied in and
+ * out, like the Redis backend's JSON round trip, so a caller changing a result
+ * can't change what the next caller gets.
+ */
+class MemoryCache {
+  /**
+   * @param {number} maxEntries - Entries kept before the least recently used is evicted
+   */
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    // Map keeps insertion order, so the first key is always the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - The value, or undefined on a miss
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryCache;
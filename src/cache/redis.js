@@ -0,0 +1,189 @@
+const net = require('net');
+
+/**
+ * Cache backend speaking the Redis protocol (RESP) over a plain TCP socket, so
+ * Redis itself or any compatible stand-in (KeyDB, Dragonfly, a local mock) works
+ * without extra dependencies.
+ */
+class RedisCache {
+  /**
+   * @param {string} url - redis://[:password@]host[:port][/db]
+   * @param {Object} options
+   * @param {string} options.prefix - Prefix for every key
+   * @param {number} options.timeout - Milliseconds before a command is abandoned
+   */
+  constructor(url = process.env.REDIS_URL || 'redis://127.0.0.1:6379', options = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = parseInt(parsed.pathname.replace('/', '')) || 0;
+    this.prefix = options.prefix || 'manga-mapper:';
+    this.timeout = options.timeout || 1000;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * Open the connection on first use, authenticating and selecting the database
+   * @returns {net.Socket} - The connected socket
+   */
+  connect() {
+    if (this.socket) return this.socket;
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this.onData(chunk));
+    // Ignore events from a socket that was already replaced
+    socket.on('error', error => this.socket === socket && this.reset(error));
+    socket.on('close', () => this.socket === socket && this.reset(new Error('Redis connection closed')));
+    this.socket = socket;
+
+    // Queued ahead of the caller's command; RESP replies arrive in order
+    if (this.password) this.send(['AUTH', this.password]).catch(() => {});
+    if (this.db) this.send(['SELECT', String(this.db)]).catch(() => {});
+
+    return socket;
+  }
+
+  /**
+   * Drop the connection and fail every command still waiting for a reply
+   * @param {Error} error - Reason passed to the waiting commands
+   */
+  reset(error) {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    for (const { reject, timer } of pending) {
+      clearTimeout(timer);
+      reject(error);
+    }
+  }
+
+  /**
+   * Send one command and wait for its reply
+   * @param {string[]} args - Command and arguments
+   * @returns {Promise<*>} - Parsed reply
+   */
+  send(args) {
+    const socket = this.socket || this.connect();
+
+    return new Promise((resolve, reject) => {
+      // A hung server must not stall requests; a reply out of step is unusable, so reconnect
+      const timer = setTimeout(() => this.reset(new Error('Redis command timed out')), this.timeout);
+      this.pending.push({ resolve, reject, timer });
+
+      const payload = [`*${args.length}\r\n`];
+      for (const arg of args) {
+        payload.push(`$${Buffer.byteLength(arg)}\r\n${arg}\r\n`);
+      }
+      socket.write(payload.join(''));
+    });
+  }
+
+  /**
+   * Parse as many complete replies as have arrived
+   * @param {Buffer} chunk - Data from the socket
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let parsed;
+    while (this.pending.length > 0 && (parsed = parseReply(this.buffer, 0))) {
+      this.buffer = this.buffer.subarray(parsed.offset);
+
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+      if (parsed.value instanceof Error) {
+        reject(parsed.value);
+      } else {
+        resolve(parsed.value);
+      }
+    }
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - The value, or undefined on a miss
+   */
+  async get(key) {
+    const reply = await this.send(['GET', this.prefix + key]);
+    return reply === null ? undefined : JSON.parse(reply);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    await this.send(['SET', this.prefix + key, JSON.stringify(value), 'PX', String(Math.max(1, Math.round(ttlMs)))]);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.send(['DEL', this.prefix + key]);
+  }
+}
+
+/**
+ * Parse one RESP reply
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Where the reply starts
+ * @returns {Object|null} - { value, offset } past the reply, or null if incomplete
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(`Redis error: ${line}`), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      return { value: new Error(`Unexpected Redis reply type: ${type}`), offset: next };
+  }
+}
+
+module.exports = RedisCache;
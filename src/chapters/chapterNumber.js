@@ -0,0 +1,130 @@
+// Chapter label parser shared by every provider. Scanlation sites write the same
+// thing many ways ("Vol.3 Ch.12.5 - Extra", "Season 2 Episode 4", "Chapter 100
+// (Part 2)", "第12話", "#45"), so the volume, chapter, range, part and special
+// label are pulled out here once instead of with per-provider regexes.
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// Volume, or the season webtoons use in its place
+const VOLUME_PATTERN = /\b(?:vol(?:ume)?|tome)\.?\s*(\d+(?:\.\d+)?)|第\s*(\d+)\s*巻/i;
+const SEASON_PATTERN = /\b(?:season|s)\s*\.?\s*(\d+)(?![\d.])/i;
+
+// Chapter keyword followed by a number and an optional range end
+const CHAPTER_PATTERN = new RegExp(
+  `\\b(?:chapters?|chap|ch|episodes?|ep)\\.?\\s*#?\\s*${NUMBER}` +
+  `(?:\\s*(?:-|–|~|to)\\s*(?:(?:chapter|chap|ch|episode|ep)\\.?\\s*)?${NUMBER}(?![\\d.]*[a-z]))?`,
+  'i'
+);
+const JAPANESE_CHAPTER_PATTERN = /第\s*(\d+(?:\.\d+)?)\s*[話回章]/;
+
+// Compact file-style labels like "v01 c012.5"
+const COMPACT_PATTERN = /\bv(\d+)[\s._-]*c(\d+(?:\.\d+)?)\b/i;
+
+// A label that starts with the number: "12", "#12", "12 - The Fight"
+const LEADING_NUMBER_PATTERN = new RegExp(`^#?\\s*${NUMBER}(?![\\d.]*[a-z])`, 'i');
+
+const PART_PATTERN = /\b(?:part|pt)\.?\s*(\d+)\b/i;
+
+// Specials, mapped to a canonical label
+const SPECIAL_PATTERN = /\b(one[\s-]?shot|extra|special|side[\s-]?story|omake|bonus|prologue|epilogue|afterword|interlude|announcement|notice|hiatus)\b/i;
+
+// The widest span still treated as a range; "Chapter 5 - 40 Thieves" is a title, not chapters 5-40
+const MAX_RANGE = 20;
+
+/**
+ * Parse a chapter label
+ * @param {string|number} label - Chapter title or number, e.g. "Vol.3 Ch.12.5 - Extra"
+ * @returns {Object} - { volume, chapter, chapterEnd, part, special }, null where unknown
+ */
+function parseChapterLabel(label) {
+  const result = { volume: null, chapter: null, chapterEnd: null, part: null, special: null };
+
+  if (typeof label === 'number') {
+    if (!isNaN(label)) result.chapter = label;
+    return result;
+  }
+  if (!label || typeof label !== 'string') return result;
+
+  // Full-width digits and punctuation, underscores from slugs
+  const text = label.normalize('NFKC').replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const compact = text.match(COMPACT_PATTERN);
+  if (compact) {
+    result.volume = parseFloat(compact[1]);
+    result.chapter = parseFloat(compact[2]);
+  }
+
+  const volume = text.match(VOLUME_PATTERN) || text.match(SEASON_PATTERN);
+  if (volume && result.volume === null) {
+    result.volume = parseFloat(volume[1] || volume[2]);
+  }
+
+  const chapter = text.match(CHAPTER_PATTERN);
+  const japanese = text.match(JAPANESE_CHAPTER_PATTERN);
+  if (result.chapter !== null) {
+    // Already set by the compact form
+  } else if (chapter) {
+    result.chapter = parseFloat(chapter[1]);
+
+    const end = chapter[2] ? parseFloat(chapter[2]) : null;
+    if (end !== null && end > result.chapter && end - result.chapter <= MAX_RANGE) {
+      result.chapterEnd = end;
+    }
+  } else if (japanese) {
+    result.chapter = parseFloat(japanese[1]);
+  } else {
+    // Without a keyword, only trust a number the label starts with, once volume
+    // and season markers are out of the way
+    const rest = text.replace(VOLUME_PATTERN, '').replace(SEASON_PATTERN, '').replace(/^[\s:.,-]+/, '');
+    const leading = rest.match(LEADING_NUMBER_PATTERN);
+    if (leading) result.chapter = parseFloat(leading[1]);
+  }
+
+  const part = text.match(PART_PATTERN);
+  if (part) result.part = parseInt(part[1]);
+
+  const special = text.match(SPECIAL_PATTERN);
+  if (special) {
+    result.special = special[1].toLowerCase()
+      .replace(/^one[\s-]?shot$/, 'oneshot')
+      .replace(/^side[\s-]?story$/, 'side story');
+
+    // A prologue sits before chapter 1
+    if (result.special === 'prologue' && result.chapter === null) result.chapter = 0;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a chapter slug or ID, where a hyphen may stand for the decimal point:
+ * "chapter-12-5", "9605874-chapter-345", "7707927-volume-19-chapter-166", "ch-227"
+ * @param {string} slug - Chapter ID or URL path
+ * @returns {Object} - { volume, chapter }, null where unknown
+ */
+function parseChapterSlug(slug) {
+  const last = String(slug || '').split('/').filter(Boolean).pop() || '';
+
+  const chapter = last.match(/(?:chapter|chap|ch|episode|ep)[-_.]?(\d+)(?:[-_.](\d+))?(?![\d])/i);
+  const volume = last.match(/(?:volume|vol)[-_.]?(\d+)/i);
+
+  return {
+    volume: volume ? parseInt(volume[1]) : null,
+    chapter: chapter ? parseFloat(chapter[2] ? `${chapter[1]}.${chapter[2]}` : chapter[1]) : null
+  };
+}
+
+/**
+ * Chapter number of a label, for callers that only need the number
+ * @param {string|number} label - Chapter label or number
+ * @returns {number|null} - Chapter number or null
+ */
+function chapterNumberFrom(label) {
+  return parseChapterLabel(label).chapter;
+}
+
+module.exports = {
+  parseChapterLabel,
+  parseChapterSlug,
+  chapterNumberFrom
+};
@@ -0,0 +1,137 @@
+// Merged chapter index: every provider's normalized chapter list folded into one
+// list ordered by chapter number, with the numbers nobody carries and the
+// provider that is furthest ahead. Chapters a provider only generated (see
+// normalize.js) are counted per provider but never fill an entry or a gap.
+
+/**
+ * Key of a chapter in the index; parts of one chapter stay separate entries
+ * @param {number} number - Chapter number
+ * @param {number|null} part - Part number
+ * @returns {string} - Index key
+ */
+function chapterKey(number, part) {
+  return part ? `${number}#${part}` : String(number);
+}
+
+/**
+ * Merge provider chapter lists into one index
+ * @param {Object} providers - Mapper.getChaptersFromAllProviders().providers:
+ *   { [providerId]: { status, manga: { chapters } } }
+ * @returns {Object} - { chapters, gaps, latest, providers, unnumbered }
+ */
+function buildChapterIndex(providers) {
+  const entries = new Map();
+  const unnumbered = [];
+  const summary = {};
+
+  for (const [providerId, result] of Object.entries(providers)) {
+    if (result.status !== 'ok') {
+      summary[providerId] = { status: result.status, count: 0, generated: 0, latest: null };
+      continue;
+    }
+
+    const chapters = (result.manga && result.manga.chapters) || [];
+    let latest = null;
+    let count = 0;
+    let generated = 0;
+
+    for (const chapter of chapters) {
+      if (chapter.generated) {
+        generated++;
+        continue;
+      }
+
+      if (chapter.number === null || chapter.number === undefined) {
+        unnumbered.push({ provider: providerId, id: chapter.id, title: chapter.title, special: chapter.special });
+        continue;
+      }
+
+      // A range like "Chapter 10-12" counts for every whole number it spans
+      const numbers = [chapter.number];
+      if (chapter.numberEnd) {
+        for (let number = Math.floor(chapter.number) + 1; number <= chapter.numberEnd; number++) {
+          numbers.push(number);
+        }
+      }
+
+      for (const number of numbers) {
+        const key = chapterKey(number, chapter.part);
+        if (!entries.has(key)) {
+          entries.set(key, { number, part: chapter.part || null, title: null, providers: {} });
+        }
+
+        const entry = entries.get(key);
+        // Several uploads of one chapter on the same site: the first listed wins
+        if (entry.providers[providerId]) continue;
+
+        entry.providers[providerId] = { id: chapter.id, publishedAt: chapter.publishedAt, url: chapter.url };
+        if (!entry.title && chapter.title && number === chapter.number) entry.title = chapter.title;
+        count++;
+      }
+
+      const last = chapter.numberEnd || chapter.number;
+      if (latest === null || last > latest) latest = last;
+    }
+
+    summary[providerId] = { status: 'ok', count, generated, latest };
+  }
+
+  const chapters = Array.from(entries.values())
+    .sort((a, b) => a.number - b.number || (a.part || 0) - (b.part || 0));
+
+  // Whole numbers between the first and last chapter that no provider has
+  const gaps = [];
+  const whole = new Set(chapters.map(entry => Math.floor(entry.number)));
+  if (chapters.length > 0) {
+    const first = Math.max(1, Math.floor(chapters[0].number));
+    const last = Math.floor(chapters[chapters.length - 1].number);
+    for (let number = first; number <= last; number++) {
+      if (!whole.has(number)) gaps.push(number);
+    }
+  }
+
+  // Furthest ahead, and how far behind everyone else is
+  const latestNumbers = Object.values(summary).map(entry => entry.latest).filter(number => number !== null);
+  const latest = latestNumbers.length > 0 ? Math.max(...latestNumbers) : null;
+  for (const entry of Object.values(summary)) {
+    entry.behind = entry.latest !== null && latest !== null ? +(latest - entry.latest).toFixed(2) : null;
+  }
+
+  return {
+    chapters,
+    gaps,
+    latest: {
+      number: latest,
+      providers: Object.keys(summary).filter(id => latest !== null && summary[id].latest === latest)
+    },
+    providers: summary,
+    unnumbered
+  };
+}
+
+/**
+ * Find one chapter in a provider's normalized chapter list. An exact number
+ * wins over a range that spans it; several uploads of the same chapter resolve
+ * to the first listed, as in the index.
+ * @param {Array} chapters - Normalized chapters
+ * @param {number} number - Chapter number, e.g. 12 or 12.5
+ * @param {number|null} part - Part number; without one, the unsplit chapter or its first part
+ * @returns {Object|null} - Chapter, or null if the provider doesn't have it
+ */
+function findChapter(chapters, number, part = null) {
+  const samePart = chapter => part ? chapter.part === part : !chapter.part || chapter.part === 1;
+
+  const exact = chapters.filter(chapter => chapter.number === number);
+  const match = exact.find(chapter => samePart(chapter) && !chapter.part) || exact.find(samePart);
+  if (match) return match;
+
+  // "Chapter 10-12" carries chapter 11 too
+  return chapters.find(chapter =>
+    chapter.numberEnd && chapter.number < number && number <= chapter.numberEnd && samePart(chapter)
+  ) || null;
+}
+
+module.exports = {
+  buildChapterIndex,
+  findChapter
+};
@@ -0,0 +1,173 @@
+// One chapter schema for every provider. Providers scrape whatever their site
+// shows; normalizeChapters turns it into:
+//
+//   {
+//     id,          // string, accepted as-is by /:provider/pages/:chapterId
+//     number,      // number | null, e.g. 12 or 12.5
+//     numberEnd,   // number | null, last chapter of a range like "Chapter 10-12"
+//     volume,      // number | null
+//     part,        // number | null, for "Chapter 100 (Part 2)"
+//     special,     // string | null, e.g. "extra", "oneshot", "prologue"
+//     title,       // string | null, as shown by the provider
+//     publishedAt, // ISO-8601 string | null, parsed from "2 days ago", "Jan 05,2024", ...
+//     language,    // ISO 639-1 code, e.g. "en"
+//     scanlator,   // string | null
+//     url,         // string | null, the chapter on the provider's site
+//     generated    // boolean, true for entries the provider made up from a chapter
+//                  // count or a URL pattern instead of finding them on its site
+//   }
+
+const { parseChapterLabel, parseChapterSlug, chapterNumberFrom } = require('./chapterNumber');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Milliseconds per unit of a relative date; months and years are handled on the calendar
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  s: 'second', sec: 'second', second: 'second',
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour',
+  d: 'day', day: 'day',
+  w: 'week', wk: 'week', week: 'week',
+  mo: 'month', mon: 'month', month: 'month',
+  y: 'year', yr: 'year', year: 'year'
+};
+
+/**
+ * Parse the date strings providers display into an ISO-8601 timestamp
+ * @param {string|number|Date} value - e.g. "2 days ago", "an hour ago", "yesterday",
+ *   "Jan 05,2024", "Jan-05-2024 12:30", "2024-01-05T10:00:00Z"
+ * @param {Date} now - Reference time for relative dates
+ * @returns {string|null} - ISO-8601 string, or null for placeholders like "Unknown"
+ */
+function parseDate(value, now = new Date()) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+  if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+  if (!value || typeof value !== 'string') return null;
+
+  const text = value.trim().toLowerCase();
+
+  if (/^(?:just now|now|moments? ago|a few seconds ago)$/.test(text)) return now.toISOString();
+  if (text === 'today') return now.toISOString();
+  if (text === 'yesterday') return new Date(now.getTime() - UNIT_MS.day).toISOString();
+
+  // "2 days ago", "an hour ago", "5 mins ago", "1y ago"
+  const relative = text.match(/^(\d+|an?|one)\s*([a-z]+?)s?\s+ago$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+    const unit = UNIT_ALIASES[relative[2]];
+    if (!unit) return null;
+
+    const date = new Date(now.getTime());
+    if (unit === 'month') {
+      date.setUTCMonth(date.getUTCMonth() - amount);
+    } else if (unit === 'year') {
+      date.setUTCFullYear(date.getUTCFullYear() - amount);
+    } else {
+      date.setTime(date.getTime() - amount * UNIT_MS[unit]);
+    }
+    return date.toISOString();
+  }
+
+  // "Jan 05,2024", "Jan-05-2024 12:30", "January 5, 2024", "Jan 05,24"
+  const monthFirst = text.match(/^([a-z]{3})[a-z]*\.?[-\s]+(\d{1,2})(?:st|nd|rd|th)?[-,\s]+(\d{4}|\d{2})(?!\d)(?:[\s,]+(\d{1,2}):(\d{2}))?/);
+  if (monthFirst && MONTHS.includes(monthFirst[1])) {
+    return calendarDate(monthFirst[3], MONTHS.indexOf(monthFirst[1]), monthFirst[2], monthFirst[4], monthFirst[5]);
+  }
+
+  // "05 Jan 2024"
+  const dayFirst = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[-\s]+([a-z]{3})[a-z]*\.?[-,\s]+(\d{4})/);
+  if (dayFirst && MONTHS.includes(dayFirst[2])) {
+    return calendarDate(dayFirst[3], MONTHS.indexOf(dayFirst[2]), dayFirst[1]);
+  }
+
+  // ISO dates and timestamps
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  return null;
+}
+
+/**
+ * Build a UTC date from scraped calendar parts
+ * @param {string} year - Two or four digit year
+ * @param {number} month - Zero-based month
+ * @param {string} day - Day of the month
+ * @param {string} hours - Optional hours
+ * @param {string} minutes - Optional minutes
+ * @returns {string|null} - ISO-8601 string, or null if the parts don't form a date
+ */
+function calendarDate(year, month, day, hours = 0, minutes = 0) {
+  const fullYear = String(year).length === 2 ? 2000 + parseInt(year) : parseInt(year);
+  const date = new Date(Date.UTC(fullYear, month, parseInt(day), parseInt(hours) || 0, parseInt(minutes) || 0));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Convert a provider chapter to the common schema
+ * @param {Object} chapter - Chapter as scraped by the provider
+ * @param {Object} options
+ * @param {string} options.language - Language of the provider's chapters (default: en)
+ * @param {Date} options.now - Reference time for relative dates
+ * @returns {Object} - { id, number, numberEnd, volume, part, special, title, publishedAt, language, scanlator, url, generated }
+ */
+function normalizeChapter(chapter, { language = 'en', now = new Date() } = {}) {
+  const id = String(chapter.id);
+  const label = parseChapterLabel(chapter.title || chapter.name);
+  const slug = parseChapterSlug(id);
+
+  // Explicit fields first, then whatever the title or ID says
+  const explicit = [chapter.number, chapter.chapterNumber, chapter.chapter]
+    .map(chapterNumberFrom)
+    .find(value => value !== null);
+  const number = [explicit, label.chapter, slug.chapter].find(value => value !== null && value !== undefined);
+  const volume = [chapter.volume, chapter.volumeNumber]
+    .map(chapterNumberFrom)
+    .concat(label.volume, slug.volume)
+    .find(value => value !== null);
+
+  return {
+    id,
+    number: number !== undefined ? number : null,
+    numberEnd: label.chapter === number ? label.chapterEnd : null,
+    volume: volume !== undefined ? volume : null,
+    part: label.part,
+    special: label.special,
+    title: chapter.title || chapter.name ? String(chapter.title || chapter.name).trim() : null,
+    publishedAt: parseDate(chapter.publishedAt || chapter.releaseDate || chapter.releasedDate || chapter.updatedAt || chapter.date, now),
+    language: chapter.language || chapter.lang || language,
+    scanlator: chapter.scanlator || chapter.group || null,
+    url: chapter.url || null,
+    generated: chapter.generated === true
+  };
+}
+
+/**
+ * Convert a provider's chapter list to the common schema, dropping entries without an ID
+ * @param {Array} chapters - Chapters as scraped by the provider
+ * @param {Object} options - See normalizeChapter
+ * @returns {Array} - Normalized chapters, in the provider's order
+ */
+function normalizeChapters(chapters, options = {}) {
+  if (!Array.isArray(chapters)) return [];
+
+  const now = options.now || new Date();
+  return chapters
+    .filter(chapter => chapter && chapter.id)
+    .map(chapter => normalizeChapter(chapter, { ...options, now }));
+}
+
+module.exports = {
+  parseDate,
+  normalizeChapter,
+  normalizeChapters
+};
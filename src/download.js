@@ -0,0 +1,223 @@
+// CBZ export: a chapter's pages in a zip, named so readers sort them in order,
+// plus a ComicInfo.xml (the ComicRack metadata format Komga, Kavita and most
+// readers understand) built from AniList and the provider's chapter data.
+
+const archiver = require('archiver');
+const { fetchImage } = require('./proxy');
+const { wrapError, UpstreamError } = require('./errors');
+const { normalizeChapter } = require('./chapters/normalize');
+
+// Image extensions by content type, for pages whose URL doesn't carry one
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif'
+};
+
+const PAGE_ATTEMPTS = 2;
+
+/**
+ * Escape text for use in XML
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Turn AniList's HTML description into plain text
+ * @param {string} description - Description with <br> and <i> tags
+ * @returns {string} - Plain text
+ */
+function stripHtml(description) {
+  return description
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Build ComicInfo.xml for a chapter
+ * @param {Object} options
+ * @param {Object} options.provider - Provider the pages come from
+ * @param {string} options.chapterId - Provider chapter ID
+ * @param {number} options.pageCount - Number of pages in the archive
+ * @param {Object} options.anilist - AnilistProvider.getInfo output, if known
+ * @param {Object} options.chapter - The provider's chapter entry, if known
+ * @returns {string} - ComicInfo.xml contents
+ */
+function buildComicInfo({ provider, chapterId, pageCount, anilist = null, chapter = null }) {
+  const fields = [];
+  const add = (name, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      fields.push(`  <${name}>${escapeXml(value)}</${name}>`);
+    }
+  };
+
+  if (anilist) {
+    add('Series', anilist.title.english || anilist.title.romaji || anilist.title.native);
+    add('LocalizedSeries', anilist.title.english && anilist.title.romaji !== anilist.title.english ? anilist.title.romaji : null);
+  }
+
+  if (chapter) {
+    add('Number', chapter.number);
+    add('Volume', chapter.volume);
+    add('Title', chapter.title);
+  }
+
+  if (anilist) {
+    add('Summary', anilist.description ? stripHtml(anilist.description) : null);
+    add('Writer', anilist.authors && anilist.authors.length > 0 ? anilist.authors.join(', ') : null);
+    add('Genre', anilist.genres && anilist.genres.length > 0 ? anilist.genres.join(', ') : null);
+    add('Web', `https://anilist.co/manga/${anilist.id}`);
+  }
+
+  if (chapter && chapter.date) {
+    add('Year', chapter.date.getUTCFullYear());
+    add('Month', chapter.date.getUTCMonth() + 1);
+    add('Day', chapter.date.getUTCDate());
+  }
+
+  add('PageCount', pageCount);
+  add('Manga', 'Yes');
+  add('Notes', `Downloaded from ${provider.name}, chapter ${chapterId}`);
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">',
+    ...fields,
+    '</ComicInfo>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Collect the ComicInfo fields of a chapter
+ * @param {Object|null} chapter - Normalized chapter from the provider's list, if found
+ * @param {string} chapterId - Provider chapter ID, used when the entry is missing
+ * @returns {Object} - { number, volume, title, date }
+ */
+function describeChapter(chapter, chapterId) {
+  const { number, volume, title, publishedAt } = chapter || normalizeChapter({ id: chapterId });
+
+  return {
+    number,
+    volume,
+    title,
+    date: publishedAt ? new Date(publishedAt) : null
+  };
+}
+
+/**
+ * File extension for a page image
+ * @param {string} url - Image URL
+ * @param {string} contentType - Response content type
+ * @returns {string} - Extension without the dot
+ */
+function pageExtension(url, contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+
+  const match = new URL(url).pathname.match(/\.(jpe?g|png|webp|gif|avif)$/i);
+  return match ? match[1].toLowerCase().replace('jpeg', 'jpg') : 'jpg';
+}
+
+/**
+ * Download one page image, retrying once on failure
+ * @param {Object} provider - Provider the page belongs to
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} - { data, extension }
+ */
+async function downloadPage(provider, url) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= PAGE_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetchImage(provider, url);
+
+      return {
+        data: await response.buffer(),
+        extension: pageExtension(url, response.headers.get('content-type'))
+      };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw wrapError(lastError, 'Failed to download page', UpstreamError);
+}
+
+/**
+ * Stream a chapter as a CBZ archive. Pages are fetched one after another and
+ * added in order as 001.jpg, 002.jpg, ...; a page that can't be fetched aborts
+ * the archive so a broken file is never passed off as complete. Nothing is
+ * written before the first page arrives, so when it fails the caller can still
+ * answer with an error instead of an archive.
+ * @param {Object} options
+ * @param {Object} options.provider - Provider the pages come from
+ * @param {string} options.chapterId - Provider chapter ID
+ * @param {Array} options.pages - fetchChapterPages output ({ url } or consumet's { img })
+ * @param {Object} options.output - Writable stream, e.g. the Express response
+ * @param {Object} options.anilist - AnilistProvider.getInfo output, if known
+ * @param {Object} options.chapter - { number, volume, title, date }, if known
+ * @returns {Promise<void>} - Resolves once the archive is written
+ */
+async function writeCbz({ provider, chapterId, pages, output, anilist = null, chapter = null }) {
+  // Providers number pages as index or page; keep their order if they do
+  const ordered = [...pages].sort((a, b) => (a.index || a.page || 0) - (b.index || b.page || 0));
+  const width = Math.max(3, String(ordered.length).length);
+  const pageUrl = page => page.url || page.img;
+
+  const firstPage = await downloadPage(provider, pageUrl(ordered[0]));
+
+  const archive = archiver('zip', { store: true });
+  let closed = false;
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', () => {
+      closed = true;
+      resolve();
+    });
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+  // Errors are rethrown by the await below; don't let them surface as unhandled first
+  finished.catch(() => {});
+  archive.pipe(output);
+
+  try {
+    for (let i = 0; i < ordered.length; i++) {
+      // No point downloading the rest once the client is gone
+      if (closed) throw new Error('Client closed the connection');
+
+      const { data, extension } = i === 0 ? firstPage : await downloadPage(provider, pageUrl(ordered[i]));
+      archive.append(data, { name: `${String(i + 1).padStart(width, '0')}.${extension}` });
+    }
+
+    archive.append(buildComicInfo({ provider, chapterId, pageCount: pages.length, anilist, chapter }), {
+      name: 'ComicInfo.xml',
+      store: false
+    });
+
+    await archive.finalize();
+  } catch (error) {
+    archive.abort();
+    throw error;
+  }
+
+  await finished;
+}
+
+module.exports = {
+  buildComicInfo,
+  describeChapter,
+  writeCbz
+};
@@ -0,0 +1,173 @@
+// Error types thrown by providers, the HTTP client and the Mapper. Each carries
+// a machine-readable `code` and the HTTP status it maps to, so route handlers
+// never have to guess from the message; the error middleware in index.js turns
+// them into { error, code, message, details } responses.
+
+/**
+ * Base class for errors with a code and an HTTP status
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {string} options.title - Short description, sent as the response's `error` field
+   * @param {string} options.code - Machine-readable code, e.g. ANILIST_NOT_FOUND
+   * @param {number} options.status - HTTP status the error maps to
+   * @param {Object} options.details - Extra JSON-safe data for the response
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { title = 'Server error', code = 'INTERNAL_ERROR', status = 500, details = null, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.title = title;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Invalid route parameters or query strings
+class InvalidInputError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Invalid input', code: 'INVALID_INPUT', status: 400 });
+  }
+}
+
+// Anything missing that has no more specific type: routes, chapters, pages
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { title: 'Not found', code: 'NOT_FOUND', status: 404, ...options });
+  }
+}
+
+class UnknownProviderError extends NotFoundError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Unknown provider', code: 'UNKNOWN_PROVIDER' });
+  }
+}
+
+// No AniList entry for an ID, or none matching a provider manga or external ID
+class AnilistNotFoundError extends NotFoundError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Anilist entry not found', code: 'ANILIST_NOT_FOUND' });
+  }
+}
+
+// The provider has nothing that matches the AniList entry
+class NoProviderMatchError extends NotFoundError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Manga not found', code: 'NO_PROVIDER_MATCH' });
+  }
+}
+
+// No provider has the requested chapter
+class ChapterNotFoundError extends NotFoundError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Chapter not found', code: 'CHAPTER_NOT_FOUND' });
+  }
+}
+
+// An image URL outside the provider's allowlist
+class HostNotAllowedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Host not allowed', code: 'HOST_NOT_ALLOWED', status: 403 });
+  }
+}
+
+// A site or API failed: network errors, 5xx and other unexpected answers
+class UpstreamError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { title: 'Upstream error', code: 'UPSTREAM_ERROR', status: 502, ...options });
+  }
+}
+
+// The site refused us, usually a Cloudflare challenge or a 403
+class UpstreamBlockedError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Upstream blocked', code: 'UPSTREAM_BLOCKED' });
+  }
+}
+
+class UpstreamTimeoutError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Upstream timeout', code: 'UPSTREAM_TIMEOUT', status: 504 });
+  }
+}
+
+// The site answered, but not with the markup or data the scraper expects
+class ParseError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, title: 'Parse failure', code: 'PARSE_FAILED' });
+  }
+}
+
+// The upstream host is throttling us, or the scheduler gave up waiting for it
+class RateLimitError extends UpstreamError {
+  /**
+   * @param {string} host - Upstream host
+   * @param {string} reason - Why the request was not sent
+   * @param {number|null} retryAfter - Seconds until the host accepts requests again, if known
+   */
+  constructor(host, reason, retryAfter = null) {
+    super(`Rate limited: ${host} ${reason}`, {
+      title: 'Rate limited',
+      code: 'RATE_LIMITED',
+      status: 503,
+      details: { host, retryAfter }
+    });
+    this.host = host;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Add context to an error while keeping its type. Errors without a type become
+ * the fallback type, with the original kept as `cause`.
+ * @param {Error} error - Caught error
+ * @param {string} context - Prefix, e.g. "Failed to search manga"
+ * @param {Function} Fallback - AppError subclass for untyped errors
+ * @returns {AppError} - Error to rethrow
+ */
+function wrapError(error, context, Fallback = AppError) {
+  if (error instanceof AppError) {
+    // A copy, since a rejection shared through the cache reaches several callers
+    return Object.assign(Object.create(Object.getPrototypeOf(error)), error, {
+      message: `${context}: ${error.message}`,
+      stack: error.stack
+    });
+  }
+
+  return new Fallback(`${context}: ${error.message}`, { cause: error });
+}
+
+/**
+ * JSON body for an error response
+ * @param {Error} error - Any error
+ * @returns {Object} - { error, code, message, details? }
+ */
+function toResponseBody(error) {
+  const typed = error instanceof AppError ? error : new AppError(error.message);
+  const body = { error: typed.title, code: typed.code, message: typed.message };
+
+  if (typed.details) body.details = typed.details;
+  return body;
+}
+
+module.exports = {
+  AppError,
+  InvalidInputError,
+  NotFoundError,
+  UnknownProviderError,
+  AnilistNotFoundError,
+  NoProviderMatchError,
+  ChapterNotFoundError,
+  HostNotAllowedError,
+  UpstreamError,
+  UpstreamBlockedError,
+  UpstreamTimeoutError,
+  ParseError,
+  RateLimitError,
+  wrapError,
+  toResponseBody
+};
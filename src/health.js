@@ -0,0 +1,254 @@
+// Provider health checks. Every provider gets a canary run on a schedule: search
+// a title the site is known to carry, load the manga info of the best result, then
+// the pages of one of its chapters, checking that each step returns non-empty,
+// well-formed data. Canaries skip the cache, so a scraper whose markup broke shows
+// up at the next run instead of once its cached results expire.
+
+const { titleSimilarity } = require('./matching/similarity');
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+const { ParseError } = require('./errors');
+
+const log = createLogger('health');
+
+// Titles searched per provider; override with HEALTH_CANARY_<PROVIDER>=<title>
+const DEFAULT_CANARIES = {
+  mangadex: 'Oshi no Ko',
+  asurascans: 'Solo Leveling',
+  mangapark: 'One Piece',
+  mangabuddy: 'One Piece',
+  mangakakalot: 'One Piece'
+};
+
+// Seconds between runs (0 turns scheduled checks off) and per step before it counts as slow
+const DEFAULT_INTERVAL = 30 * 60;
+const DEFAULT_SLOW_STEP = 15;
+
+// Numeric form of each status for the provider_health metric
+const STATUS_VALUES = { healthy: 2, degraded: 1, down: 0 };
+
+/**
+ * Canary title for a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} env - Environment variables
+ * @returns {string|null} - Title to search, or null if the provider has none
+ */
+function getCanary(providerId, env = process.env) {
+  return env[`HEALTH_CANARY_${providerId.toUpperCase()}`] || DEFAULT_CANARIES[providerId] || null;
+}
+
+/**
+ * Whether a value is an absolute http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/[^/\s]+/i.test(value);
+}
+
+/**
+ * Check a search response and pick the result closest to the canary title
+ * @param {Object} response - provider.search output
+ * @param {string} query - Canary title
+ * @returns {Object} - Best result
+ */
+function checkSearch(response, query) {
+  const results = response && Array.isArray(response.results) ? response.results : [];
+  if (results.length === 0) throw new ParseError(`No search results for "${query}"`);
+
+  const wellFormed = results.filter(result => result && result.id && typeof result.title === 'string' && result.title.trim());
+  if (wellFormed.length === 0) throw new ParseError('Search results have no id or title');
+
+  return wellFormed
+    .map(result => ({ result, score: titleSimilarity(query, result.title) }))
+    .sort((a, b) => b.score - a.score)[0].result;
+}
+
+/**
+ * Check manga info and pick the chapter to load pages for: the lowest numbered
+ * one, which is the least likely to be paywalled or still uploading
+ * @param {Object} info - provider.getMangaInfo output
+ * @returns {Object} - Chapter
+ */
+function checkInfo(info) {
+  if (!info || typeof info.title !== 'string' || !info.title.trim()) throw new ParseError('Manga info has no title');
+
+  const chapters = Array.isArray(info.chapters) ? info.chapters.filter(chapter => chapter && chapter.id) : [];
+  if (chapters.length === 0) throw new ParseError('Manga info has no chapters');
+
+  const numbered = chapters.filter(chapter => typeof chapter.number === 'number');
+  return numbered.length > 0
+    ? numbered.reduce((lowest, chapter) => chapter.number < lowest.number ? chapter : lowest)
+    : chapters[0];
+}
+
+/**
+ * Check chapter pages: at least one, each with an image URL
+ * @param {Array} pages - provider.fetchChapterPages output
+ * @returns {number} - Page count
+ */
+function checkPages(pages) {
+  if (!Array.isArray(pages) || pages.length === 0) throw new ParseError('Chapter has no pages');
+
+  const broken = pages.filter(page => !page || !isHttpUrl(page.url || page.img));
+  if (broken.length > 0) throw new ParseError(`${broken.length} of ${pages.length} pages have no image URL`);
+
+  return pages.length;
+}
+
+class HealthMonitor {
+  /**
+   * @param {Object} options
+   * @param {Function} options.providers - Returns the providers to check, e.g. listProviders
+   * @param {Function} options.getCanary - Canary title for a provider ID
+   * @param {number} options.interval - Seconds between scheduled runs, 0 for none
+   * @param {number} options.slowStep - Seconds after which a passing step marks the provider degraded
+   */
+  constructor({
+    providers,
+    getCanary: canaryFor = getCanary,
+    interval = parseInt(process.env.HEALTH_CHECK_INTERVAL) >= 0 ? parseInt(process.env.HEALTH_CHECK_INTERVAL) : DEFAULT_INTERVAL,
+    slowStep = parseFloat(process.env.HEALTH_SLOW_STEP) || DEFAULT_SLOW_STEP
+  } = {}) {
+    this.providers = providers;
+    this.getCanary = canaryFor;
+    this.interval = interval;
+    this.slowStep = slowStep;
+    this.results = new Map();
+    this.running = null;
+    this.timer = null;
+  }
+
+  /**
+   * Run one provider's canary: search, info, pages. Search or info failing makes
+   * the provider down, since nothing can be mapped; pages failing or a slow step
+   * makes it degraded.
+   * @param {BaseProvider} provider - Provider to check
+   * @returns {Promise<Object>} - { status, failedStep, error, steps, canary, checkedAt }
+   */
+  async checkProvider(provider) {
+    const canary = this.getCanary(provider.id);
+    const steps = {};
+    const result = { status: 'healthy', failedStep: null, error: null, canary, steps, checkedAt: new Date().toISOString() };
+
+    if (!canary) {
+      return { ...result, status: 'down', failedStep: 'search', error: { code: 'NO_CANARY', message: 'No canary title configured' } };
+    }
+
+    // Each step records its duration and throws on bad data
+    const run = async (step, fn) => {
+      const start = Date.now();
+      try {
+        const value = await fn();
+        steps[step] = { ok: true, durationMs: Date.now() - start };
+        return value;
+      } catch (error) {
+        steps[step] = { ok: false, durationMs: Date.now() - start };
+        result.failedStep = step;
+        result.error = { code: error.code || 'INTERNAL_ERROR', message: error.message };
+        throw error;
+      }
+    };
+
+    try {
+      const manga = await run('search', async () => checkSearch(await provider.callUncached('search', canary), canary));
+      steps.search.mangaId = manga.id;
+
+      const chapter = await run('info', async () => checkInfo(await provider.callUncached('getMangaInfo', manga.id)));
+      steps.info.chapterId = chapter.id;
+
+      const chapterId = provider.resolveChapterId(String(chapter.id));
+      const pageCount = await run('pages', async () => checkPages(await provider.callUncached('fetchChapterPages', chapterId)));
+      steps.pages.count = pageCount;
+    } catch (error) {
+      result.status = result.failedStep === 'pages' ? 'degraded' : 'down';
+      return result;
+    }
+
+    const slow = Object.entries(steps).find(([, step]) => step.durationMs > this.slowStep * 1000);
+    if (slow) {
+      result.status = 'degraded';
+      result.failedStep = slow[0];
+      result.error = { code: 'SLOW', message: `${slow[0]} took ${slow[1].durationMs}ms` };
+    }
+
+    return result;
+  }
+
+  /**
+   * Check every provider in parallel and keep the results. A run already in
+   * progress is shared rather than started twice.
+   * @returns {Promise<Object>} - See getResults
+   */
+  checkAll() {
+    if (!this.running) {
+      this.running = Promise.all(this.providers().map(async provider => {
+        const result = await this.checkProvider(provider);
+        const previous = this.results.get(provider.id);
+
+        if (!previous || previous.status !== result.status) {
+          log.write(result.status === 'healthy' ? 'info' : 'warn', 'Provider health changed', {
+            provider: provider.id,
+            from: previous ? previous.status : null,
+            to: result.status,
+            failedStep: result.failedStep,
+            error: result.error
+          });
+        }
+
+        this.results.set(provider.id, result);
+        metrics.providerHealth.set({ provider: provider.id }, STATUS_VALUES[result.status]);
+      })).finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running.then(() => this.getResults());
+  }
+
+  /**
+   * Last results. The overall status is healthy when every provider is, down
+   * when none is up, degraded otherwise, and unknown before the first run.
+   * @returns {Object} - { status, providers: { [id]: result } }
+   */
+  getResults() {
+    const providers = {};
+    for (const provider of this.providers()) {
+      providers[provider.id] = this.results.get(provider.id) || { status: 'unknown', checkedAt: null };
+    }
+
+    const statuses = Object.values(providers).map(result => result.status);
+    let status = 'degraded';
+    if (statuses.includes('unknown')) status = 'unknown';
+    else if (statuses.every(value => value === 'healthy')) status = 'healthy';
+    else if (statuses.every(value => value === 'down')) status = 'down';
+
+    return { status, running: this.running !== null, providers };
+  }
+
+  /**
+   * Run the checks now and then every `interval` seconds
+   */
+  start() {
+    if (!this.interval || this.timer) return;
+
+    const run = () => this.checkAll().catch(error => log.error('Health check failed', { error }));
+    run();
+    this.timer = setInterval(run, this.interval * 1000);
+    // Scheduled checks alone shouldn't keep the process running
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  HealthMonitor,
+  getCanary,
+  checkSearch,
+  checkInfo,
+  checkPages
+};
@@ -0,0 +1,71 @@
+// axios adapter sending a library's requests through an HttpClient. consumet's
+// providers request everything with their own axios instance; with this adapter
+// set on it, MangaDex's and AsuraScans' requests are rate limited, timed out,
+// retried and proxied like every other provider's.
+
+const { toNetworkError, toResponseError } = require('./client');
+
+/**
+ * Full URL of an axios request config
+ * @param {Object} config - axios request config
+ * @returns {string} - URL with baseURL and params applied
+ */
+function requestUrl(config) {
+  if (!config.baseURL && !config.params) return config.url;
+
+  const url = new URL(config.url || '', config.baseURL);
+  for (const [key, value] of Object.entries(config.params || {})) {
+    if (value !== undefined && value !== null) url.searchParams.append(key, value);
+  }
+  return url.toString();
+}
+
+/**
+ * Build an adapter for axios' `adapter` setting
+ * @param {HttpClient} http - Client the requests are sent with
+ * @returns {Function} - (config) => Promise of an axios response; statuses axios'
+ *   validateStatus rejects fail with the same typed errors HttpClient.text() throws,
+ *   carrying the axios response as `response`
+ */
+function createAxiosAdapter(http) {
+  return async config => {
+    const url = requestUrl(config);
+    const headers = typeof config.headers.toJSON === 'function' ? config.headers.toJSON() : { ...config.headers };
+    const method = (config.method || 'get').toUpperCase();
+
+    const upstream = await http.fetch(url, {
+      method,
+      headers,
+      body: method === 'GET' || method === 'HEAD' ? undefined : config.data
+    });
+
+    let data;
+    try {
+      data = config.responseType === 'arraybuffer' ? await upstream.buffer() : await upstream.text();
+    } catch (error) {
+      throw toNetworkError(error, url);
+    }
+
+    const response = {
+      data,
+      status: upstream.status,
+      statusText: upstream.statusText,
+      headers: Object.fromEntries(upstream.headers.entries()),
+      config,
+      request: null
+    };
+
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      const error = toResponseError(upstream, url);
+      error.response = response;
+      error.config = config;
+      throw error;
+    }
+
+    return response;
+  };
+}
+
+module.exports = {
+  createAxiosAdapter
+};
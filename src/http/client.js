@@ -0,0 +1,391 @@
+// HTTP client shared by every provider and metadata source. Requests go through
+// the per-host scheduler, time out, are retried with exponential backoff on
+// network errors and 5xx answers other than Cloudflare challenges, rotate the
+// User-Agent and can leave through an HTTP or SOCKS proxy.
+
+const { Readable, Transform, finished } = require('node:stream');
+const fetch = require('node-fetch');
+const { FetchError, Response } = fetch;
+const { scheduler } = require('./scheduler');
+const { createLogger } = require('../logger');
+const {
+  NotFoundError,
+  ParseError,
+  UpstreamBlockedError,
+  UpstreamError,
+  UpstreamTimeoutError
+} = require('../errors');
+
+// Desktop browsers the scrapers take turns impersonating. Override with USER_AGENTS,
+// separated by "|" since User-Agents contain commas.
+const DEFAULT_USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:131.0) Gecko/20100101 Firefox/131.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Safari/605.1.15',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36'
+];
+
+const USER_AGENTS = process.env.USER_AGENTS
+  ? process.env.USER_AGENTS.split('|').map(agent => agent.trim()).filter(Boolean)
+  : DEFAULT_USER_AGENTS;
+
+const DEFAULT_TIMEOUT = (parseInt(process.env.HTTP_TIMEOUT) || 15) * 1000;
+const DEFAULT_RETRIES = process.env.HTTP_RETRIES !== undefined && !isNaN(parseInt(process.env.HTTP_RETRIES))
+  ? parseInt(process.env.HTTP_RETRIES)
+  : 2;
+
+// First retry waits about this long, doubling with every attempt
+const BACKOFF_MS = 500;
+
+// What gives a Cloudflare challenge page away ("Just a moment...")
+const CHALLENGE_PAGE = /<title>Just a moment\.\.\.<\/title>|cf[-_]chl|challenge-platform/i;
+
+// Responses fetch() recognized as Cloudflare challenges by their page
+const challenges = new WeakSet();
+
+// Agents are reused across requests, one per proxy URL
+const agents = new Map();
+let nextUserAgent = 0;
+
+const log = createLogger('http');
+
+/**
+ * Next User-Agent in the rotation
+ * @returns {string} - User-Agent header value
+ */
+function rotateUserAgent() {
+  const userAgent = USER_AGENTS[nextUserAgent % USER_AGENTS.length];
+  nextUserAgent++;
+  return userAgent;
+}
+
+/**
+ * Agent sending requests through a proxy. The agent packages are only loaded
+ * when a proxy is configured.
+ * @param {string} proxyUrl - http://, https://, socks://, socks4:// or socks5:// URL
+ * @returns {Object} - http.Agent for node-fetch
+ */
+function getProxyAgent(proxyUrl) {
+  if (!agents.has(proxyUrl)) {
+    const protocol = new URL(proxyUrl).protocol;
+    let agent;
+
+    if (protocol.startsWith('socks')) {
+      const { SocksProxyAgent } = require('socks-proxy-agent');
+      agent = new SocksProxyAgent(proxyUrl);
+    } else if (protocol === 'http:' || protocol === 'https:') {
+      const { HttpsProxyAgent } = require('https-proxy-agent');
+      agent = new HttpsProxyAgent(proxyUrl);
+    } else {
+      throw new Error(`Unsupported proxy protocol: ${protocol}`);
+    }
+
+    agents.set(proxyUrl, agent);
+  }
+
+  return agents.get(proxyUrl);
+}
+
+/**
+ * Proxy configured for a client: OUTBOUND_PROXY_<ID> wins over OUTBOUND_PROXY,
+ * and "none" turns the proxy off for that client
+ * @param {string} id - Client ID, e.g. the provider ID
+ * @param {Object} env - Environment variables
+ * @returns {string|null} - Proxy URL or null
+ */
+function getProxyUrl(id, env = process.env) {
+  const value = env[`OUTBOUND_PROXY_${id.toUpperCase()}`] || env.OUTBOUND_PROXY;
+  return value && value.toLowerCase() !== 'none' ? value : null;
+}
+
+/**
+ * Whether an answer came through Cloudflare
+ * @param {Response} response - node-fetch response
+ * @returns {boolean} - True for a "cloudflare" server or a cf-mitigated header
+ */
+function isCloudflare(response) {
+  return /cloudflare/i.test(response.headers.get('server') || '') || response.headers.has('cf-mitigated');
+}
+
+/**
+ * Whether an answer is a Cloudflare challenge, which no retry gets past
+ * @param {Response} response - Response returned by HttpClient.fetch
+ * @returns {boolean} - True if cf-mitigated says so or fetch() recognized the page
+ */
+function isChallenge(response) {
+  return response.headers.get('cf-mitigated') === 'challenge' || challenges.has(response);
+}
+
+/**
+ * Read a Cloudflare 503 without a cf-mitigated header, since only its page tells a
+ * challenge from the site itself being down
+ * @param {Response} response - node-fetch response
+ * @returns {Promise<Response>} - Same answer with the page readable again, remembered if it is a challenge
+ */
+async function readChallengePage(response) {
+  const page = await response.text();
+  const copy = withBody(response, Readable.from([page]));
+
+  if (CHALLENGE_PAGE.test(page)) challenges.add(copy);
+  return copy;
+}
+
+/**
+ * Same answer with another body
+ * @param {Response} response - node-fetch response
+ * @param {Readable} body - Stream to read instead of the response's own body
+ * @returns {Response} - Response with the same URL, status and headers
+ */
+function withBody(response, body) {
+  return new Response(body, {
+    url: response.url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * Same answer with a body that fails once no data has come for `timeout` ms, for
+ * bodies streamed on whose whole transfer may take longer than that
+ * @param {Response} response - node-fetch response
+ * @param {number} timeout - Milliseconds without data before the body is abandoned
+ * @param {Function} abort - Abandons the request, freeing its connection
+ * @returns {Response} - Response reading the body through the idle timer
+ */
+function withIdleTimeout(response, timeout, abort) {
+  const body = new Transform({
+    transform(chunk, encoding, callback) {
+      timer.refresh();
+      callback(null, chunk);
+    }
+  });
+  const timer = setTimeout(() => {
+    body.destroy(new UpstreamTimeoutError(`Timed out reading ${response.url}`));
+  }, timeout);
+  timer.unref();
+
+  // Aborting once the body is done is a no-op; before that it frees the connection
+  finished(body, () => {
+    clearTimeout(timer);
+    abort();
+  });
+  response.body.on('error', error => body.destroy(error));
+  response.body.pipe(body);
+
+  return withBody(response, body);
+}
+
+/**
+ * Whether a failed attempt is worth another try
+ * @param {Error|null} error - Error thrown by fetch, if any
+ * @param {Response|null} response - Response, if any
+ * @returns {boolean} - True for network errors, timeouts and 5xx answers other than Cloudflare challenges
+ */
+function isRetryable(error, response) {
+  if (error) {
+    // The scheduler already waited out the host's rate limit
+    if (error.name === 'RateLimitError') return false;
+    return error.name === 'FetchError';
+  }
+
+  return response.status >= 500 && !isChallenge(response);
+}
+
+/**
+ * Typed error for a network failure
+ * @param {Error} error - node-fetch error
+ * @param {string} url - Requested URL
+ * @returns {Error} - UpstreamTimeoutError, UpstreamError, or the error itself if it is already typed
+ */
+function toNetworkError(error, url) {
+  // A body still being read when the timeout aborts the request
+  if (error.name === 'AbortError') {
+    return new UpstreamTimeoutError(`Timed out fetching ${url}`, { cause: error });
+  }
+  if (error.name !== 'FetchError') return error;
+
+  if (/timeout/.test(error.type)) {
+    return new UpstreamTimeoutError(`Timed out fetching ${url}`, { cause: error });
+  }
+  return new UpstreamError(`Failed to fetch ${url}: ${error.message}`, { cause: error });
+}
+
+/**
+ * Typed error for a non-2xx answer
+ * @param {Response} response - node-fetch response
+ * @param {string} url - Requested URL
+ * @returns {Error} - NotFoundError, UpstreamBlockedError or UpstreamError
+ */
+function toResponseError(response, url) {
+  const message = `Failed to fetch ${url}: ${response.status} ${response.statusText}`;
+  const details = { url, status: response.status };
+
+  if (response.status === 404 || response.status === 410) {
+    return new NotFoundError(message, { details });
+  }
+
+  // Cloudflare challenges come back as 403 from a "cloudflare" server, or as a 503
+  // challenge page
+  const cloudflare = isCloudflare(response);
+  if (response.status === 401 || response.status === 403 || isChallenge(response)) {
+    return new UpstreamBlockedError(cloudflare ? `${message} (Cloudflare challenge)` : message, { details });
+  }
+
+  return new UpstreamError(message, { details });
+}
+
+class HttpClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Client ID, used for OUTBOUND_PROXY_<ID>
+   * @param {Object} options.headers - Default headers for every request; a User-Agent here stops rotation
+   * @param {number} options.timeout - Milliseconds before a request, body included, is abandoned
+   * @param {number} options.retries - Extra attempts after a network error or 5xx
+   */
+  constructor({ id = 'default', headers = {}, timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES } = {}) {
+    this.id = id;
+    this.headers = headers;
+    this.timeout = timeout;
+    this.retries = retries;
+  }
+
+  /**
+   * Send a request
+   * @param {string} url - URL to request
+   * @param {Object} options - node-fetch options, plus:
+   * @param {boolean} options.rateLimit - Go through the scheduler (default true)
+   * @param {string} options.bucket - Scheduler bucket apart from the host's own, e.g. "images"
+   * @param {boolean} options.stream - The body is streamed on, so its whole transfer isn't timed;
+   *   it is abandoned after the timeout passes without data instead
+   * @param {number} options.retries - Override the client's retries
+   * @returns {Promise<Response>} - node-fetch response; non-2xx answers are returned, not thrown
+   */
+  async fetch(url, options = {}) {
+    const { rateLimit = true, bucket, stream = false, retries = this.retries, headers = {}, ...fetchOptions } = options;
+    const proxyUrl = getProxyUrl(this.id);
+
+    const send = async () => {
+      // node-fetch's own timeout only starts once a socket is assigned, which a proxy
+      // that never answers never does, and starts over for the body, so the whole
+      // request is bounded here: the timer runs until the body has been read, or
+      // until the headers for a streamed body
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+      // A body nobody reads must not keep the process alive; the socket does while it's in use
+      timer.unref();
+
+      try {
+        const response = await fetch(url, {
+          ...fetchOptions,
+          signal: controller.signal,
+          headers: {
+            'User-Agent': rotateUserAgent(),
+            ...this.headers,
+            ...headers
+          },
+          agent: proxyUrl ? getProxyAgent(proxyUrl) : fetchOptions.agent
+        });
+        if (stream) {
+          clearTimeout(timer);
+          return withIdleTimeout(response, this.timeout, () => controller.abort());
+        }
+
+        finished(response.body, () => clearTimeout(timer));
+        return response;
+      } catch (error) {
+        clearTimeout(timer);
+        if (error.name === 'AbortError') {
+          throw new FetchError(`network timeout at: ${url}`, 'request-timeout');
+        }
+        throw error;
+      }
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+
+      try {
+        response = rateLimit ? await scheduler.schedule(url, send, { bucket }) : await send();
+        if (response.status === 503 && isCloudflare(response) && !response.headers.has('cf-mitigated')) {
+          response = await readChallengePage(response);
+        }
+      } catch (requestError) {
+        error = requestError;
+      }
+
+      if (attempt >= retries || !isRetryable(error, response)) {
+        if (error) throw toNetworkError(error, url);
+        return response;
+      }
+
+      // Free the connection of a response we won't read
+      if (response) response.body.resume();
+
+      const delay = BACKOFF_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      log.warn('Request failed, retrying', {
+        client: this.id,
+        url,
+        ...(error ? { error } : { status: response.status }),
+        attempt: attempt + 1,
+        delayMs: Math.round(delay)
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Fetch a page as text
+   * @param {string} url - URL to request
+   * @param {Object} options - See fetch
+   * @returns {Promise<string>} - Response body
+   */
+  async text(url, options = {}) {
+    const response = await this.fetch(url, options);
+
+    if (!response.ok) {
+      response.body.resume();
+      throw toResponseError(response, url);
+    }
+
+    try {
+      return await response.text();
+    } catch (error) {
+      throw toNetworkError(error, url);
+    }
+  }
+
+  /**
+   * Fetch and parse a JSON response
+   * @param {string} url - URL to request
+   * @param {Object} options - See fetch
+   * @returns {Promise<*>} - Parsed body
+   */
+  async json(url, options = {}) {
+    const response = await this.fetch(url, options);
+
+    if (!response.ok) {
+      response.body.resume();
+      throw toResponseError(response, url);
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      if (error.type === 'invalid-json') {
+        throw new ParseError(`Invalid JSON from ${url}: ${error.message}`, { cause: error });
+      }
+      throw toNetworkError(error, url);
+    }
+  }
+}
+
+module.exports = {
+  HttpClient,
+  getProxyUrl,
+  toNetworkError,
+  toResponseError,
+  rotateUserAgent
+};
@@ -0,0 +1,166 @@
+// Mirror lists for scraped sites that move between domains. A provider keeps an
+// ordered list of base URLs and uses the first one that works: a connection
+// failure or a parked domain page moves it to the next mirror, for every request
+// after it too. Links in what the provider returns are rewritten to the mirror
+// in use, including results cached while an older one was.
+
+// Error codes meaning the mirror itself is unreachable, as opposed to a missing page
+// or a block that another domain of the same site would hit too
+const MIRROR_FAILURES = new Set(['UPSTREAM_ERROR', 'UPSTREAM_TIMEOUT']);
+
+// Registrar and parking service pages served once a domain lapses or moves
+const PARKED_PATTERNS = [
+  /this domain (?:name )?(?:is|may be) for sale/i,
+  /\bdomain (?:is |has been )?parked\b/i,
+  /\b(?:sedoparking|parkingcrew|bodis)\.com\b/i,
+  /window\.location\.href\s*=\s*["']\/lander["']/i
+];
+
+// Fields holding links to the site, rewritten to the mirror in use
+const LINK_FIELDS = ['url', 'image'];
+
+/**
+ * Base URL without a trailing slash, or null unless it is an http(s) URL
+ * @param {string} url - Base URL
+ * @returns {string|null} - Normalized base URL
+ */
+function normalizeBaseUrl(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a page is a parked domain rather than the site
+ * @param {string} html - Page body
+ * @returns {boolean}
+ */
+function isParkedPage(html) {
+  return typeof html === 'string' && PARKED_PATTERNS.some(pattern => pattern.test(html));
+}
+
+/**
+ * Whether an error means the mirror is down and the next one should be tried
+ * @param {Error} error - Error from the HTTP client
+ * @returns {boolean}
+ */
+function isMirrorFailure(error) {
+  return Boolean(error && MIRROR_FAILURES.has(error.code));
+}
+
+class MirrorList {
+  /**
+   * @param {string[]} urls - Base URLs in order of preference
+   * @param {string[]} aliases - Other base URLs of the site; links to them are rewritten too
+   */
+  constructor(urls, aliases = []) {
+    this.urls = [...new Set(urls.map(normalizeBaseUrl).filter(Boolean))];
+    if (this.urls.length === 0) throw new Error('A mirror list needs at least one http(s) URL');
+
+    this.index = 0;
+    // host, with the port only when it isn't the default one
+    this.hosts = [...new Set([...this.urls, ...aliases.map(normalizeBaseUrl).filter(Boolean)]
+      .map(url => new URL(url).host))];
+    // Domains without "www.", whose subdomains (image servers, bare domain) are the site's too
+    this.domains = [...new Set(this.hosts.map(host => new URL(`http://${host}`).hostname.replace(/^www\./, '')))];
+  }
+
+  /**
+   * Base URL in use
+   * @returns {string}
+   */
+  get current() {
+    return this.urls[this.index];
+  }
+
+  /**
+   * Whether a URL is on one of the site's domains
+   * @param {string} url - Any URL
+   * @returns {boolean}
+   */
+  owns(url) {
+    try {
+      return this.hosts.includes(new URL(url).host);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Move on from a failed mirror. Requests failing together on the same mirror
+   * only move the list once.
+   * @param {string} failed - Base URL that failed
+   * @returns {string} - Base URL now in use
+   */
+  rotate(failed) {
+    if (this.current === failed) {
+      this.index = (this.index + 1) % this.urls.length;
+    }
+    return this.current;
+  }
+
+  /**
+   * Point a link on any of the site's domains at the mirror in use
+   * @param {string} url - Any URL
+   * @returns {string} - Rewritten URL, or the URL itself if it isn't the site's
+   */
+  rewrite(url) {
+    if (!this.owns(url)) return url;
+
+    const parsed = new URL(url);
+    const current = new URL(this.current);
+    if (parsed.origin === current.origin) return url;
+
+    return `${current.origin}${parsed.pathname}${parsed.search}${parsed.hash}`;
+  }
+
+  /**
+   * Copy of a provider result with its url and image fields rewritten, at any depth
+   * @param {*} value - Search results, manga info or pages
+   * @returns {*} - Rewritten copy
+   */
+  rewriteLinks(value) {
+    // With a single domain there is nothing to rewrite
+    if (this.hosts.length < 2) return value;
+
+    if (Array.isArray(value)) return value.map(item => this.rewriteLinks(item));
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+      copy[key] = LINK_FIELDS.includes(key) && typeof field === 'string'
+        ? this.rewrite(field)
+        : this.rewriteLinks(field);
+    }
+    return copy;
+  }
+}
+
+/**
+ * Mirror list of a provider: MIRRORS_<PROVIDER> (comma separated base URLs, first
+ * preferred) replaces the built-in list, whose domains are still rewritten
+ * @param {string} id - Provider ID
+ * @param {string[]} defaults - Built-in base URLs
+ * @param {Object} env - Environment variables
+ * @returns {MirrorList}
+ */
+function createMirrorList(id, defaults, env = process.env) {
+  const configured = (env[`MIRRORS_${id.toUpperCase()}`] || '')
+    .split(',')
+    .map(normalizeBaseUrl)
+    .filter(Boolean);
+
+  return new MirrorList(configured.length > 0 ? configured : defaults, defaults);
+}
+
+module.exports = {
+  MirrorList,
+  createMirrorList,
+  isParkedPage,
+  isMirrorFailure,
+  normalizeBaseUrl
+};
@@ -0,0 +1,319 @@
+// Outbound request scheduler shared by AniList, the metadata sites and the scraped
+// providers. Every request waits for a token from its host's bucket and a free
+// concurrency slot, so a burst of mappings is spread out instead of hammering one
+// site. 429 responses (and 503s with Retry-After) pause the host for as long as it
+// asks and the request is queued again. Page images are queued in a bucket of their
+// own per host, so a reader waiting on pages doesn't compete with scraping.
+
+const { RateLimitError } = require('../errors');
+const { createLogger } = require('../logger');
+
+const log = createLogger('scheduler');
+
+// Default limits per host; anything not listed gets `default`. Override with
+// RATE_LIMIT_<HOST>=<requests>/<seconds> and RATE_LIMIT_<HOST>_CONCURRENCY=<n>,
+// where <HOST> is the hostname in capitals with dots as underscores
+// (RATE_LIMIT_GRAPHQL_ANILIST_CO=60/60), or RATE_LIMIT_<HOST>=off. `images` is the
+// limit of every host's image bucket, set with RATE_LIMIT_IMAGES.
+const DEFAULT_LIMITS = {
+  'graphql.anilist.co': { requests: 80, per: 60, concurrency: 4 }, // AniList allows about 90 a minute
+  'api.mangadex.org': { requests: 5, per: 1, concurrency: 4 },
+  'kitsu.app': { requests: 60, per: 60, concurrency: 2 },
+  'api.mangaupdates.com': { requests: 30, per: 60, concurrency: 2 },
+  default: { requests: 2, per: 1, concurrency: 2 },               // Scraped sites block bursts
+  images: { requests: 10, per: 1, concurrency: 4 }                 // A chapter's pages, one reader at a time
+};
+
+// Pause applied on a 429 that doesn't say how long to wait, in seconds
+const DEFAULT_RETRY_AFTER = 30;
+
+/**
+ * Per-host token buckets, concurrency caps and queues
+ */
+class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.limitFor - (host, bucket) => { requests, per, concurrency } or null for no limit
+   * @param {number} options.maxQueue - Requests waiting per host before new ones are refused
+   * @param {number} options.maxWait - Seconds a request may wait before it is refused
+   * @param {number} options.maxRetries - Times a rate limited request is queued again
+   */
+  constructor({ limitFor = () => DEFAULT_LIMITS.default, maxQueue = 100, maxWait = 60, maxRetries = 2 } = {}) {
+    this.limitFor = limitFor;
+    this.maxQueue = maxQueue;
+    this.maxWait = maxWait;
+    this.maxRetries = maxRetries;
+    this.hosts = new Map();
+  }
+
+  /**
+   * Run a request once its host allows it
+   * @param {string} url - URL the request goes to; its hostname selects the limit
+   * @param {Function} request - Async function sending the request. It may resolve to a
+   *   node-fetch response or throw an error carrying an axios-style `response`; either is checked for 429s.
+   * @param {Object} options
+   * @param {string} options.bucket - Queue the request apart from the host's other requests, e.g. "images"
+   * @returns {Promise<*>} - Whatever request resolves to
+   */
+  schedule(url, request, { bucket = null } = {}) {
+    const hostname = new URL(url).hostname;
+    const host = bucket ? `${hostname} (${bucket})` : hostname;
+    const state = this.getHost(host, () => this.limitFor(hostname, bucket));
+
+    if (!state.limit) return request();
+
+    if (state.queue.length >= this.maxQueue) {
+      state.stats.rejected++;
+      return Promise.reject(new RateLimitError(host, `has ${state.queue.length} requests queued already`, this.secondsUntil(state.pausedUntil)));
+    }
+
+    return new Promise((resolve, reject) => {
+      state.queue.push({ request, resolve, reject, queuedAt: Date.now(), attempts: 0 });
+      this.drain(host);
+    });
+  }
+
+  /**
+   * Queue state for every host seen so far
+   * Buckets apart from the host's own are listed as "<host> (<bucket>)".
+   * @returns {Object} - { [host]: { queued, active, tokens, limit, pausedUntil, requests, rateLimited, rejected } }
+   */
+  getStats() {
+    const stats = {};
+
+    for (const [host, state] of this.hosts) {
+      if (!state.limit) continue;
+
+      this.refill(state);
+      stats[host] = {
+        queued: state.queue.length,
+        active: state.active,
+        tokens: Math.floor(state.tokens),
+        limit: state.limit,
+        pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null,
+        ...state.stats
+      };
+    }
+
+    return stats;
+  }
+
+  // Per-host state, created with the host's limit on first use
+  getHost(host, limitFor = () => this.limitFor(host)) {
+    if (!this.hosts.has(host)) {
+      const limit = limitFor();
+      this.hosts.set(host, {
+        limit,
+        tokens: limit ? limit.requests : 0,
+        refilledAt: Date.now(),
+        active: 0,
+        queue: [],
+        pausedUntil: 0,
+        timer: null,
+        stats: { requests: 0, rateLimited: 0, rejected: 0 }
+      });
+    }
+
+    return this.hosts.get(host);
+  }
+
+  // Add the tokens earned since the last refill, up to a full bucket
+  refill(state) {
+    const now = Date.now();
+    const perMs = state.limit.per * 1000 / state.limit.requests;
+    state.tokens = Math.min(state.limit.requests, state.tokens + (now - state.refilledAt) / perMs);
+    state.refilledAt = now;
+  }
+
+  // Start as many queued requests as the host allows, or wake up when it allows the next one
+  drain(host) {
+    const state = this.hosts.get(host);
+
+    while (state.queue.length > 0 && state.active < state.limit.concurrency) {
+      const now = Date.now();
+
+      if (state.pausedUntil > now) {
+        return this.wakeUp(host, state.pausedUntil - now);
+      }
+
+      this.refill(state);
+      if (state.tokens < 1) {
+        return this.wakeUp(host, (1 - state.tokens) * state.limit.per * 1000 / state.limit.requests);
+      }
+
+      const job = state.queue.shift();
+      if (now - job.queuedAt > this.maxWait * 1000) {
+        state.stats.rejected++;
+        job.reject(new RateLimitError(host, `request waited more than ${this.maxWait}s in the queue`));
+        continue;
+      }
+
+      state.tokens--;
+      state.active++;
+      state.stats.requests++;
+      this.run(host, state, job);
+    }
+  }
+
+  // Drain the host again after a delay, unless a wake-up is already pending
+  wakeUp(host, delayMs) {
+    const state = this.hosts.get(host);
+    if (state.timer) return;
+
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.drain(host);
+    }, Math.ceil(delayMs));
+  }
+
+  // Send one request; a 429 pauses the host and puts the request back at the front of the queue
+  async run(host, state, job) {
+    let result;
+    let error;
+
+    try {
+      result = await job.request();
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    state.active--;
+
+    const response = error ? error.response : result;
+    const status = response ? response.status : null;
+    const retryAfter = response ? parseRetryAfter(response.headers) : null;
+
+    if (status === 429 || (status === 503 && retryAfter !== null)) {
+      const delay = retryAfter !== null ? retryAfter : DEFAULT_RETRY_AFTER;
+      state.stats.rateLimited++;
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay * 1000);
+      log.warn('Host is rate limiting, pausing requests', { host, status, pauseSeconds: delay });
+
+      // Free the connection of a response we won't read
+      if (result && result.body && typeof result.body.resume === 'function') result.body.resume();
+
+      const waited = (Date.now() - job.queuedAt) / 1000;
+      if (job.attempts < this.maxRetries && waited + delay <= this.maxWait) {
+        job.attempts++;
+        state.queue.unshift(job);
+      } else {
+        state.stats.rejected++;
+        job.reject(new RateLimitError(host, `answered ${status}, retry after ${delay}s`, delay));
+      }
+    } else if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+
+    this.drain(host);
+  }
+
+  // Whole seconds until a timestamp, or null once it has passed
+  secondsUntil(time) {
+    return time > Date.now() ? Math.ceil((time - Date.now()) / 1000) : null;
+  }
+}
+
+/**
+ * Seconds to wait according to Retry-After (seconds or an HTTP date) or
+ * MangaDex's X-RateLimit-Retry-After (a Unix timestamp)
+ * @param {Object} headers - node-fetch Headers or axios' plain header object
+ * @returns {number|null} - Seconds, or null if the response doesn't say
+ */
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfter = get('retry-after');
+  if (retryAfter) {
+    if (/^\d+$/.test(retryAfter.trim())) return parseInt(retryAfter);
+
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  const resetAt = parseInt(get('x-ratelimit-retry-after'));
+  if (!isNaN(resetAt)) return Math.max(0, Math.ceil(resetAt - Date.now() / 1000));
+
+  return null;
+}
+
+/**
+ * Parse a "<requests>/<seconds>" limit
+ * @param {string} value - e.g. "90/60"
+ * @returns {Object|null|undefined} - { requests, per }, null for "off", undefined if malformed
+ */
+function parseLimit(value) {
+  if (/^(?:off|none|0)$/i.test(value.trim())) return null;
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (!match || parseFloat(match[1]) <= 0 || parseFloat(match[2]) <= 0) return undefined;
+
+  return { requests: parseFloat(match[1]), per: parseFloat(match[2]) };
+}
+
+/**
+ * A default limit with the env vars under each prefix applied in turn
+ * @param {Object} env - Environment variables
+ * @param {Object} defaults - { requests, per, concurrency }
+ * @param {string[]} prefixes - e.g. ["RATE_LIMIT_DEFAULT", "RATE_LIMIT_MANGAPARK_NET"]; later ones win
+ * @returns {Object|null} - Limit, or null if one of them is "off"
+ */
+function applyLimitEnv(env, defaults, prefixes) {
+  const limit = { ...defaults };
+
+  for (const prefix of prefixes) {
+    if (env[prefix] !== undefined) {
+      const parsed = parseLimit(env[prefix]);
+      if (parsed === null) return null;
+      if (parsed) Object.assign(limit, parsed);
+    }
+
+    const concurrency = parseInt(env[`${prefix}_CONCURRENCY`]);
+    if (concurrency > 0) limit.concurrency = concurrency;
+  }
+
+  return limit;
+}
+
+/**
+ * Build the scheduler configured through env vars:
+ *  - RATE_LIMIT_<HOST> / RATE_LIMIT_DEFAULT: "<requests>/<seconds>" or "off"
+ *  - RATE_LIMIT_<HOST>_CONCURRENCY / RATE_LIMIT_DEFAULT_CONCURRENCY: requests in flight at once
+ *  - RATE_LIMIT_IMAGES / RATE_LIMIT_IMAGES_CONCURRENCY: the same for each host's image bucket
+ *  - RATE_LIMIT_MAX_QUEUE: requests waiting per host before new ones fail (default 100)
+ *  - RATE_LIMIT_MAX_WAIT: seconds a request may wait, including 429 pauses (default 60)
+ * @param {Object} env - Environment variables
+ * @returns {Scheduler} - Configured scheduler
+ */
+function createScheduler(env = process.env) {
+  const limitFor = (host, bucket = null) => {
+    const name = host.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+    // Image buckets share RATE_LIMIT_IMAGES, but a host turned off is off for its images too
+    if (bucket === 'images') {
+      if (env[`RATE_LIMIT_${name}`] !== undefined && parseLimit(env[`RATE_LIMIT_${name}`]) === null) return null;
+      return applyLimitEnv(env, DEFAULT_LIMITS.images, ['RATE_LIMIT_IMAGES']);
+    }
+
+    // Hosts without defaults of their own follow RATE_LIMIT_DEFAULT; the host's own setting wins
+    return DEFAULT_LIMITS[host]
+      ? applyLimitEnv(env, DEFAULT_LIMITS[host], [`RATE_LIMIT_${name}`])
+      : applyLimitEnv(env, DEFAULT_LIMITS.default, ['RATE_LIMIT_DEFAULT', `RATE_LIMIT_${name}`]);
+  };
+
+  return new Scheduler({
+    limitFor,
+    maxQueue: parseInt(env.RATE_LIMIT_MAX_QUEUE) || 100,
+    maxWait: parseInt(env.RATE_LIMIT_MAX_WAIT) || 60
+  });
+}
+
+module.exports = {
+  Scheduler,
+  RateLimitError,
+  createScheduler,
+  parseRetryAfter,
+  scheduler: createScheduler()
+};
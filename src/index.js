@@ -1,520 +1,440 @@
+const { pipeline } = require('node:stream');
 const express = require('express');
 const Mapper = require('./providers/mapper');
-const MangadexProvider = require('./providers/mangadex');
-const AsuraScansProvider = require('./providers/asurascans');
-const MangaParkProvider = require('./providers/mangapark');
-const MangaBuddyProvider = require('./providers/mangabuddy');
-const MangaKakalotProvider = require('./providers/mangakakalot');
+const { getProvider, listProviders } = require('./providers');
+const { isAllowedImageUrl, fetchImage, forwardImageHeaders, proxyPages } = require('./proxy');
+const { describeChapter, writeCbz } = require('./download');
+const { scheduler } = require('./http/scheduler');
+const { createLogger, requestLogger } = require('./logger');
+const { registry, metrics, requestMetrics } = require('./metrics');
+const { HealthMonitor } = require('./health');
+const {
+  InvalidInputError,
+  NotFoundError,
+  UnknownProviderError,
+  HostNotAllowedError,
+  toResponseBody
+} = require('./errors');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+const log = createLogger('server');
+
+// Request IDs and one log line per request; must come first so every handler sees the ID
+app.use(requestLogger());
+app.use(requestMetrics());
 app.use(express.json());
 
-// Initialize mapper and providers
+// Anilist formats /search can filter on
+const SEARCH_FORMATS = ['MANGA', 'ONE_SHOT', 'NOVEL'];
+
+// Initialize mapper
 const mapper = new Mapper();
-const mangadexProvider = new MangadexProvider();
-const asuraScansProvider = new AsuraScansProvider();
-const mangaParkProvider = new MangaParkProvider();
-const mangaBuddyProvider = new MangaBuddyProvider();
-const mangaKakalotProvider = new MangaKakalotProvider();
-
-// AniList to Mangadex mapper - get chapters by AniList ID
-app.get('/mangadex/chapters/:anilistId', async (req, res) => {
-  try {
-    const { anilistId } = req.params;
-    
-    if (!anilistId || isNaN(parseInt(anilistId))) {
-      return res.status(400).json({ 
-        error: 'Invalid Anilist ID',
-        message: 'Please provide a valid numeric Anilist ID'
-      });
-    }
-    
-    const result = await mapper.getChaptersByAnilistId(anilistId);
-    
-    res.json(result);
-  } catch (error) {
-    // Check for specific error types
-    if (error.message.includes('No media found with ID') || 
-        error.message.includes('Anilist API error')) {
-      return res.status(404).json({ 
-        error: 'Anilist ID not found',
-        message: `The Anilist ID ${req.params.anilistId} could not be found. Please verify the ID is correct.`,
-        details: error.message
-      });
-    }
-    
-    if (error.message.includes('No matching manga found on Mangadex')) {
-      return res.status(404).json({ 
-        error: 'Manga not found',
-        message: 'Could not find matching manga on Mangadex',
-        details: error.message
-      });
-    }
-    
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
-  }
-});
 
-// Fetch chapter pages from MangaDex by chapter ID
-app.get('/mangadex/pages/:chapterId', async (req, res) => {
-  try {
-    const { chapterId } = req.params;
-    
-    if (!chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Chapter ID',
-        message: 'Please provide a valid Chapter ID'
-      });
-    }
-    
-    const pages = await mangadexProvider.fetchChapterPages(chapterId);
-    
-    res.json({
-      success: true,
-      chapterId,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
-  }
-});
+// Provider canaries, run on a schedule once the server is listening
+const health = new HealthMonitor({ providers: listProviders });
 
-// Fetch chapter pages from MangaPark by chapter ID
-app.get('/mangapark/pages/:chapterId', async (req, res) => {
-  try {
-    const { chapterId } = req.params;
-    
-    if (!chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Chapter ID',
-        message: 'Please provide a valid Chapter ID'
-      });
-    }
-    
-    const pages = await mangaParkProvider.fetchChapterPages(chapterId);
-    
-    res.json({
-      success: true,
-      chapterId,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+// Pass errors thrown by async route handlers on to the error middleware
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Resolve the :provider route parameter or throw a 404
+function resolveProvider(req) {
+  const provider = getProvider(req.params.provider);
+  
+  if (!provider) {
+    throw new UnknownProviderError(`Provider "${req.params.provider}" is not supported. Available providers: ${listProviders().map(p => p.id).join(', ')}`);
   }
-});
+  
+  return provider;
+}
 
-// Add new route for title format
-app.get('/mangapark/pages/title/:mangaId/:chapterId', async (req, res) => {
-  try {
-    const { mangaId, chapterId } = req.params;
-    
-    if (!mangaId || !chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Manga ID or Chapter ID',
-        message: 'Please provide both a valid Manga ID and Chapter ID'
-      });
-    }
-    
-    // Combine the IDs as they appear in the URL path
-    const fullChapterId = `${mangaId}/${chapterId}`;
-    const pages = await mangaParkProvider.fetchChapterPages(fullChapterId);
-    
-    res.json({
-      success: true,
-      mangaId,
-      chapterId,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+// Check the :anilistId route parameter
+function requireAnilistId(anilistId) {
+  if (!anilistId || isNaN(parseInt(anilistId))) {
+    throw new InvalidInputError('Please provide a valid numeric Anilist ID');
   }
-});
+  
+  return anilistId;
+}
 
-// Fetch chapter pages from AsuraScans by chapter ID
-app.get('/asurascans/pages/:chapterId', async (req, res) => {
-  try {
-    const { chapterId } = req.params;
-    
-    if (!chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Chapter ID',
-        message: 'Please provide a valid Chapter ID'
-      });
-    }
-    
-    const pages = await asuraScansProvider.fetchChapterPages(chapterId);
-    
-    res.json({
-      success: true,
-      chapterId,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+// Public base URL used in proxied image links; PUBLIC_URL wins behind a reverse proxy
+function getBaseUrl(req) {
+  return process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, '') : `${req.protocol}://${req.get('host')}`;
+}
+
+// AniList to all providers - get every provider's chapters by AniList ID in one call
+// Provider failures are reported per provider, so only Anilist errors reach the error middleware
+app.get('/chapters/:anilistId', asyncHandler(async (req, res) => {
+  const anilistId = requireAnilistId(req.params.anilistId);
+  
+  // ?refresh=true ignores stored mappings and matches every provider again,
+  // ?strict=true reports not_found instead of falling back to the first search result
+  const result = await mapper.getChaptersFromAllProviders(anilistId, {
+    refresh: req.query.refresh === 'true',
+    strict: req.query.strict === 'true'
+  });
+  
+  res.json(result);
+}));
+
+// Anilist manga search: ?q=, ?page=, ?perPage=, ?format=MANGA,ONE_SHOT,NOVEL, ?withAvailability=true
+app.get('/search', asyncHandler(async (req, res) => {
+  const query = (req.query.q || '').trim();
+  const page = parseInt(req.query.page) || 1;
+  const perPage = parseInt(req.query.perPage) || 20;
+  const formats = req.query.format ? String(req.query.format).toUpperCase().split(',').map(format => format.trim()) : [];
+  
+  if (!query) {
+    throw new InvalidInputError('Please provide a search query with ?q=');
   }
-});
+  
+  const invalidFormats = formats.filter(format => !SEARCH_FORMATS.includes(format));
+  if (invalidFormats.length > 0) {
+    throw new InvalidInputError(`Unsupported format ${invalidFormats.join(', ')}. Use ${SEARCH_FORMATS.join(', ')}`);
+  }
+  
+  if (page < 1 || perPage < 1 || perPage > 50) {
+    throw new InvalidInputError('page must be at least 1 and perPage between 1 and 50');
+  }
+  
+  const result = await mapper.search(query, {
+    page,
+    perPage,
+    formats,
+    withAvailability: req.query.withAvailability === 'true'
+  });
+  
+  res.json(result);
+}));
 
-// Fetch chapter pages from AsuraScans by series and chapter
-app.get('/asurascans/pages/series/:seriesId/chapter/:chapterNum', async (req, res) => {
-  try {
-    const { seriesId, chapterNum } = req.params;
-    
-    if (!seriesId || !chapterNum) {
-      return res.status(400).json({ 
-        error: 'Invalid Series or Chapter Number',
-        message: 'Please provide both a valid Series ID and Chapter Number'
-      });
-    }
-    
-    const chapterId = `${seriesId}/chapter/${chapterNum}`;
-    const pages = await asuraScansProvider.fetchChapterPages(chapterId);
-    
-    res.json({
-      success: true,
-      seriesId,
-      chapterNum,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+// Resolve a provider link (?url=) to its Anilist entry and the other providers' mappings
+app.get('/resolve', asyncHandler(async (req, res) => {
+  const { url } = req.query;
+  const parsed = url ? mapper.parseUrl(url) : null;
+  
+  if (!parsed) {
+    throw new InvalidInputError(`Please provide a manga or chapter link from ${listProviders().map(p => p.name).join(', ')} with ?url=`);
   }
-});
+  
+  res.json(await mapper.resolve(parsed.provider.id, parsed.mangaId));
+}));
 
-// AniList to AsuraScans mapper - get chapters by AniList ID
-app.get('/asurascans/chapters/:anilistId', async (req, res) => {
-  try {
-    const { anilistId } = req.params;
-    
-    if (!anilistId || isNaN(parseInt(anilistId))) {
-      return res.status(400).json({ 
-        error: 'Invalid Anilist ID',
-        message: 'Please provide a valid numeric Anilist ID'
-      });
-    }
-    
-    const result = await mapper.getChaptersByAnilistIdFromAsura(anilistId);
-    
-    res.json(result);
-  } catch (error) {
-    // Check for specific error types
-    if (error.message.includes('No media found with ID') || 
-        error.message.includes('Anilist API error')) {
-      return res.status(404).json({ 
-        error: 'Anilist ID not found',
-        message: `The Anilist ID ${req.params.anilistId} could not be found. Please verify the ID is correct.`,
-        details: error.message
-      });
-    }
-    
-    if (error.message.includes('No matching manga found on AsuraScans')) {
-      return res.status(404).json({ 
-        error: 'Manga not found',
-        message: 'Could not find matching manga on AsuraScans',
-        details: error.message
-      });
+// Resolve a provider manga ID to its Anilist entry and the other providers' mappings
+app.get('/resolve/:provider/:mangaId', asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req);
+  
+  res.json(await mapper.resolve(provider.id, req.params.mangaId));
+}));
+
+// Merged chapter index - every provider's chapters folded into one ordered list
+app.get('/index/:anilistId', asyncHandler(async (req, res) => {
+  const anilistId = requireAnilistId(req.params.anilistId);
+  
+  const result = await mapper.getChapterIndex(anilistId, {
+    refresh: req.query.refresh === 'true',
+    strict: req.query.strict === 'true'
+  });
+  
+  res.json(result);
+}));
+
+// Pages of a chapter by number from the first provider that serves it. ?providers=a,b sets the
+// order for this request, ?part= picks a part of a split chapter, ?proxy=true proxies the pages.
+app.get('/read/:anilistId/:chapterNumber', asyncHandler(async (req, res) => {
+  const anilistId = requireAnilistId(req.params.anilistId);
+  const chapterNumber = Number(req.params.chapterNumber);
+  const part = req.query.part ? Number(req.query.part) : null;
+  
+  if (!Number.isFinite(chapterNumber) || chapterNumber < 0) {
+    throw new InvalidInputError('Please provide a chapter number, e.g. 12 or 12.5');
+  }
+  
+  if (part !== null && !(Number.isInteger(part) && part > 0)) {
+    throw new InvalidInputError('part must be a positive whole number');
+  }
+  
+  let providers;
+  if (req.query.providers) {
+    const ids = String(req.query.providers).split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !getProvider(id));
+    
+    if (ids.length === 0 || unknown.length > 0) {
+      throw new InvalidInputError(`Unknown provider ${unknown.join(', ')}. Available providers: ${listProviders().map(p => p.id).join(', ')}`);
     }
-    
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+    providers = mapper.getReadOrder(ids.join(','));
   }
-});
+  
+  const result = await mapper.readChapter(anilistId, chapterNumber, {
+    providers,
+    part,
+    refresh: req.query.refresh === 'true'
+  });
+  
+  if (req.query.proxy === 'true') {
+    result.pages = proxyPages(result.pages, getProvider(result.provider), getBaseUrl(req));
+  }
+  
+  res.json(result);
+}));
 
-// AniList to MangaPark mapper - get chapters by AniList ID
-app.get('/mangapark/chapters/:anilistId', async (req, res) => {
-  try {
-    const { anilistId } = req.params;
-    
-    if (!anilistId || isNaN(parseInt(anilistId))) {
-      return res.status(400).json({ 
-        error: 'Invalid Anilist ID',
-        message: 'Please provide a valid numeric Anilist ID'
-      });
-    }
-    
-    const result = await mapper.getChaptersByAnilistIdFromMangaPark(anilistId);
-    
-    res.json(result);
-  } catch (error) {
-    // Check for specific error types
-    if (error.message.includes('No media found with ID') || 
-        error.message.includes('Anilist API error')) {
-      return res.status(404).json({ 
-        error: 'Anilist ID not found',
-        message: `The Anilist ID ${req.params.anilistId} could not be found. Please verify the ID is correct.`,
-        details: error.message
-      });
-    }
-    
-    if (error.message.includes('No matching manga found on MangaPark')) {
-      return res.status(404).json({ 
-        error: 'Manga not found',
-        message: 'Could not find matching manga on MangaPark',
-        details: error.message
-      });
-    }
-    
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+// MyAnimeList, Kitsu and MangaUpdates IDs in place of the Anilist ID, e.g. /mal/13/chapters.
+// Responses carry an `ids` object with every cross-site ID known for the entry.
+const EXTERNAL_ID_ROUTE = '/:site(mal|kitsu|mangaupdates)/:externalId';
+
+app.get(`${EXTERNAL_ID_ROUTE}/chapters`, asyncHandler(async (req, res) => {
+  await sendForExternalId(req, res, anilistId => mapper.getChaptersFromAllProviders(anilistId, {
+    refresh: req.query.refresh === 'true',
+    strict: req.query.strict === 'true'
+  }));
+}));
+
+app.get(`${EXTERNAL_ID_ROUTE}/index`, asyncHandler(async (req, res) => {
+  await sendForExternalId(req, res, anilistId => mapper.getChapterIndex(anilistId, {
+    refresh: req.query.refresh === 'true',
+    strict: req.query.strict === 'true'
+  }));
+}));
+
+app.get(`${EXTERNAL_ID_ROUTE}/:provider/chapters`, asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req);
+  
+  await sendForExternalId(req, res, anilistId => mapper.getChapters(provider.id, anilistId, {
+    refresh: req.query.refresh === 'true',
+    strict: req.query.strict === 'true'
+  }));
+}));
+
+// Translate :site/:externalId to Anilist, then answer with load(anilistId) and the cross-site IDs
+async function sendForExternalId(req, res, load) {
+  const { site, externalId } = req.params;
+  
+  if (site === 'mangaupdates' ? !mapper.mangaUpdates.parseId(externalId) : isNaN(parseInt(externalId))) {
+    throw new InvalidInputError(site === 'mangaupdates'
+      ? 'Please provide a MangaUpdates series ID or the ID from a mangaupdates.com/series/ link'
+      : `Please provide a valid numeric ${site === 'mal' ? 'MyAnimeList' : 'Kitsu'} ID`);
   }
-});
+  
+  const { ids, confidence } = await mapper.resolveExternalId(site, externalId);
+  const result = await load(ids.anilist);
+  
+  res.json(confidence === undefined ? { ids, ...result } : { ids, confidence, ...result });
+}
 
-// AniList to MangaBuddy mapper - get chapters by AniList ID
-app.get('/mangabuddy/chapters/:anilistId', async (req, res) => {
-  try {
-    const { anilistId } = req.params;
-    
-    if (!anilistId || isNaN(parseInt(anilistId))) {
-      return res.status(400).json({ 
-        error: 'Invalid Anilist ID',
-        message: 'Please provide a valid numeric Anilist ID'
-      });
-    }
-    
-    const result = await mapper.getChaptersByAnilistIdFromMangaBuddy(anilistId);
-    
-    res.json(result);
-  } catch (error) {
-    // Check for specific error types
-    if (error.message.includes('No media found with ID') || 
-        error.message.includes('Anilist API error')) {
-      return res.status(404).json({ 
-        error: 'Anilist ID not found',
-        message: `The Anilist ID ${req.params.anilistId} could not be found. Please verify the ID is correct.`,
-        details: error.message
-      });
-    }
-    
-    if (error.message.includes('No matching manga found on MangaBuddy')) {
-      return res.status(404).json({ 
-        error: 'Manga not found',
-        message: 'Could not find matching manga on MangaBuddy',
-        details: error.message
-      });
-    }
-    
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+// AniList to provider mapper - get chapters by AniList ID
+app.get('/:provider/chapters/:anilistId', asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req);
+  const anilistId = requireAnilistId(req.params.anilistId);
+  
+  // ?refresh=true ignores the stored mapping and matches again,
+  // ?strict=true answers 404 instead of falling back to the first search result
+  const result = await mapper.getChapters(provider.id, anilistId, {
+    refresh: req.query.refresh === 'true',
+    strict: req.query.strict === 'true'
+  });
+  
+  res.json(result);
+}));
+
+// Fetch chapter pages from a provider; the rest of the path is the chapter ID
+app.get('/:provider/pages/*', asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req);
+  const chapterId = provider.resolveChapterId(req.params[0] || '');
+  
+  if (!chapterId) {
+    throw new InvalidInputError('Please provide a valid Chapter ID');
   }
-});
+  
+  const pages = await provider.fetchChapterPages(chapterId);
+  
+  // ?proxy=true points every page at /proxy/image so hotlink-protected images load
+  res.json({
+    success: true,
+    provider: provider.id,
+    chapterId,
+    pages: req.query.proxy === 'true' ? proxyPages(pages, provider, getBaseUrl(req)) : pages
+  });
+}));
 
-// AniList to MangaKakalot mapper - get chapters by AniList ID
-app.get('/mangakakalot/chapters/:anilistId', async (req, res) => {
-  try {
-    const { anilistId } = req.params;
-    
-    if (!anilistId || isNaN(parseInt(anilistId))) {
-      return res.status(400).json({ 
-        error: 'Invalid Anilist ID',
-        message: 'Please provide a valid numeric Anilist ID'
-      });
-    }
-    
-    const result = await mapper.getChaptersByAnilistIdFromMangaKakalot(anilistId);
-    
-    res.json(result);
-  } catch (error) {
-    // Check for specific error types
-    if (error.message.includes('No media found with ID') || 
-        error.message.includes('Anilist API error')) {
-      return res.status(404).json({ 
-        error: 'Anilist ID not found',
-        message: `The Anilist ID ${req.params.anilistId} could not be found. Please verify the ID is correct.`,
-        details: error.message
-      });
-    }
-    
-    if (error.message.includes('No matching manga found on MangaKakalot')) {
-      return res.status(404).json({ 
-        error: 'Manga not found',
-        message: 'Could not find matching manga on MangaKakalot',
-        details: error.message
-      });
+// Download a chapter as a CBZ archive; ?anilistId= adds series metadata to ComicInfo.xml
+app.get('/:provider/download/*.cbz', asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req);
+  const chapterId = provider.resolveChapterId(req.params[0] || '');
+  
+  if (!chapterId) {
+    throw new InvalidInputError('Please provide a valid Chapter ID');
+  }
+  
+  const pages = await provider.fetchChapterPages(chapterId);
+  
+  if (!pages || pages.length === 0) {
+    throw new NotFoundError(`${provider.name} returned no pages for chapter ${chapterId}`);
+  }
+  
+  // Metadata is best effort: a failed lookup still yields the archive. The chapter's
+  // title and date come from the stored mapping's chapter list; matching the manga
+  // from scratch is too much work for metadata, so without one they come from the ID.
+  let anilist = null;
+  let chapterEntry = null;
+  const { anilistId } = req.query;
+  if (anilistId && !isNaN(parseInt(anilistId))) {
+    try {
+      anilist = await mapper.anilist.getInfo(anilistId);
+      
+      const stored = mapper.mappings.get(anilistId, provider.id);
+      if (stored) {
+        const { chapters = [] } = await provider.getMangaInfo(stored.mangaId);
+        chapterEntry = chapters.find(chapter =>
+          chapter.id && provider.resolveChapterId(String(chapter.id)) === chapterId
+        ) || null;
+      }
+    } catch (error) {
+      log.warn('CBZ metadata lookup failed', { provider: provider.id, chapterId, error });
     }
-    
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
   }
-});
-
-// Fetch chapter pages from MangaBuddy by chapter ID
-app.get('/mangabuddy/pages/:chapterId', async (req, res) => {
+  
+  const fileName = chapterId.split('/').pop().replace(/[^\w.-]+/g, '_') || 'chapter';
+  res.set({
+    'Content-Type': 'application/vnd.comicbook+zip',
+    'Content-Disposition': `attachment; filename="${fileName}.cbz"`
+  });
+  
   try {
-    const { chapterId } = req.params;
-    
-    if (!chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Chapter ID',
-        message: 'Please provide a valid Chapter ID'
-      });
-    }
-    
-    const pages = await mangaBuddyProvider.fetchChapterPages(chapterId);
-    
-    res.json({
-      success: true,
+    await writeCbz({
+      provider,
       chapterId,
-      pages
+      pages,
+      output: res,
+      anilist,
+      chapter: describeChapter(chapterEntry, chapterId)
     });
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
-  }
-});
-
-// Fetch chapter pages from MangaBuddy by manga ID and chapter ID
-app.get('/mangabuddy/pages/:mangaId/:chapterId', async (req, res) => {
-  try {
-    const { mangaId, chapterId } = req.params;
-    
-    if (!mangaId || !chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Manga ID or Chapter ID',
-        message: 'Please provide both a valid Manga ID and Chapter ID'
-      });
+    // Before the first page nothing is sent, so the error handler can still answer
+    if (!res.headersSent) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      throw error;
     }
     
-    // Combine the IDs as they appear in the URL path
-    const fullChapterId = `${mangaId}/${chapterId}`;
-    const pages = await mangaBuddyProvider.fetchChapterPages(fullChapterId);
-    
-    res.json({
-      success: true,
-      mangaId,
-      chapterId,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+    // Headers are already sent, so cut the connection rather than finish a broken archive
+    log.error('CBZ export failed', { provider: provider.id, chapterId, error });
+    res.destroy(error);
   }
-});
+}));
 
-// Fetch chapter pages from MangaKakalot by chapter ID
-app.get('/mangakakalot/pages/:chapterId', async (req, res) => {
-  try {
-    const { chapterId } = req.params;
-    
-    if (!chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Chapter ID',
-        message: 'Please provide a valid Chapter ID'
-      });
-    }
-    
-    const pages = await mangaKakalotProvider.fetchChapterPages(chapterId);
-    
-    res.json({
-      success: true,
-      chapterId,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
+// Stream a page image with the Referer and User-Agent its provider's CDN expects
+app.get('/proxy/image', asyncHandler(async (req, res) => {
+  const { url } = req.query;
+  const provider = getProvider(req.query.provider || '');
+  
+  if (!provider || !url) {
+    throw new InvalidInputError(`Both ?provider= (one of ${listProviders().map(p => p.id).join(', ')}) and ?url= are required`);
+  }
+  
+  if (!isAllowedImageUrl(provider, url)) {
+    throw new HostNotAllowedError(`Images for ${provider.name} can't be proxied from ${url}`);
   }
+  
+  const upstream = await fetchImage(provider, url, req.headers);
+  
+  res.status(upstream.status);
+  forwardImageHeaders(upstream, res);
+  
+  // pipeline stops the download when the client goes away, and ends the response
+  // when the image host fails partway through
+  pipeline(upstream.body, res, error => {
+    if (!error) return;
+    res.destroy();
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      log.debug('Image client went away', { provider: provider.id, url });
+    } else {
+      log.warn('Image stream failed', { provider: provider.id, url, error });
+    }
+  });
+}));
+
+// Outbound request queues: depth, tokens left and 429 pauses per upstream host
+app.get('/queue', (req, res) => {
+  res.json({ hosts: scheduler.getStats() });
 });
 
-// Fetch chapter pages from MangaKakalot by manga ID and chapter ID
-app.get('/mangakakalot/pages/:mangaId/:chapterId', async (req, res) => {
-  try {
-    const { mangaId, chapterId } = req.params;
-    
-    if (!mangaId || !chapterId) {
-      return res.status(400).json({ 
-        error: 'Invalid Manga ID or Chapter ID',
-        message: 'Please provide both a valid Manga ID and Chapter ID'
-      });
-    }
-    
-    // Combine the IDs as they appear in the URL path
-    const fullChapterId = `${mangaId}/${chapterId}`;
-    const pages = await mangaKakalotProvider.fetchChapterPages(fullChapterId);
-    
-    res.json({
-      success: true,
-      mangaId,
-      chapterId,
-      pages
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Server error',
-      message: error.message 
-    });
-  }
+// Liveness: the process is up and serving requests
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Last canary result per provider; ?refresh=true runs the canaries now and waits for them.
+// Answers 503 when every provider is down.
+app.get('/health/providers', asyncHandler(async (req, res) => {
+  const result = req.query.refresh === 'true' ? await health.checkAll() : health.getResults();
+  
+  res.status(result.status === 'down' ? 503 : 200).json(result);
+}));
+
+// Prometheus metrics: route and provider call counts and latency, errors, cache and match scores
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(registry.render());
 });
 
 // Home route for basic info
 app.get('/', (req, res) => {
   res.json({
     info: 'Anilist to Manga Mapper API',
+    providers: listProviders().map(provider => ({ id: provider.id, name: provider.name })),
     endpoints: {
-      'GET /mangadex/chapters/:anilistId': 'Get Mangadex chapters by Anilist ID',
-      'GET /mangadex/pages/:chapterId': 'Get MangaDex chapter pages by chapter ID',
-      'GET /asurascans/chapters/:anilistId': 'Get AsuraScans chapters by Anilist ID',
-      'GET /asurascans/pages/series/:seriesId/chapter/:chapterNum': 'Get AsuraScans chapter pages by series ID and chapter number',
-      'GET /mangapark/chapters/:anilistId': 'Get MangaPark chapters by Anilist ID',
-      'GET /mangapark/pages/title/:mangaId/:chapterId': 'Get MangaPark chapter pages by chapter ID',
-      'GET /mangabuddy/chapters/:anilistId': 'Get MangaBuddy chapters by Anilist ID',
-      'GET /mangabuddy/pages/:mangaId/:chapterId': 'Get MangaBuddy chapter pages by manga ID and chapter ID',
-      'GET /mangakakalot/chapters/:anilistId': 'Get MangaKakalot chapters by Anilist ID',
-      'GET /mangakakalot/pages/:mangaId/:chapterId': 'Get MangaKakalot chapter pages by manga ID and chapter ID'
+      'GET /chapters/:anilistId': 'Get chapters from every provider by Anilist ID, with per-provider status and timing',
+      'GET /search?q=:query': 'Search Anilist manga; supports ?page=, ?perPage=, ?format=MANGA,ONE_SHOT,NOVEL and ?withAvailability=true',
+      'GET /resolve?url=:providerUrl': 'Find the Anilist entry behind a provider link, with a confidence score and the other providers\' mappings',
+      'GET /resolve/:provider/:mangaId': 'Same as /resolve?url= for a provider manga ID',
+      'GET /index/:anilistId': 'Get one ordered chapter list across providers, with gaps and the provider furthest ahead',
+      'GET /:provider/chapters/:anilistId': 'Get a provider\'s chapters by Anilist ID',
+      'GET /read/:anilistId/:chapterNumber': 'Get a chapter\'s pages from the first provider that has it, failing over in READ_PROVIDERS order; supports ?providers=, ?part= and ?proxy=true',
+      'GET /:site/:id/chapters, /:site/:id/index, /:site/:id/:provider/chapters': 'Same as the Anilist routes for a MyAnimeList, Kitsu or MangaUpdates ID (:site is mal, kitsu or mangaupdates), with every known cross-site ID under ids',
+      'GET /:provider/pages/:chapterId': 'Get a provider\'s chapter pages by chapter ID (may contain slashes, e.g. mangaId/chapterId); ?proxy=true returns proxied image URLs',
+      'GET /:provider/download/:chapterId.cbz': 'Download a chapter as a CBZ archive with ComicInfo.xml; add ?anilistId= for series metadata',
+      'GET /proxy/image?provider=:provider&url=:imageUrl': 'Stream a page image with the Referer its provider requires',
+      'GET /queue': 'Outbound request queue depth and rate limit state per upstream host',
+      'GET /health': 'Liveness check',
+      'GET /health/providers': 'Last canary search, info and page check per provider: healthy, degraded or down with the failing step; ?refresh=true runs it now',
+      'GET /metrics': 'Prometheus metrics for routes, provider calls, errors, the cache and match scores'
     },
-    usage: 'Use a valid Anilist ID to fetch corresponding chapters from Mangadex, AsuraScans, MangaPark, MangaBuddy, or MangaKakalot, or use a chapter ID to fetch chapter pages from MangaDex, AsuraScans, MangaPark, MangaBuddy, or MangaKakalot'
+    usage: `Use a valid Anilist ID to fetch corresponding chapters from ${listProviders().map(p => p.name).join(', ')}, or use a chapter ID to fetch chapter pages`
   });
 });
 
 // Not found handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: 'The requested endpoint does not exist'
-  });
+app.use((req, res, next) => {
+  next(new NotFoundError('The requested endpoint does not exist'));
 });
 
-// Error handling middleware
+// Error handling middleware: every error answers with { error, code, message, details? }
+// and the status of its type, 500 for errors without one
 app.use((err, req, res, next) => {
-  res.status(500).json({ 
-    error: 'Internal server error', 
-    message: err.message 
-  });
+  // A streamed response can't switch to an error body
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+  
+  // Malformed JSON request bodies, as reported by express.json()
+  const error = err.type === 'entity.parse.failed' ? new InvalidInputError(`Invalid JSON body: ${err.message}`) : err;
+  const status = error.status || 500;
+  
+  metrics.errors.inc({ source: 'route', code: error.code || 'INTERNAL_ERROR' });
+  
+  if (status >= 500) {
+    log.error('Request failed', { method: req.method, path: req.originalUrl, error });
+  }
+  
+  if (error.retryAfter) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfter)));
+  }
+  
+  res.status(status).json(toResponseBody(error));
 });
 
 app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
-  console.log(`API available at http://localhost:${port}`);
+  log.info('Server running', { port: Number(port), url: `http://localhost:${port}` });
+  health.start();
 }); 
\ No newline at end of file
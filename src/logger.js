@@ -0,0 +1,193 @@
+// Structured JSON logging. Each line is one JSON object with the time, level,
+// scope (the module or provider logging) and message, plus the ID of the request
+// being served, so lines from concurrent requests can be told apart. The request
+// context travels with AsyncLocalStorage: the Mapper and providers never pass it
+// around, they just log. LOG_LEVEL picks the lowest level written (default info).
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+const crypto = require('node:crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+
+// Incoming X-Request-Id headers are kept when they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * JSON-safe form of an error. Typed errors are expected failures and are
+ * logged without their stack.
+ * @param {Error} error - Any error
+ * @returns {Object} - { name, message, code?, stack? }
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) serialized.code = error.code;
+  else serialized.stack = error.stack;
+  return serialized;
+}
+
+class Logger {
+  /**
+   * @param {string} scope - What is logging, e.g. "mapper" or a provider ID
+   * @param {Object} options
+   * @param {string} options.level - Lowest level written
+   * @param {Object} options.stream - Writable the lines go to
+   */
+  constructor(scope, { level = DEFAULT_LEVEL, stream = process.stdout } = {}) {
+    this.scope = scope;
+    this.level = level;
+    this.stream = stream;
+  }
+
+  /**
+   * Write one line if the level is enabled
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - What happened
+   * @param {Object} fields - Extra data; an `error` field is serialized
+   */
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const context = storage.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      scope: this.scope,
+      ...(context ? { requestId: context.requestId } : {}),
+      msg: message,
+      ...fields
+    };
+    if (fields.error) entry.error = serializeError(fields.error);
+
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+/**
+ * Logger for a module or provider
+ * @param {string} scope - Scope written on every line
+ * @param {Object} options - See Logger
+ * @returns {Logger}
+ */
+function createLogger(scope, options) {
+  return new Logger(scope, options);
+}
+
+/**
+ * Run a function with a request context that every log line and timing inside it sees
+ * @param {Object} context - { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever fn returns
+ */
+function runWithContext(context, fn) {
+  return storage.run({ timings: {}, ...context }, fn);
+}
+
+/**
+ * Context of the request being served, if any
+ * @returns {Object|undefined} - { requestId, timings }
+ */
+function getContext() {
+  return storage.getStore();
+}
+
+/**
+ * Time a step of the current request. Durations of the same step add up, so
+ * steps run in parallel for several providers can total more than the request.
+ * @param {string} step - anilist, search, match, info or pages
+ * @param {Function} fn - Sync or async function doing the work
+ * @returns {*} - Whatever fn returns
+ */
+function timed(step, fn) {
+  const context = storage.getStore();
+  if (!context) return fn();
+
+  const start = process.hrtime.bigint();
+  const record = () => {
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    context.timings[step] = Math.round(((context.timings[step] || 0) + ms) * 10) / 10;
+  };
+
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    record();
+    throw error;
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.finally(record);
+  }
+  record();
+  return result;
+}
+
+/**
+ * Express middleware giving each request an ID (X-Request-Id, echoed back) and
+ * logging one line per request with its status, duration and step timings
+ * @param {Logger} log - Logger for the request lines
+ * @returns {Function} - Express middleware
+ */
+function requestLogger(log = createLogger('request')) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const start = process.hrtime.bigint();
+
+    res.set('X-Request-Id', requestId);
+
+    runWithContext({ requestId }, () => {
+      const context = getContext();
+
+      // 'close' also fires when the client goes away before the response is done
+      res.on('close', () => {
+        storage.run(context, () => {
+          const status = res.statusCode;
+          log.write(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'Request completed', {
+            method: req.method,
+            path: req.originalUrl,
+            status,
+            ...(res.writableFinished ? {} : { aborted: true }),
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+            timings: context.timings
+          });
+        });
+      });
+
+      next();
+    });
+  };
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  runWithContext,
+  getContext,
+  timed,
+  requestLogger,
+  serializeError,
+  LEVELS
+};
@@ -0,0 +1,215 @@
+// Metadata signals that adjust a title match: format, start year, chapter and
+// volume counts, authors and publication status from AniList compared with
+// whatever a provider's search result or manga info exposes.
+
+const { tokenize } = require('./similarity');
+const { chapterNumberFrom } = require('../chapters/chapterNumber');
+
+// Score adjustments per signal. Title similarity stays the main factor; these
+// separate candidates whose titles are (nearly) identical.
+const WEIGHTS = {
+  authorMatch: 0.1,
+  authorMismatch: -0.15,
+  yearMatch: 0.05,
+  yearMismatch: -0.15,
+  chaptersMatch: 0.05,
+  chaptersMismatch: -0.1,
+  volumesMatch: 0.03,
+  volumesMismatch: -0.05,
+  statusMatch: 0.02,
+  statusMismatch: -0.05,
+  novel: -0.3,
+  oneShot: -0.2,
+  spinOff: -0.2
+};
+
+// Markers that a provider entry is not the manga itself
+const NOVEL_PATTERN = /\b(?:light\s*novel|web\s*novel|novel|ln)\b/i;
+const SPIN_OFF_PATTERN = /\b(?:doujin(?:shi)?|anthology|spin[\s-]?off|side\s*stor(?:y|ies)|fan\s*book|official\s*guide)\b/i;
+
+// AniList statuses mapped onto the words scanlation sites use
+const ANILIST_STATUSES = {
+  RELEASING: 'ongoing',
+  FINISHED: 'completed',
+  HIATUS: 'hiatus',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Normalize a provider status string
+ * @param {string} status - e.g. "Ongoing", "Completed", "On Hiatus"
+ * @returns {string|null} - ongoing | completed | hiatus | cancelled | null
+ */
+function normalizeStatus(status) {
+  if (!status || typeof status !== 'string') return null;
+
+  const value = status.toLowerCase();
+  if (/ongoing|releasing|publishing/.test(value)) return 'ongoing';
+  if (/complete|finished|ended/.test(value)) return 'completed';
+  if (/hiatus/.test(value)) return 'hiatus';
+  if (/cancel|dropped/.test(value)) return 'cancelled';
+  return null;
+}
+
+/**
+ * Collect the metadata a provider search result or manga info exposes
+ * @param {Object} manga - Search result, optionally merged with getMangaInfo output
+ * @returns {Object} - { authors, year, status, latestChapter, latestVolume, titles }
+ */
+function extractCandidateMetadata(manga) {
+  const authors = []
+    .concat(Array.isArray(manga.authors) ? manga.authors : [])
+    .concat(typeof manga.author === 'string' ? manga.author.split(/[,;]|\s&\s/) : [])
+    .map(author => (typeof author === 'string' ? author.trim() : ''))
+    .filter(author => author && !/^(?:unknown|updating)$/i.test(author));
+
+  const year = parseInt(manga.year || manga.releaseDate) || null;
+
+  // Alt titles come as strings, { lang: title } objects, or MangaKakalot's one string
+  // separated by semicolons or commas
+  const altTitles = typeof manga.altTitles === 'string'
+    ? manga.altTitles.split(/\s*[;,]\s*/)
+    : Array.isArray(manga.altTitles) ? manga.altTitles : [];
+
+  // Latest chapter from whichever field the provider fills in
+  let latestChapter = chapterNumberFrom(manga.lastChapter) || chapterNumberFrom(manga.latestChapter);
+  if (!latestChapter && Array.isArray(manga.latestChapters) && manga.latestChapters.length > 0) {
+    latestChapter = chapterNumberFrom(manga.latestChapters[0].name || manga.latestChapters[0].title);
+  }
+  if (!latestChapter && Array.isArray(manga.chapters) && manga.chapters.length > 0) {
+    latestChapter = Math.max(...manga.chapters.map(chapter =>
+      chapterNumberFrom(chapter.number) || chapterNumberFrom(chapter.chapterNumber) || chapterNumberFrom(chapter.title) || 0
+    )) || null;
+  }
+
+  return {
+    authors,
+    year,
+    status: normalizeStatus(manga.status),
+    latestChapter,
+    latestVolume: parseFloat(manga.lastVolume) || null,
+    titles: [manga.title].concat(altTitles)
+      .map(title => (title && typeof title === 'object' ? Object.values(title).join(' ') : title))
+      .filter(title => typeof title === 'string')
+  };
+}
+
+/**
+ * Whether two person names refer to the same person, in either name order
+ * ("Oda Eiichirou" / "Eiichiro Oda")
+ * @param {string} name1 - First name
+ * @param {string} name2 - Second name
+ * @returns {boolean} - True if one name's tokens are contained in the other's
+ */
+function sameAuthor(name1, name2) {
+  const tokens1 = tokenize(name1);
+  const tokens2 = tokenize(name2);
+  if (tokens1.length === 0 || tokens2.length === 0) return false;
+
+  const [shorter, longer] = tokens1.length <= tokens2.length ? [tokens1, tokens2] : [tokens2, tokens1];
+  return shorter.every(token => longer.includes(token));
+}
+
+/**
+ * Whether two counts are close enough to describe the same series
+ * @param {number} expected - Count from AniList
+ * @param {number} actual - Count from the provider
+ * @param {number} tolerance - Absolute difference always accepted
+ * @returns {boolean|null} - True if close, false if far off, null if in between
+ */
+function compareCounts(expected, actual, tolerance) {
+  const difference = Math.abs(expected - actual);
+  if (difference <= Math.max(tolerance, expected * 0.1)) return true;
+  if (actual < expected * 0.5 || actual > expected * 1.5) return false;
+  return null;
+}
+
+/**
+ * Compare AniList metadata with a provider candidate
+ * @param {Object} mediaInfo - AnilistProvider.getInfo output
+ * @param {Object} manga - Provider search result, optionally merged with its manga info
+ * @returns {Object} - { adjustment, signals: [{ signal, effect, detail }] }
+ */
+function compareMetadata(mediaInfo, manga) {
+  const candidate = extractCandidateMetadata(manga);
+  const signals = [];
+  const add = (signal, effect, detail) => signals.push({ signal, effect, detail });
+
+  const candidateTitles = candidate.titles.join(' | ');
+  const anilistTitles = [mediaInfo.title.romaji, mediaInfo.title.english, ...(mediaInfo.synonyms || [])]
+    .filter(Boolean)
+    .join(' | ');
+
+  // Format: novels and one-shots listed next to the manga
+  if (mediaInfo.format !== 'NOVEL' && NOVEL_PATTERN.test(candidateTitles)) {
+    add('format', WEIGHTS.novel, `Candidate looks like a novel, AniList format is ${mediaInfo.format}`);
+  }
+  if (mediaInfo.format === 'ONE_SHOT' && candidate.latestChapter > 3) {
+    add('format', WEIGHTS.oneShot, `AniList entry is a one-shot, candidate has ${candidate.latestChapter} chapters`);
+  }
+
+  // Spin-offs, anthologies and doujins share the parent series' title
+  const spinOffMarker = candidateTitles.match(SPIN_OFF_PATTERN);
+  if (spinOffMarker && !SPIN_OFF_PATTERN.test(anilistTitles)) {
+    add('spinOff', WEIGHTS.spinOff, `Candidate is marked "${spinOffMarker[0]}"`);
+  }
+
+  // Authors
+  if (mediaInfo.authors && mediaInfo.authors.length > 0 && candidate.authors.length > 0) {
+    const shared = mediaInfo.authors.find(author => candidate.authors.some(other => sameAuthor(author, other)));
+    if (shared) {
+      add('author', WEIGHTS.authorMatch, `Author ${shared} matches`);
+    } else {
+      add('author', WEIGHTS.authorMismatch, `Authors differ: ${candidate.authors.join(', ')} vs ${mediaInfo.authors.join(', ')}`);
+    }
+  }
+
+  // Start year
+  if (mediaInfo.startYear && candidate.year) {
+    const difference = Math.abs(mediaInfo.startYear - candidate.year);
+    if (difference <= 1) {
+      add('year', WEIGHTS.yearMatch, `Start year ${candidate.year} matches ${mediaInfo.startYear}`);
+    } else if (difference > 2) {
+      add('year', WEIGHTS.yearMismatch, `Start year ${candidate.year} differs from ${mediaInfo.startYear}`);
+    }
+  }
+
+  // Chapter and volume counts are only known on AniList once a series is finished
+  if (mediaInfo.chapters && candidate.latestChapter) {
+    const close = compareCounts(mediaInfo.chapters, candidate.latestChapter, 3);
+    if (close === true) {
+      add('chapters', WEIGHTS.chaptersMatch, `${candidate.latestChapter} chapters matches ${mediaInfo.chapters}`);
+    } else if (close === false) {
+      add('chapters', WEIGHTS.chaptersMismatch, `${candidate.latestChapter} chapters differs from ${mediaInfo.chapters}`);
+    }
+  }
+  if (mediaInfo.volumes && candidate.latestVolume) {
+    const close = compareCounts(mediaInfo.volumes, candidate.latestVolume, 1);
+    if (close === true) {
+      add('volumes', WEIGHTS.volumesMatch, `${candidate.latestVolume} volumes matches ${mediaInfo.volumes}`);
+    } else if (close === false) {
+      add('volumes', WEIGHTS.volumesMismatch, `${candidate.latestVolume} volumes differs from ${mediaInfo.volumes}`);
+    }
+  }
+
+  // Status: scanlations lag behind, so only a completed/ongoing contradiction counts against
+  const anilistStatus = ANILIST_STATUSES[mediaInfo.status] || null;
+  if (anilistStatus && candidate.status) {
+    if (anilistStatus === candidate.status) {
+      add('status', WEIGHTS.statusMatch, `Status ${candidate.status} matches`);
+    } else if (anilistStatus === 'ongoing' && candidate.status === 'completed') {
+      add('status', WEIGHTS.statusMismatch, `Candidate is completed but AniList says ${mediaInfo.status}`);
+    }
+  }
+
+  return {
+    adjustment: signals.reduce((total, signal) => total + signal.effect, 0),
+    signals
+  };
+}
+
+module.exports = {
+  compareMetadata,
+  extractCandidateMetadata,
+  normalizeStatus
+};
@@ -0,0 +1,211 @@
+// Title normalization and similarity scoring used to match AniList titles
+// against provider search results.
+
+// Minimum similarity for a search result to count as a match
+const MATCH_THRESHOLD = 0.5;
+
+// Articles carry no meaning for matching ("The Beginning After the End"),
+// nor does the "x" in "Spy x Family" / "Hunter x Hunter"
+const STOP_WORDS = new Set(['the', 'a', 'an', 'x']);
+
+// Season/part/volume suffixes that providers add or drop
+const SUFFIX_PATTERNS = [
+  /\s+(?:season|part|vol(?:ume)?|s)\s*\.?\s*\d+\s*$/,   // "Season 2", "Part 3", "Vol. 1", "S2"
+  /\s+\d+(?:st|nd|rd|th)\s+(?:season|part)\s*$/         // "2nd Season"
+];
+
+// Romanization variants collapse to one spelling: long vowels written as
+// "ou"/"oo"/"oh"/"uu" (after macrons were stripped) and the particle "wo"
+const ROMANIZATION_RULES = [
+  [/ou|oo|oh(?=[^aeiou]|$)/g, 'o'],
+  [/uu/g, 'u'],
+  [/\bwo\b/g, 'o']
+];
+
+// Tokens this close are treated as the same word ("levelling" / "leveling")
+const TOKEN_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Normalize a title for comparison: strip diacritics and punctuation, drop
+ * articles and season/part suffixes, and unify romanization variants.
+ * @param {string} title - Raw title
+ * @returns {string} - Normalized, space separated title
+ */
+function normalizeTitle(title) {
+  if (!title || typeof title !== 'string') return '';
+
+  // Parenthesized extras like "(Official)" or "(Delicious in Dungeon)" go,
+  // unless the whole title is bracketed ("【推しの子】")
+  const stripped = title.replace(/\s*[(\[【][^)\]】]*[)\]】]\s*/g, ' ').trim();
+
+  let normalized = (stripped || title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Diacritics, including macrons (ō -> o)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')            // "Ren'ai" -> "renai"
+    .replace(/[^\p{L}\p{N}]+/gu, ' ') // Any other punctuation separates words
+    .trim();
+
+  for (const pattern of SUFFIX_PATTERNS) {
+    normalized = normalized.replace(pattern, '');
+  }
+
+  for (const [pattern, replacement] of ROMANIZATION_RULES) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  return normalized
+    .split(/\s+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .join(' ');
+}
+
+/**
+ * Split a title into normalized tokens
+ * @param {string} title - Raw title
+ * @returns {string[]} - Tokens
+ */
+function tokenize(title) {
+  const normalized = normalizeTitle(title);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} s1 - First string
+ * @param {string} s2 - Second string
+ * @returns {number} - Edit distance
+ */
+function editDistance(s1, s2) {
+  const costs = [];
+  for (let i = 0; i <= s1.length; i++) {
+    let lastValue = i;
+    for (let j = 0; j <= s2.length; j++) {
+      if (i === 0) {
+        costs[j] = j;
+      } else if (j > 0) {
+        let newValue = costs[j - 1];
+        if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
+          newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
+        }
+        costs[j - 1] = lastValue;
+        lastValue = newValue;
+      }
+    }
+    if (i > 0) costs[s2.length] = lastValue;
+  }
+  return costs[s2.length];
+}
+
+/**
+ * Edit-distance ratio of two already normalized strings
+ * @param {string} s1 - First string
+ * @param {string} s2 - Second string
+ * @returns {number} - Similarity between 0 and 1
+ */
+function levenshteinRatio(s1, s2) {
+  const longerLength = Math.max(s1.length, s2.length);
+  if (longerLength === 0) return 1.0;
+
+  return (longerLength - editDistance(s1, s2)) / longerLength;
+}
+
+/**
+ * Character-level similarity of two token lists, insensitive to word order
+ * @param {string[]} tokens1 - First title tokens
+ * @param {string[]} tokens2 - Second title tokens
+ * @returns {number} - Similarity between 0 and 1
+ */
+function characterSimilarity(tokens1, tokens2) {
+  return Math.max(
+    levenshteinRatio(tokens1.join(' '), tokens2.join(' ')),
+    levenshteinRatio([...tokens1].sort().join(' '), [...tokens2].sort().join(' '))
+  );
+}
+
+/**
+ * Token-set similarity (Dice coefficient) where near-identical tokens count
+ * as partial matches
+ * @param {string[]} tokens1 - First title tokens
+ * @param {string[]} tokens2 - Second title tokens
+ * @returns {number} - Similarity between 0 and 1
+ */
+function tokenSimilarity(tokens1, tokens2) {
+  if (tokens1.length === 0 || tokens2.length === 0) return 0;
+
+  const remaining = [...tokens2];
+  let matched = 0;
+
+  for (const token of tokens1) {
+    let bestIndex = -1;
+    let bestScore = 0;
+
+    remaining.forEach((candidate, index) => {
+      const score = candidate === token ? 1 : levenshteinRatio(token, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    // Near matches earn less than exact ones so a single misspelled shared
+    // word can't carry two otherwise unrelated titles
+    if (bestIndex !== -1 && bestScore >= TOKEN_MATCH_THRESHOLD) {
+      matched += bestScore * bestScore;
+      remaining.splice(bestIndex, 1);
+    }
+  }
+
+  return (2 * matched) / (tokens1.length + tokens2.length);
+}
+
+/**
+ * Similarity for titles where one is the other plus a subtitle
+ * ("Rurouni Kenshin" / "Rurouni Kenshin: Meiji Kenkaku Romantan")
+ * @param {string[]} tokens1 - First title tokens
+ * @param {string[]} tokens2 - Second title tokens
+ * @returns {number} - Similarity between 0.5 and 1, or 0 if neither is a prefix
+ */
+function prefixSimilarity(tokens1, tokens2) {
+  const [shorter, longer] = tokens1.length <= tokens2.length ? [tokens1, tokens2] : [tokens2, tokens1];
+
+  // Single words ("Monster", "Kingdom") prefix far too many unrelated titles
+  if (shorter.length < 2 || !shorter.every((token, index) => longer[index] === token)) {
+    return 0;
+  }
+
+  return 0.5 + 0.5 * (shorter.length / longer.length);
+}
+
+/**
+ * Overall similarity of two titles, combining token-set and character similarity
+ * of their normalized forms
+ * @param {string} title1 - First title
+ * @param {string} title2 - Second title
+ * @returns {number} - Similarity between 0 and 1
+ */
+function titleSimilarity(title1, title2) {
+  const tokens1 = tokenize(title1);
+  const tokens2 = tokenize(title2);
+
+  if (tokens1.length === 0 || tokens2.length === 0) return 0;
+
+  // Titles that only differ in spacing ("Chainsaw Man" / "Chainsawman") are the same
+  if (tokens1.join('') === tokens2.join('')) return 1.0;
+
+  return Math.max(
+    (characterSimilarity(tokens1, tokens2) + tokenSimilarity(tokens1, tokens2)) / 2,
+    prefixSimilarity(tokens1, tokens2)
+  );
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeTitle,
+  tokenize,
+  levenshteinRatio,
+  characterSimilarity,
+  tokenSimilarity,
+  titleSimilarity
+};
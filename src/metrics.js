@@ -0,0 +1,280 @@
+// Prometheus metrics, rendered in the text exposition format by GET /metrics.
+// Counters and histograms are updated where things happen (routes, provider
+// calls, matching); state that already lives elsewhere (cache stats, request
+// queues) is read when the metrics are scraped.
+
+const { cache } = require('./cache');
+const { scheduler } = require('./http/scheduler');
+
+const PREFIX = 'manga_mapper_';
+
+// Seconds; scraped sites regularly take several seconds per page
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const SCORE_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 1];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels - Label names to values
+ * @returns {string} - Label string, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  /**
+   * @param {string} name - Metric name without the prefix
+   * @param {string} help - HELP text
+   * @param {Array<string>} labelNames - Labels every sample carries
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series for a label set, keyed in labelNames order so label order never matters
+  getSeries(labels, create) {
+    const values = this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]));
+    const key = JSON.stringify(values);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])),
+        ...create()
+      });
+    }
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  // For totals counted elsewhere and copied in at collection time
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    const lines = this.header('counter');
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    const lines = this.header('gauge');
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name without the prefix
+   * @param {string} help - HELP text
+   * @param {Array<string>} labelNames - Labels every sample carries
+   * @param {Array<number>} buckets - Upper bounds, ascending; +Inf is implied
+   */
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header('histogram');
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${Number(sum.toFixed(6))}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run a function before every render, to copy state kept elsewhere into gauges
+   * @param {Function} collector - Called with no arguments
+   */
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    for (const collector of this.collectors) collector();
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+
+  reset() {
+    for (const metric of this.metrics) metric.reset();
+  }
+}
+
+const registry = new Registry();
+
+const metrics = {
+  httpRequests: registry.counter('http_requests_total', 'API requests by route and status', ['method', 'route', 'status']),
+  httpDuration: registry.histogram('http_request_duration_seconds', 'API request latency by route', ['method', 'route']),
+  providerCalls: registry.counter('provider_calls_total', 'Upstream provider calls (cache misses) by outcome: ok, empty or the error code', ['provider', 'method', 'outcome']),
+  providerDuration: registry.histogram('provider_call_duration_seconds', 'Upstream provider call latency', ['provider', 'method']),
+  errors: registry.counter('errors_total', 'Errors by code, from API responses (route) and provider calls (provider)', ['source', 'code']),
+  matchScore: registry.histogram('match_score', 'Similarity score of provider matches; fallback="true" when no result reached the threshold', ['provider', 'fallback'], SCORE_BUCKETS),
+  cacheRequests: registry.counter('cache_requests_total', 'Cache lookups by kind and result', ['kind', 'result']),
+  cacheHitRatio: registry.gauge('cache_hit_ratio', 'Share of cache lookups answered from the cache since start', ['kind']),
+  providerHealth: registry.gauge('provider_health', 'Result of the last canary check: 2 healthy, 1 degraded, 0 down', ['provider']),
+  queueDepth: registry.gauge('upstream_queue_depth', 'Requests waiting for a rate limit slot per upstream host', ['host']),
+  upstreamRateLimited: registry.counter('upstream_rate_limited_total', '429s and Retry-After 503s received per upstream host', ['host'])
+};
+
+registry.onCollect(() => {
+  for (const [kind, { hits, misses }] of Object.entries(cache.kindStats)) {
+    metrics.cacheRequests.set({ kind, result: 'hit' }, hits);
+    metrics.cacheRequests.set({ kind, result: 'miss' }, misses);
+    metrics.cacheHitRatio.set({ kind }, hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(4)) : 0);
+  }
+
+  for (const [host, stats] of Object.entries(scheduler.getStats())) {
+    metrics.queueDepth.set({ host }, stats.queued);
+    metrics.upstreamRateLimited.set({ host }, stats.rateLimited);
+  }
+});
+
+/**
+ * Outcome label for a provider call result: empty search results, manga
+ * without chapters and chapters without pages are what broken scrapers return
+ * @param {string} method - search, getMangaInfo or fetchChapterPages
+ * @param {*} result - Call result
+ * @returns {string} - ok or empty
+ */
+function resultOutcome(method, result) {
+  if (method === 'search') return result && result.results && result.results.length > 0 ? 'ok' : 'empty';
+  if (method === 'getMangaInfo') return result && result.chapters && result.chapters.length > 0 ? 'ok' : 'empty';
+  return Array.isArray(result) && result.length > 0 ? 'ok' : 'empty';
+}
+
+/**
+ * Call a provider method, recording its latency and outcome
+ * @param {string} provider - Provider ID
+ * @param {string} method - search, getMangaInfo or fetchChapterPages
+ * @param {Function} fn - Async function making the call
+ * @returns {Promise<*>} - Whatever fn resolves to
+ */
+async function trackProviderCall(provider, method, fn) {
+  const start = process.hrtime.bigint();
+
+  try {
+    const result = await fn();
+    metrics.providerCalls.inc({ provider, method, outcome: resultOutcome(method, result) });
+    return result;
+  } catch (error) {
+    const code = error.code || 'INTERNAL_ERROR';
+    metrics.providerCalls.inc({ provider, method, outcome: code });
+    metrics.errors.inc({ source: 'provider', code });
+    throw error;
+  } finally {
+    metrics.providerDuration.observe({ provider, method }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+/**
+ * Express middleware counting requests and their latency per route. Routes are
+ * labelled by their pattern, so IDs don't explode the number of series.
+ * @returns {Function} - Express middleware
+ */
+function requestMetrics() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('close', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const labels = { method: req.method, route };
+
+      metrics.httpRequests.inc({ ...labels, status: res.statusCode });
+      metrics.httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  registry,
+  metrics,
+  trackProviderCall,
+  requestMetrics
+};
@@ -1,18 +1,34 @@
-const fetch = require('node-fetch');
+const { cache } = require('../cache');
+const { HttpClient, toResponseError } = require('../http/client');
+const { wrapError, AnilistNotFoundError, InvalidInputError, UpstreamError } = require('../errors');
+const { timed } = require('../logger');
 
 class AnilistProvider {
   constructor() {
     this.baseUrl = 'https://graphql.anilist.co';
+    this.http = new HttpClient({
+      id: 'anilist',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      }
+    });
   }
 
-  // Fetch anime info from Anilist GraphQL API
+  // Anime info, served from the cache when AniList was asked recently
   async getInfo(animeId) {
+    return timed('anilist', () => cache.wrap('anilist', String(animeId), () => this.fetchInfo(animeId)));
+  }
+
+  // Fetch anime info from Anilist GraphQL API
+  async fetchInfo(animeId) {
     try {
       // Expanded query that includes synonyms
       const query = `
         query ($id: Int) {
           Media(id: $id) {
             id
+            idMal
             title {
               romaji
               english
@@ -26,6 +42,22 @@ class AnilistProvider {
             status
             description
             genres
+            startDate {
+              year
+            }
+            chapters
+            volumes
+            staff(sort: [RELEVANCE, ROLE], perPage: 8) {
+              edges {
+                role
+                node {
+                  name {
+                    full
+                    native
+                  }
+                }
+              }
+            }
           }
         }
       `;
@@ -34,26 +66,22 @@ class AnilistProvider {
         id: parseInt(animeId)
       };
       
-      const response = await fetch(this.baseUrl, {
+      const response = await this.http.fetch(this.baseUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
         body: JSON.stringify({
           query,
           variables
         })
       });
       
-      const data = await response.json();
+      const data = await this.readResponse(response);
       
       if (data.errors) {
-        throw new Error(`Anilist API error: ${data.errors[0].message}`);
+        throw this.toError(data.errors, `No media found with ID ${animeId}`);
       }
       
       if (!data.data || !data.data.Media) {
-        throw new Error(`No media found with ID ${animeId}`);
+        throw new AnilistNotFoundError(`No media found with ID ${animeId}`);
       }
       
       const media = data.data.Media;
@@ -61,6 +89,7 @@ class AnilistProvider {
       // Create a simplified version with more information
       return {
         id: media.id,
+        idMal: media.idMal,
         title: {
           romaji: media.title.romaji,
           english: media.title.english,
@@ -73,19 +102,117 @@ class AnilistProvider {
         format: media.format,
         status: media.status,
         description: media.description,
-        genres: media.genres || []
+        genres: media.genres || [],
+        startYear: media.startDate ? media.startDate.year : null,
+        chapters: media.chapters,
+        volumes: media.volumes,
+        authors: this.getAuthors(media.staff)
       };
     } catch (error) {
-      throw new Error(`Failed to fetch anime info: ${error.message}`);
+      throw wrapError(error, 'Failed to fetch anime info', UpstreamError);
     }
   }
 
-  async search(query) {
+  // Anilist ID of a MyAnimeList manga, served from the cache when AniList was asked recently
+  async getIdByMal(malId) {
+    return timed('anilist', () => cache.wrap('anilist', `mal:${malId}`, () => this.fetchIdByMal(malId)));
+  }
+
+  async fetchIdByMal(malId) {
+    try {
+      const query = `
+        query ($idMal: Int) {
+          Media(idMal: $idMal, type: MANGA) {
+            id
+          }
+        }
+      `;
+      
+      const response = await this.http.fetch(this.baseUrl, {
+        method: 'POST',
+        body: JSON.stringify({
+          query,
+          variables: { idMal: parseInt(malId) }
+        })
+      });
+      
+      const data = await this.readResponse(response);
+      
+      // Anilist answers an unknown ID with a 404 error rather than empty data
+      if (data.errors && data.errors[0].status !== 404) {
+        throw this.toError(data.errors);
+      }
+      
+      return data.data && data.data.Media ? data.data.Media.id : null;
+    } catch (error) {
+      throw wrapError(error, 'Failed to look up MyAnimeList ID', UpstreamError);
+    }
+  }
+
+  // Parsed body of an Anilist answer. Unknown IDs and bad queries come back as 404
+  // and 400 with an errors array, left to toError; any other failure (429, 5xx) is
+  // thrown with its status instead of being read as JSON
+  async readResponse(response) {
+    if (!response.ok && response.status !== 400 && response.status !== 404) {
+      response.body.resume();
+      throw toResponseError(response, this.baseUrl);
+    }
+    
+    return response.json();
+  }
+
+  // Typed error for the errors array of an Anilist response
+  toError(errors, notFoundMessage = 'Anilist entry not found') {
+    const [error] = errors;
+    
+    if (error.status === 404) {
+      return new AnilistNotFoundError(notFoundMessage);
+    }
+    
+    if (error.status === 400) {
+      return new InvalidInputError(`Anilist API error: ${error.message}`);
+    }
+    
+    return new UpstreamError(`Anilist API error: ${error.message}`, { details: { status: error.status } });
+  }
+
+  // Names of the story and art staff, which is what providers list as authors
+  getAuthors(staff) {
+    if (!staff || !Array.isArray(staff.edges)) return [];
+    
+    const authors = [];
+    for (const edge of staff.edges) {
+      if (!edge.node || !/story|art|original/i.test(edge.role || '')) continue;
+      
+      for (const name of [edge.node.name.full, edge.node.name.native]) {
+        if (name && !authors.includes(name)) {
+          authors.push(name);
+        }
+      }
+    }
+    
+    return authors;
+  }
+
+  // Search Anilist manga entries, optionally limited to some formats (MANGA, ONE_SHOT, NOVEL)
+  async search(query, { page = 1, perPage = 20, formats = [] } = {}) {
+    const key = JSON.stringify([query, page, perPage, formats]);
+    return timed('anilist', () => cache.wrap('search', `anilist:${key}`, () => this.fetchSearch(query, { page, perPage, formats })));
+  }
+
+  async fetchSearch(query, { page, perPage, formats }) {
     try {
       const graphqlQuery = `
-        query ($search: String) {
-          Page(page: 1, perPage: 20) {
-            media(search: $search, type: ANIME, sort: POPULARITY_DESC) {
+        query ($search: String, $page: Int, $perPage: Int, $formats: [MediaFormat]) {
+          Page(page: $page, perPage: $perPage) {
+            pageInfo {
+              total
+              currentPage
+              lastPage
+              hasNextPage
+              perPage
+            }
+            media(search: $search, type: MANGA, format_in: $formats, sort: [SEARCH_MATCH, POPULARITY_DESC]) {
               id
               title {
                 romaji
@@ -95,55 +222,68 @@ class AnilistProvider {
               coverImage {
                 large
               }
+              synonyms
               format
               status
               description
               genres
+              startDate {
+                year
+              }
+              chapters
+              volumes
             }
           }
         }
       `;
       
       const variables = {
-        search: query
+        search: query,
+        page,
+        perPage,
+        // Anilist treats a null filter as "any format"
+        formats: formats.length > 0 ? formats : null
       };
       
-      const response = await fetch(this.baseUrl, {
+      const response = await this.http.fetch(this.baseUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
         body: JSON.stringify({
           query: graphqlQuery,
           variables
         })
       });
       
-      const data = await response.json();
+      const data = await this.readResponse(response);
       
       if (data.errors) {
-        throw new Error(`Anilist API error: ${data.errors[0].message}`);
+        throw this.toError(data.errors);
       }
       
       // Map results to a simplified format
-      return data.data.Page.media.map(media => ({
-        id: media.id,
-        title: {
-          romaji: media.title.romaji,
-          english: media.title.english,
-          native: media.title.native
-        },
-        coverImage: media.coverImage ? {
-          large: media.coverImage.large
-        } : null,
-        format: media.format,
-        status: media.status,
-        description: media.description,
-        genres: media.genres || []
-      }));
+      return {
+        pageInfo: data.data.Page.pageInfo,
+        results: data.data.Page.media.map(media => ({
+          id: media.id,
+          title: {
+            romaji: media.title.romaji,
+            english: media.title.english,
+            native: media.title.native
+          },
+          coverImage: media.coverImage ? {
+            large: media.coverImage.large
+          } : null,
+          synonyms: media.synonyms || [],
+          format: media.format,
+          status: media.status,
+          description: media.description,
+          genres: media.genres || [],
+          startYear: media.startDate ? media.startDate.year : null,
+          chapters: media.chapters,
+          volumes: media.volumes
+        }))
+      };
     } catch (error) {
-      throw new Error(`Failed to search anime: ${error.message}`);
+      throw wrapError(error, 'Failed to search manga', UpstreamError);
     }
   }
 
@@ -171,19 +311,15 @@ class AnilistProvider {
         }
       `;
       
-      const response = await fetch(this.baseUrl, {
+      const response = await this.http.fetch(this.baseUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
         body: JSON.stringify({ query })
       });
       
-      const data = await response.json();
+      const data = await this.readResponse(response);
       
       if (data.errors) {
-        throw new Error(`Anilist API error: ${data.errors[0].message}`);
+        throw this.toError(data.errors);
       }
       
       // Map results to a simplified format
@@ -203,7 +339,7 @@ class AnilistProvider {
         genres: media.genres || []
       }));
     } catch (error) {
-      throw new Error(`Failed to get trending anime: ${error.message}`);
+      throw wrapError(error, 'Failed to get trending anime', UpstreamError);
     }
   }
 }
@@ -1,8 +1,21 @@
 const { MANGA } = require('@consumet/extensions');
+const BaseProvider = require('./base');
+const { createAxiosAdapter } = require('../http/axiosAdapter');
+const { wrapError, UpstreamError } = require('../errors');
+const { normalizeChapters } = require('../chapters/normalize');
 
-class AsuraScansProvider {
+class AsuraScansProvider extends BaseProvider {
   constructor() {
+    super({ id: 'asurascans', name: 'AsuraScans' });
     this.client = new MANGA.AsuraScans();
+    // consumet's requests go through this.http like the scraped providers'
+    this.client.setAxiosAdapter(createAxiosAdapter(this.http));
+    // Page images live on the site's own storage subdomains
+    this.imageReferer = 'https://asuracomic.net/';
+    this.imageHosts = [
+      'asuracomic.net',
+      'asurascans.com'
+    ];
   }
 
   /**
@@ -13,13 +26,13 @@ class AsuraScansProvider {
    */
   async search(query, page = 1) {
     try {
-      console.log(`Searching AsuraScans for: ${query} (page ${page})`);
+      this.log.info('Searching', { query, page });
       const results = await this.client.search(query, page);
-      console.log(`Found ${results.results.length} manga results on AsuraScans`);
+      this.log.debug('Search results', { query, count: results.results.length });
       return results;
     } catch (error) {
-      console.error(`AsuraScans search error:`, error);
-      throw new Error(`Failed to search manga on AsuraScans: ${error.message}`);
+      this.log.error('Search failed', { query, error });
+      throw wrapError(error, 'Failed to search manga on AsuraScans', UpstreamError);
     }
   }
 
@@ -30,16 +43,47 @@ class AsuraScansProvider {
    */
   async getMangaInfo(mangaId) {
     try {
-      console.log(`Fetching manga info from AsuraScans for ID: ${mangaId}`);
+      this.log.info('Fetching manga info', { mangaId });
       const mangaInfo = await this.client.fetchMangaInfo(mangaId);
-      console.log(`Found ${mangaInfo.chapters.length} chapters for manga: ${mangaInfo.title}`);
-      return mangaInfo;
+      this.log.debug('Manga info', { mangaId, title: mangaInfo.title, chapters: mangaInfo.chapters.length });
+      return {
+        ...mangaInfo,
+        chapters: normalizeChapters(mangaInfo.chapters.map(chapter => ({
+          ...chapter,
+          url: `https://asuracomic.net/series/${chapter.id}`
+        })))
+      };
     } catch (error) {
-      console.error(`AsuraScans info error:`, error);
-      throw new Error(`Failed to get manga info from AsuraScans: ${error.message}`);
+      this.log.error('Manga info failed', { mangaId, error });
+      throw wrapError(error, 'Failed to get manga info from AsuraScans', UpstreamError);
     }
   }
 
+  /**
+   * Accept both `seriesId/chapter/N` and the site's `series/seriesId/chapter/N` form
+   * @param {string} chapterPath - Raw path after `/pages/`
+   * @returns {string} - Chapter ID
+   */
+  resolveChapterId(chapterPath) {
+    return super.resolveChapterId(chapterPath).replace(/^series\//, '');
+  }
+
+  /**
+   * Parse https://asuracomic.net/series/<slug>[/chapter/<n>] links. Manga IDs keep
+   * the `series/` prefix, as search returns them; chapter IDs drop it
+   * @param {string} url - AsuraScans URL
+   * @returns {Object|null} - { mangaId, chapterId } or null
+   */
+  parseUrl(url) {
+    const segments = this.getPathSegments(url, ['asuracomic.net', 'asurascans.com']);
+    if (!segments || segments[0] !== 'series' || !segments[1]) return null;
+    
+    return {
+      mangaId: segments.slice(0, 2).join('/'),
+      chapterId: segments[2] === 'chapter' && segments[3] ? segments.slice(1, 4).join('/') : null
+    };
+  }
+
   /**
    * Fetch chapter pages from AsuraScans
    * @param {string} chapterId - The chapter ID
@@ -47,13 +91,13 @@ class AsuraScansProvider {
    */
   async fetchChapterPages(chapterId) {
     try {
-      console.log(`Fetching chapter pages from AsuraScans for chapter ID: ${chapterId}`);
+      this.log.info('Fetching chapter pages', { chapterId });
       const pages = await this.client.fetchChapterPages(chapterId);
-      console.log(`Retrieved ${pages.length} pages for chapter ID: ${chapterId}`);
+      this.log.debug('Chapter pages', { chapterId, count: pages.length });
       return pages;
     } catch (error) {
-      console.error(`AsuraScans chapter pages error:`, error);
-      throw new Error(`Failed to fetch chapter pages from AsuraScans: ${error.message}`);
+      this.log.error('Chapter pages failed', { chapterId, error });
+      throw wrapError(error, 'Failed to fetch chapter pages from AsuraScans', UpstreamError);
     }
   }
 }
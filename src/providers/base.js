@@ -0,0 +1,179 @@
+/**
+ * Common contract shared by every manga provider.
+ *
+ * Subclasses must implement:
+ *  - search(query)               -> { results: [{ id, title, altTitles?, image?, ... }] }
+ *  - getMangaInfo(mangaId)       -> { id, title, chapters: [...], ... }
+ *  - fetchChapterPages(chapterId) -> [{ url, index }]
+ *
+ * And may implement:
+ *  - findExactMatch(mediaInfo)   -> { id, title } | null, for sites that record AniList IDs
+ *  - parseUrl(url)               -> { mangaId, chapterId? } | null, for links to the provider's site
+ *
+ * Requests to the site go through `this.http`, the shared HttpClient, so they
+ * are rate limited, retried and proxied like every other provider's. Log with
+ * `this.log`, scoped to the provider ID.
+ *
+ * Scraped sites pass their base URLs as `mirrors`, build URLs from `this.baseUrl`
+ * and load pages with `this.fetchText`, which moves on to the next mirror when
+ * the one in use is down or parked.
+ *
+ * And may set, for the image proxy:
+ *  - imageReferer - Referer the image CDN expects (default for mirrored sites: the mirror in use)
+ *  - imageHosts   - Domains page images are served from, besides the mirrors
+ */
+const { cache } = require('../cache');
+const { HttpClient } = require('../http/client');
+const { MirrorList, createMirrorList, isParkedPage, isMirrorFailure } = require('../http/mirrors');
+const { UpstreamError } = require('../errors');
+const { createLogger, timed } = require('../logger');
+const { trackProviderCall } = require('../metrics');
+
+// Provider methods served through the cache, with the cache kind selecting the TTL
+// and doubling as the step name in request timings
+const CACHED_METHODS = {
+  search: 'search',
+  getMangaInfo: 'info',
+  fetchChapterPages: 'pages'
+};
+
+class BaseProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Route key used in `/:provider/...` URLs
+   * @param {string} options.name - Human readable provider name
+   * @param {Object} options.headers - Default headers for requests to the site
+   * @param {string[]} options.mirrors - Base URLs of the site, first preferred; MIRRORS_<ID> overrides them
+   */
+  constructor({ id, name, headers = {}, mirrors = [] }) {
+    this.id = id;
+    this.name = name;
+    this.http = new HttpClient({ id, headers });
+    this.log = createLogger(id);
+    this.mirrors = mirrors.length > 0 ? createMirrorList(id, mirrors) : null;
+    // Seconds this provider's results may be cached at most, per cache kind
+    this.maxCacheTtls = {};
+
+    // Subclass methods live on the prototype, so wrapping own properties here
+    // puts every provider behind the cache, the timings and the metrics without touching its code
+    for (const [method, kind] of Object.entries(CACHED_METHODS)) {
+      const original = this[method];
+      if (typeof original !== 'function') continue;
+
+      this[method] = async (...args) => {
+        const result = await timed(kind, () => cache.wrap(kind, `${this.id}:${JSON.stringify(args)}`, () =>
+          trackProviderCall(this.id, method, () => original.apply(this, args)), this.maxCacheTtls[kind]));
+        return this.mirrors ? this.mirrors.rewriteLinks(result) : result;
+      };
+    }
+  }
+
+  /**
+   * Base URL of the mirror in use
+   * @returns {string|undefined}
+   */
+  get baseUrl() {
+    return this.mirrors ? this.mirrors.current : undefined;
+  }
+
+  /**
+   * Pin the provider to one base URL; links to the mirrors it replaces are rewritten to it
+   * @param {string} url - Base URL
+   */
+  set baseUrl(url) {
+    this.mirrors = new MirrorList([url], this.mirrors ? this.mirrors.urls : []);
+  }
+
+  /**
+   * Fetch a page of the site. URLs on any mirror are sent to the one in use, and
+   * when it can't be reached or serves a parked domain page the next mirror is
+   * tried, until each was tried once. Providers sending their site as Referer
+   * send the mirror in use.
+   * @param {string} url - Page URL
+   * @param {Object} options - See HttpClient.fetch
+   * @returns {Promise<string>} - Page body
+   */
+  async fetchText(url, options = {}) {
+    if (!this.mirrors || !this.mirrors.owns(url)) return this.http.text(url, options);
+
+    const tried = new Set();
+    for (;;) {
+      const mirror = this.mirrors.current;
+      const target = this.mirrors.rewrite(url);
+      const referer = this.http.headers.Referer ? { Referer: `${mirror}/` } : {};
+      tried.add(mirror);
+
+      try {
+        const body = await this.http.text(target, { ...options, headers: { ...referer, ...options.headers } });
+        if (isParkedPage(body)) {
+          throw new UpstreamError(`${mirror} serves a parked domain page`, { details: { url: target } });
+        }
+        return body;
+      } catch (error) {
+        if (!isMirrorFailure(error)) throw error;
+
+        const next = this.mirrors.rotate(mirror);
+        if (tried.has(next)) throw error;
+        this.log.warn('Mirror failed, switching', { from: mirror, to: next, error });
+      }
+    }
+  }
+
+  /**
+   * Call search, getMangaInfo or fetchChapterPages straight on the site,
+   * skipping the cache. Health checks use it so stale cached results can't
+   * hide a broken scraper.
+   * @param {string} method - Method name
+   * @param {...*} args - Method arguments
+   * @returns {Promise<*>} - The method's result
+   */
+  callUncached(method, ...args) {
+    return Object.getPrototypeOf(this)[method].apply(this, args);
+  }
+
+  /**
+   * Turn the path captured by `/:provider/pages/*` into the chapter ID
+   * expected by fetchChapterPages. Providers override this when their
+   * public URLs carry extra segments.
+   * @param {string} chapterPath - Raw path after `/pages/`
+   * @returns {string} - Chapter ID
+   */
+  resolveChapterId(chapterPath) {
+    return chapterPath.replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Parse a link to the provider's site. Providers that can be resolved from
+   * a URL override this.
+   * @param {string} url - Manga or chapter URL
+   * @returns {Object|null} - { mangaId, chapterId } or null if the URL isn't theirs
+   */
+  parseUrl(url) {
+    return null;
+  }
+
+  /**
+   * Path segments of a URL on one of the given domains
+   * @param {string} url - URL to parse
+   * @param {string[]} domains - Accepted domains besides the mirrors; subdomains match too
+   * @returns {string[]|null} - Decoded path segments, or null for other sites and invalid URLs
+   */
+  getPathSegments(url, domains) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    if (this.mirrors) domains = [...domains, ...this.mirrors.hosts];
+    if (!domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+      return null;
+    }
+
+    return parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,40 @@
+const MangadexProvider = require('./mangadex');
+const AsuraScansProvider = require('./asurascans');
+const MangaParkProvider = require('./mangapark');
+const MangaBuddyProvider = require('./mangabuddy');
+const MangaKakalotProvider = require('./mangakakalot');
+
+// Registered providers, keyed by the ID used in `/:provider/...` routes.
+// Adding a source only requires a BaseProvider subclass and an entry here.
+const providers = new Map(
+  [
+    new MangadexProvider(),
+    new AsuraScansProvider(),
+    new MangaParkProvider(),
+    new MangaBuddyProvider(),
+    new MangaKakalotProvider()
+  ].map(provider => [provider.id, provider])
+);
+
+/**
+ * Look up a provider by its route key
+ * @param {string} id - Provider ID, e.g. "mangadex"
+ * @returns {BaseProvider|null} - The provider instance or null if unknown
+ */
+function getProvider(id) {
+  if (!id) return null;
+  return providers.get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * List every registered provider in registration order
+ * @returns {BaseProvider[]} - Provider instances
+ */
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+module.exports = {
+  getProvider,
+  listProviders
+};
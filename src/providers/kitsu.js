@@ -0,0 +1,76 @@
+const { cache } = require('../cache');
+const { HttpClient, toResponseError } = require('../http/client');
+const { wrapError, UpstreamError } = require('../errors');
+
+// Kitsu's external site names for the IDs this API translates
+const SITES = {
+  anilist: 'anilist/manga',
+  mal: 'myanimelist/manga'
+};
+
+class KitsuProvider {
+  constructor() {
+    this.baseUrl = 'https://kitsu.app/api/edge';
+    this.http = new HttpClient({ id: 'kitsu', headers: { 'Accept': 'application/vnd.api+json' } });
+  }
+
+  // Anilist and MyAnimeList IDs Kitsu records for one of its manga
+  async getMappings(kitsuId) {
+    return cache.wrap('kitsu', String(kitsuId), () => this.fetchMappings(kitsuId));
+  }
+
+  async fetchMappings(kitsuId) {
+    try {
+      const url = `${this.baseUrl}/manga/${encodeURIComponent(kitsuId)}/mappings`;
+      const response = await this.http.fetch(url);
+      
+      if (response.status === 404) {
+        response.body.resume();
+        return null;
+      }
+      
+      if (!response.ok) {
+        response.body.resume();
+        throw toResponseError(response, url);
+      }
+      
+      const { data } = await response.json();
+      const mappings = {};
+      
+      for (const [key, site] of Object.entries(SITES)) {
+        const mapping = (data || []).find(entry => entry.attributes.externalSite === site);
+        mappings[key] = mapping ? parseInt(mapping.attributes.externalId) || null : null;
+      }
+      
+      return mappings;
+    } catch (error) {
+      throw wrapError(error, 'Failed to fetch Kitsu mappings', UpstreamError);
+    }
+  }
+
+  // Kitsu ID of the manga mapped to an Anilist ('anilist') or MyAnimeList ('mal') ID
+  async findId(site, externalId) {
+    return cache.wrap('kitsu', `${site}:${externalId}`, () => this.fetchId(site, externalId));
+  }
+
+  async fetchId(site, externalId) {
+    try {
+      const params = new URLSearchParams({
+        'filter[externalSite]': SITES[site],
+        'filter[externalId]': String(externalId),
+        'include': 'item'
+      });
+      
+      const { data } = await this.http.json(`${this.baseUrl}/mappings?${params}`);
+      const item = (data || [])
+        .map(mapping => mapping.relationships && mapping.relationships.item && mapping.relationships.item.data)
+        .find(related => related && related.type === 'manga');
+      
+      return item ? parseInt(item.id) : null;
+    } catch (error) {
+      throw wrapError(error, 'Failed to look up Kitsu ID', UpstreamError);
+    }
+  }
+}
+
+module.exports = KitsuProvider;
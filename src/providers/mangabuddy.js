@@ -1,10 +1,30 @@
-const fetch = require('node-fetch');
 const cheerio = require('cheerio');
+const BaseProvider = require('./base');
+const { wrapError, ParseError, UpstreamError } = require('../errors');
+const { normalizeChapters } = require('../chapters/normalize');
 
-class MangaBuddyProvider {
+// Domains of the image CDN, subdomains included. Page URLs on them are recognized
+// in chapter pages and allowed through the image proxy.
+const CDN_DOMAINS = ['mbcdn.xyz', 'mbbcdn.com', 'mbcdn.org', 'mbcdn.com'];
+
+// Page images on the CDN, wherever they appear in a chapter page
+const CDN_IMAGE_PATTERN = new RegExp(
+  `https?://(?:[a-z0-9-]+\\.)?(?:${CDN_DOMAINS.map(domain => domain.replace(/\./g, '\\.')).join('|')})` +
+  `/res/manga/[^"'\\s)]+\\.(?:jpg|jpeg|png|webp|gif)`,
+  'gi'
+);
+
+class MangaBuddyProvider extends BaseProvider {
   constructor() {
-    this.baseUrl = 'https://mangabuddy.com';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    super({ id: 'mangabuddy', name: 'MangaBuddy',
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml',
+        'Accept-Language': 'en-US,en;q=0.9'
+      },
+      mirrors: ['https://mangabuddy.com']
+    });
+    // The image CDN answers 403 without the site's Referer
+    this.imageHosts = CDN_DOMAINS;
   }
 
   /**
@@ -14,21 +34,9 @@ class MangaBuddyProvider {
    */
   async fetchHtml(url) {
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml',
-          'Accept-Language': 'en-US,en;q=0.9'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
-      }
-
-      return await response.text();
+      return await this.fetchText(url);
     } catch (error) {
-      console.error(`Error fetching ${url}:`, error);
+      this.log.warn('Fetch failed', { url, error });
       throw error;
     }
   }
@@ -40,11 +48,11 @@ class MangaBuddyProvider {
    */
   async search(query) {
     try {
-      // If query already contains plus signs, don't encode them again
-      const formattedQuery = query.includes('+') ? query : encodeURIComponent(query);
+      // MangaBuddy expects words joined with plus signs
+      const formattedQuery = query.trim().split(/\s+/).map(encodeURIComponent).join('+');
       const searchUrl = `${this.baseUrl}/search?q=${formattedQuery}`;
       
-      console.log(`Searching MangaBuddy for: ${query}`);
+      this.log.info('Searching', { query });
       
       const html = await this.fetchHtml(searchUrl);
       const $ = cheerio.load(html);
@@ -88,8 +96,8 @@ class MangaBuddyProvider {
         results: results
       };
     } catch (error) {
-      console.error('Search error:', error);
-      throw new Error(`Failed to search for manga: ${error.message}`);
+      this.log.error('Search failed', { query, error });
+      throw wrapError(error, 'Failed to search for manga', UpstreamError);
     }
   }
 
@@ -100,20 +108,21 @@ class MangaBuddyProvider {
    */
   async getMangaInfo(mangaId) {
     try {
-      console.log(`Getting manga info for: ${mangaId}`);
+      this.log.info('Fetching manga info', { mangaId });
       const startTime = Date.now();
       const mangaUrl = `${this.baseUrl}/${mangaId}`;
       
       const html = await this.fetchHtml(mangaUrl);
-      console.log(`Fetch completed in ${Date.now() - startTime}ms`);
-      
       // OPTIMIZATION: Only load cheerio once and use it for everything
       const $ = cheerio.load(html);
-      console.log(`Cheerio loaded in ${Date.now() - startTime}ms`);
       
       // OPTIMIZATION: Batch basic info extraction
       const title = $('.book-info .detail .name').text().trim();
       const image = $('.book-info .cover img').attr('src') || '';
+      
+      if (!title) {
+        throw new ParseError(`No manga title found at ${mangaUrl}`);
+      }
       const description = $('.book-info .summary .content').text().trim();
       const status = $('.book-info .detail .meta-item:contains("Status:") span').text().trim();
       const author = $('.book-info .detail .meta-item:contains("Author:") span').text().trim();
@@ -125,7 +134,11 @@ class MangaBuddyProvider {
         genres.push($(element).text().trim());
       });
       
-      console.log(`Basic info extracted in ${Date.now() - startTime}ms`);
+      // Chapters the page links to; the rest of the count is only assumed to exist
+      const linked = new Set();
+      for (const match of html.matchAll(/href="\/[^"]+\/chapter-(\d+)"/g)) {
+        linked.add(parseInt(match[1], 10));
+      }
       
       // ULTRA-FAST: Use regex directly on HTML to find latest chapter number
       let latestChapter = 1;
@@ -134,23 +147,17 @@ class MangaBuddyProvider {
       const chapterCountMatch = html.match(/CHAPTERS\s*\((\d+)\)/i);
       if (chapterCountMatch && chapterCountMatch[1]) {
         latestChapter = parseInt(chapterCountMatch[1], 10);
-        console.log(`Using chapter count from header: ${latestChapter}`);
+        this.log.debug('Using chapter count from header', { mangaId, latestChapter });
       } else {
-        // Method 2: Look for highest chapter in href using regex
-        const chapterMatches = Array.from(html.matchAll(/href="\/[^"]+\/chapter-(\d+)"/g));
-        for (const match of chapterMatches) {
-          if (match[1]) {
-            const num = parseInt(match[1], 10);
-            if (!isNaN(num) && num > latestChapter) {
-              latestChapter = num;
-            }
+        // Method 2: Highest chapter linked from the page
+        for (const num of linked) {
+          if (num > latestChapter) {
+            latestChapter = num;
           }
         }
-        console.log(`Found highest chapter from links: ${latestChapter}`);
+        this.log.debug('Using highest chapter from links', { mangaId, latestChapter });
       }
       
-      console.log(`Latest chapter (${latestChapter}) found in ${Date.now() - startTime}ms`);
-      
       // OPTIMIZATION: Use faster chapter generation with array pre-allocation
       // Pre-allocate array for better performance with large chapter counts
       const chaptersCount = latestChapter;
@@ -160,17 +167,18 @@ class MangaBuddyProvider {
       const urlPrefix = `${this.baseUrl}/${mangaId}/chapter-`;
       for (let i = 0; i < chaptersCount; i++) {
         const chapterNum = latestChapter - i;
+        // Chapters are generated from the count, so there is no upload date to report
         chapters[i] = {
-          id: `chapter-${chapterNum}`,
+          id: `${mangaId}/chapter-${chapterNum}`,
           title: `Chapter ${chapterNum}`,
-          number: String(chapterNum),
+          number: chapterNum,
           url: urlPrefix + chapterNum,
-          date: chapterNum === latestChapter ? 'Recent' : 'Unknown'
+          generated: !linked.has(chapterNum)
         };
       }
       
       const endTime = Date.now();
-      console.log(`Generated ${chapters.length} chapters in ${endTime - startTime}ms`);
+      this.log.debug('Generated chapters', { mangaId, count: chapters.length, durationMs: endTime - startTime });
       
       // Return the final manga info
       return {
@@ -182,14 +190,30 @@ class MangaBuddyProvider {
         status: status,
         author: author,
         rating: rating,
-        chapters: chapters
+        chapters: normalizeChapters(chapters)
       };
     } catch (error) {
-      console.error('Get manga info error:', error);
-      throw new Error(`Failed to get manga info: ${error.message}`);
+      this.log.error('Manga info failed', { mangaId, error });
+      throw wrapError(error, 'Failed to get manga info', UpstreamError);
     }
   }
   
+  /**
+   * Parse https://mangabuddy.com/<slug>[/chapter-<n>] links
+   * @param {string} url - MangaBuddy URL
+   * @returns {Object|null} - { mangaId, chapterId } or null
+   */
+  parseUrl(url) {
+    const segments = this.getPathSegments(url, ['mangabuddy.com']);
+    // Site pages like /search or /genres/action aren't manga
+    if (!segments || !segments[0] || ['search', 'genres', 'latest', 'popular', 'top', 'home'].includes(segments[0])) return null;
+    
+    return {
+      mangaId: segments[0],
+      chapterId: segments[1] ? segments.slice(0, 2).join('/') : null
+    };
+  }
+
   /**
    * Get chapter images
    * @param {string} mangaId - The manga ID or slug
@@ -198,7 +222,7 @@ class MangaBuddyProvider {
    */
   async getChapterImages(mangaId, chapterId) {
     try {
-      console.log(`Getting chapter images for manga: ${mangaId}, chapter: ${chapterId}`);
+      this.log.info('Fetching chapter images', { mangaId, chapterId });
       const chapterUrl = `${this.baseUrl}/${mangaId}/${chapterId}`;
       
       const html = await this.fetchHtml(chapterUrl);
@@ -228,8 +252,8 @@ class MangaBuddyProvider {
         images: images
       };
     } catch (error) {
-      console.error('Get chapter images error:', error);
-      throw new Error(`Failed to get chapter images: ${error.message}`);
+      this.log.error('Chapter images failed', { mangaId, chapterId, error });
+      throw wrapError(error, 'Failed to get chapter images', UpstreamError);
     }
   }
   
@@ -240,7 +264,7 @@ class MangaBuddyProvider {
    */
   async fetchChapterPages(chapterId) {
     try {
-      console.log(`Fetching chapter pages from MangaBuddy for chapter ID: ${chapterId}`);
+      this.log.info('Fetching chapter pages', { chapterId });
       
       // Parse the chapterId to handle various formats
       let mangaId = '';
@@ -266,7 +290,7 @@ class MangaBuddyProvider {
         ? `${this.baseUrl}/${mangaId}/${chapterPath}`
         : `${this.baseUrl}/${chapterPath}`;
       
-      console.log(`Requesting URL: ${chapterUrl}`);
+      this.log.debug('Requesting chapter', { url: chapterUrl });
       
       // Fetch chapter page HTML
       const htmlContent = await this.fetchHtml(chapterUrl);
@@ -279,12 +303,12 @@ class MangaBuddyProvider {
       const commaListMatches = Array.from(htmlContent.matchAll(commaListRegex));
       
       if (commaListMatches.length > 0) {
-        console.log(`Found ${commaListMatches.length} comma-separated lists of images`);
+        this.log.debug('Found comma-separated image lists', { count: commaListMatches.length });
         
         for (const match of commaListMatches) {
           // Split the comma-separated list into individual URLs
           const urls = match[0].split(',');
-          console.log(`Split list into ${urls.length} individual URLs`);
+          this.log.debug('Split image list', { count: urls.length });
           
           for (const url of urls) {
             if (url && url.trim() && 
@@ -328,11 +352,10 @@ class MangaBuddyProvider {
       
       // Method 3: Check for specific image domains used by MangaBuddy
       if (uniqueUrls.size === 0) {
-        const mbDomainRegex = /https?:\/\/(?:[a-z0-9-]+\.)?mbcdn[a-z0-9]*\.(?:org|com)\/res\/manga\/[^"'\s)]+\.(?:jpg|jpeg|png|webp|gif)/gi;
-        const mbDomainMatches = Array.from(htmlContent.matchAll(mbDomainRegex));
+        const mbDomainMatches = Array.from(htmlContent.matchAll(CDN_IMAGE_PATTERN));
         
         if (mbDomainMatches.length > 0) {
-          console.log(`Found ${mbDomainMatches.length} images from MangaBuddy domains`);
+          this.log.debug('Found images on MangaBuddy domains', { count: mbDomainMatches.length });
           
           for (const match of mbDomainMatches) {
             const imageUrl = match[0];
@@ -349,7 +372,7 @@ class MangaBuddyProvider {
         const jsonMatches = Array.from(htmlContent.matchAll(jsonRegex));
         
         if (jsonMatches.length > 0) {
-          console.log(`Found ${jsonMatches.length} images in JSON data`);
+          this.log.debug('Found images in JSON data', { count: jsonMatches.length });
           
           for (const match of jsonMatches) {
             const imageUrl = match[1].replace(/\\u002F/g, '/').replace(/\\\//g, '/');
@@ -387,7 +410,7 @@ class MangaBuddyProvider {
               }
               
               if (Array.isArray(imgData) && imgData.length > 0) {
-                console.log(`Found ${imgData.length} images in script data`);
+                this.log.debug('Found images in script data', { count: imgData.length });
                 
                 for (const img of imgData) {
                   const imgUrl = typeof img === 'string' ? img : (img.url || img.src || img.path || img.i || img.img || '');
@@ -400,7 +423,7 @@ class MangaBuddyProvider {
                 if (uniqueUrls.size > 0) break;
               }
             } catch (e) {
-              console.error("Error parsing image data from script:", e);
+              this.log.debug('Could not parse image data from script', { error: e });
             }
           }
         }
@@ -412,7 +435,7 @@ class MangaBuddyProvider {
         const broadMatches = Array.from(htmlContent.matchAll(broadImageRegex));
         
         if (broadMatches.length > 0) {
-          console.log(`Found ${broadMatches.length} images with broad matching`);
+          this.log.debug('Found images with broad matching', { count: broadMatches.length });
           
           for (const match of broadMatches) {
             const imageUrl = match[0].trim();
@@ -442,11 +465,15 @@ class MangaBuddyProvider {
       // Sort pages by index to ensure correct order
       pages.sort((a, b) => a.index - b.index);
       
-      console.log(`Retrieved ${pages.length} pages for chapter ID: ${chapterId}`);
+      if (pages.length === 0) {
+        throw new ParseError(`No page images found at ${chapterUrl}`);
+      }
+      
+      this.log.debug('Chapter pages', { chapterId, count: pages.length });
       return pages;
     } catch (error) {
-      console.error(`MangaBuddy chapter pages error:`, error);
-      throw new Error(`Failed to fetch chapter pages from MangaBuddy: ${error.message}`);
+      this.log.error('Chapter pages failed', { chapterId, error });
+      throw wrapError(error, 'Failed to fetch chapter pages from MangaBuddy', UpstreamError);
     }
   }
 }
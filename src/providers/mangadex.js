@@ -1,41 +1,112 @@
 const { MANGA } = require('@consumet/extensions');
+const BaseProvider = require('./base');
+const { createAxiosAdapter } = require('../http/axiosAdapter');
+const { wrapError, UpstreamError } = require('../errors');
+const { normalizeChapters } = require('../chapters/normalize');
 
-class MangadexProvider {
+class MangadexProvider extends BaseProvider {
   constructor() {
+    super({ id: 'mangadex', name: 'MangaDex' });
     // Create a new instance of MangaDex
     this.client = new MANGA.MangaDex();
+    // consumet's requests go through this.http like the scraped providers'
+    this.client.setAxiosAdapter(createAxiosAdapter(this.http));
+    this.apiUrl = 'https://api.mangadex.org';
+    // Pages come from MangaDex@Home nodes under mangadex.network
+    this.imageReferer = 'https://mangadex.org/';
+    this.imageHosts = [
+      'mangadex.network',
+      'mangadex.org'
+    ];
+    // Page URLs are built on the node /at-home/server hands out, which is only good
+    // for about 15 minutes
+    this.maxCacheTtls = { pages: 5 * 60 };
   }
 
   async search(query) {
     try {
-      console.log(`Searching MangaDex for: ${query}`);
+      this.log.info('Searching', { query });
       // Use the instance method for search
       return await this.client.search(query);
     } catch (error) {
-      console.error(`MangaDex search error:`, error);
-      throw new Error(`Failed to search manga: ${error.message}`);
+      this.log.error('Search failed', { query, error });
+      throw wrapError(error, 'Failed to search manga', UpstreamError);
     }
   }
 
+  /**
+   * Find the MangaDex manga whose AniList link (`links.al`) is the given entry.
+   * MangaDex can't filter by link, so each AniList title is searched and the
+   * results' links are compared.
+   * @param {Object} mediaInfo - AnilistProvider.getInfo output
+   * @returns {Promise<Object|null>} - { id, title } or null if no manga links to it
+   */
+  async findExactMatch(mediaInfo) {
+    const titles = [mediaInfo.title.english, mediaInfo.title.romaji, ...(mediaInfo.synonyms || [])]
+      .filter((title, index, all) => title && all.indexOf(title) === index)
+      .slice(0, 4);
+    
+    for (const title of titles) {
+      const params = new URLSearchParams({ title, limit: '20' });
+      for (const rating of ['safe', 'suggestive', 'erotica', 'pornographic']) {
+        params.append('contentRating[]', rating);
+      }
+      
+      const { data } = await this.http.json(`${this.apiUrl}/manga?${params}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+      const linked = (data || []).find(manga =>
+        manga.attributes.links && String(manga.attributes.links.al) === String(mediaInfo.id)
+      );
+      
+      if (linked) {
+        const names = linked.attributes.title || {};
+        this.log.info('Manga links to AniList', { mangaId: linked.id, anilistId: mediaInfo.id });
+        return { id: linked.id, title: names.en || Object.values(names)[0] || title };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Parse https://mangadex.org/title/<uuid>/<slug> links
+   * @param {string} url - MangaDex URL
+   * @returns {Object|null} - { mangaId } or null
+   */
+  parseUrl(url) {
+    const segments = this.getPathSegments(url, ['mangadex.org']);
+    if (!segments || segments[0] !== 'title' || !/^[0-9a-f-]{36}$/i.test(segments[1] || '')) return null;
+    
+    return { mangaId: segments[1] };
+  }
+
   async getMangaInfo(id) {
     try {
-      console.log(`Fetching manga info from MangaDex for ID: ${id}`);
+      this.log.info('Fetching manga info', { mangaId: id });
       // Use the instance method for fetchMangaInfo
-      return await this.client.fetchMangaInfo(id);
+      const mangaInfo = await this.client.fetchMangaInfo(id);
+      return {
+        ...mangaInfo,
+        chapters: normalizeChapters((mangaInfo.chapters || []).map(chapter => ({
+          ...chapter,
+          url: `https://mangadex.org/chapter/${chapter.id}`
+        })))
+      };
     } catch (error) {
-      console.error(`MangaDex info error:`, error);
-      throw new Error(`Failed to get manga info: ${error.message}`);
+      this.log.error('Manga info failed', { mangaId: id, error });
+      throw wrapError(error, 'Failed to get manga info', UpstreamError);
     }
   }
 
   async fetchChapterPages(chapterId) {
     try {
-      console.log(`Fetching chapter pages from MangaDex for chapter ID: ${chapterId}`);
+      this.log.info('Fetching chapter pages', { chapterId });
       // Use the instance method for fetchChapterPages
       return await this.client.fetchChapterPages(chapterId);
     } catch (error) {
-      console.error(`MangaDex chapter pages error:`, error);
-      throw new Error(`Failed to fetch chapter pages: ${error.message}`);
+      this.log.error('Chapter pages failed', { chapterId, error });
+      throw wrapError(error, 'Failed to fetch chapter pages', UpstreamError);
     }
   }
 }
@@ -1,15 +1,27 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
+const BaseProvider = require('./base');
+const { wrapError, ParseError, UpstreamError } = require('../errors');
+const { normalizeChapters } = require('../chapters/normalize');
 
-class MangaKakalotProvider {
+class MangaKakalotProvider extends BaseProvider {
   constructor() {
-    this.baseUrl = 'https://www.mangakakalot.gg';
-    this.headers = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      'Referer': 'https://www.mangakakalot.gg/',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.5'
-    };
+    super({
+      id: 'mangakakalot',
+      name: 'MangaKakalot',
+      headers: {
+        'Referer': 'https://www.mangakakalot.gg/',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5'
+      },
+      // The site has changed domains before; MIRRORS_MANGAKAKALOT lists the current ones
+      mirrors: ['https://www.mangakakalot.gg']
+    });
+    // Hotlink protection on the chapter image servers requires the site Referer,
+    // which the image proxy takes from the mirror in use
+    this.imageHosts = [
+      'mkklcdnv6temp.com',
+      '2xstorage.com'
+    ];
   }
 
   /**
@@ -53,6 +65,7 @@ class MangaKakalotProvider {
       ];
       
       let results = [];
+      let lastError = null;
       let pagination = null;
       
       // Try each search query until we get results
@@ -62,7 +75,7 @@ class MangaKakalotProvider {
         const searchUrl = `${this.baseUrl}/search/story/${searchQuery}${page > 1 ? '?page=' + page : ''}`;
         
         try {
-          const { data } = await axios.get(searchUrl, { headers: this.headers });
+          const data = await this.fetchText(searchUrl);
           const $ = cheerio.load(data);
           
           const currentResults = [];
@@ -143,10 +156,16 @@ class MangaKakalotProvider {
           }
         } catch (error) {
           // Continue to the next search query if there's an error
+          lastError = error;
           continue;
         }
       }
       
+      // Every query failing (blocked, timed out) is not the same as no results
+      if (results.length === 0 && lastError) {
+        throw lastError;
+      }
+      
       // If we didn't find any results with any search query, return empty results
       if (!pagination) {
         pagination = {
@@ -162,7 +181,7 @@ class MangaKakalotProvider {
         pagination: pagination
       };
     } catch (error) {
-      throw new Error(`Failed to search manga on MangaKakalot: ${error.message}`);
+      throw wrapError(error, 'Failed to search manga on MangaKakalot', UpstreamError);
     }
   }
 
@@ -175,13 +194,17 @@ class MangaKakalotProvider {
     try {
       const mangaUrl = `${this.baseUrl}/manga/${mangaId}`;
       
-      const { data } = await axios.get(mangaUrl, { headers: this.headers });
+      const data = await this.fetchText(mangaUrl);
       const $ = cheerio.load(data);
       
       // Extract basic manga info
       const title = $('.manga-info-text h1').text().trim();
       const image = $('.manga-info-pic img').attr('src');
       
+      if (!title) {
+        throw new ParseError(`No manga title found at ${mangaUrl}`);
+      }
+      
       // Extract alternative titles
       const altTitles = $('.manga-info-text .story-alternative').text().replace('Alternative :', '').trim();
       
@@ -207,15 +230,15 @@ class MangaKakalotProvider {
         const chapterLink = $(el).find('span:first-child a');
         const chapterName = chapterLink.text().trim();
         const chapterUrl = chapterLink.attr('href');
-        const chapterId = chapterUrl ? chapterUrl.split('/').pop() : '';
+        const chapterSlug = chapterUrl ? chapterUrl.split('/').pop() : '';
         const date = $(el).find('span:last-child').text().trim();
-        const views = $(el).find('span:nth-child(2)').text().trim();
         
         chapters.push({
-          id: chapterId,
+          // mangaId/chapter-N is what fetchChapterPages expects
+          id: chapterSlug ? `${mangaId}/${chapterSlug}` : '',
           title: chapterName,
-          date,
-          views: parseInt(views) || 0
+          url: chapterUrl,
+          date
         });
       });
       
@@ -228,13 +251,28 @@ class MangaKakalotProvider {
         status,
         genres,
         description,
-        chapters
+        chapters: normalizeChapters(chapters)
       };
     } catch (error) {
-      throw new Error(`Failed to get manga info from MangaKakalot: ${error.message}`);
+      throw wrapError(error, 'Failed to get manga info from MangaKakalot', UpstreamError);
     }
   }
 
+  /**
+   * Parse https://www.mangakakalot.gg/manga/<slug>[/chapter-<n>] links
+   * @param {string} url - MangaKakalot URL
+   * @returns {Object|null} - { mangaId, chapterId } or null
+   */
+  parseUrl(url) {
+    const segments = this.getPathSegments(url, ['mangakakalot.gg']);
+    if (!segments || segments[0] !== 'manga' || !segments[1]) return null;
+    
+    return {
+      mangaId: segments[1],
+      chapterId: segments[2] ? segments.slice(1, 3).join('/') : null
+    };
+  }
+
   /**
    * Fetch chapter pages/images from MangaKakalot
    * @param {string} chapterId - The chapter ID (can be full path)
@@ -267,7 +305,7 @@ class MangaKakalotProvider {
         : `${this.baseUrl}/${chapterPath}`;
       
       // Fetch chapter page HTML
-      const { data } = await axios.get(chapterUrl, { headers: this.headers });
+      const data = await this.fetchText(chapterUrl);
       const $ = cheerio.load(data);
       
       // Set to store unique image URLs to avoid duplicates
@@ -365,9 +403,13 @@ class MangaKakalotProvider {
       // Sort pages by index to ensure correct order
       pages.sort((a, b) => a.index - b.index);
       
+      if (pages.length === 0) {
+        throw new ParseError(`No page images found at ${chapterUrl}`);
+      }
+      
       return pages;
     } catch (error) {
-      throw new Error(`Failed to fetch chapter pages from MangaKakalot: ${error.message}`);
+      throw wrapError(error, 'Failed to fetch chapter pages from MangaKakalot', UpstreamError);
     }
   }
 }
@@ -1,10 +1,23 @@
-const fetch = require('node-fetch');
 const cheerio = require('cheerio');
+const BaseProvider = require('./base');
+const { wrapError, ParseError, UpstreamError } = require('../errors');
+const { normalizeChapters } = require('../chapters/normalize');
+const { parseChapterLabel } = require('../chapters/chapterNumber');
 
-class MangaParkProvider {
+class MangaParkProvider extends BaseProvider {
   constructor() {
-    this.baseUrl = 'https://mangapark.net';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    super({ id: 'mangapark', name: 'MangaPark',
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml',
+        'Accept-Language': 'en-US,en;q=0.9'
+      },
+      // The same site is served from several domains, one or another of them blocked at times
+      mirrors: ['https://mangapark.net', 'https://mangapark.io', 'https://mangapark.to']
+    });
+    // Image proxy settings; page CDNs rotate, so IMAGE_HOSTS_MANGAPARK can extend the list
+    this.imageHosts = [
+      'mpcdn.org'
+    ];
   }
 
   /**
@@ -14,22 +27,10 @@ class MangaParkProvider {
    */
   async fetchHtml(url) {
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml',
-          'Accept-Language': 'en-US,en;q=0.9'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
-      }
-
-      return await response.text();
+      return await this.fetchText(url);
     } catch (error) {
-      console.error(`Error fetching ${url}:`, error);
-      throw new Error(`Network error: ${error.message}`);
+      this.log.warn('Fetch failed', { url, error });
+      throw error;
     }
   }
 
@@ -40,7 +41,7 @@ class MangaParkProvider {
    */
   async search(query) {
     try {
-      console.log(`Searching MangaPark for: ${query}`);
+      this.log.info('Searching', { query });
       
       // Format the query for URL
       const formattedQuery = encodeURIComponent(query);
@@ -101,14 +102,14 @@ class MangaParkProvider {
         });
       });
       
-      console.log(`Found ${results.length} manga results on MangaPark`);
+      this.log.debug('Search results', { query, count: results.length });
       
       return {
         results
       };
     } catch (error) {
-      console.error(`MangaPark search error:`, error);
-      throw new Error(`Failed to search manga on MangaPark: ${error.message}`);
+      this.log.error('Search failed', { query, error });
+      throw wrapError(error, 'Failed to search manga on MangaPark', UpstreamError);
     }
   }
 
@@ -119,7 +120,7 @@ class MangaParkProvider {
    */
   async getMangaInfo(mangaId) {
     try {
-      console.log(`Fetching manga info from MangaPark for ID: ${mangaId}`);
+      this.log.info('Fetching manga info', { mangaId });
       
       // Fetch manga page HTML
       const url = `${this.baseUrl}/title/${mangaId}`;
@@ -130,6 +131,10 @@ class MangaParkProvider {
       const title = $('title').text().split(' - ')[0].trim();
       const image = $('meta[property="og:image"]').attr('content');
       
+      if (!title) {
+        throw new ParseError(`No manga title found at ${url}`);
+      }
+      
       // Extract description
       const description = $('.limit-html-p').text().trim();
       
@@ -149,25 +154,7 @@ class MangaParkProvider {
         if (!chapterHref) return;
         
         const chapterText = $(el).text().trim();
-        let chapterNum = null;
-        
-        // Extract chapter number from text like "Chapter 151" - more robust pattern
-        const chapterMatch = chapterText.match(/Chapter\s+(\d+\.?\d*)/i);
-        if (chapterMatch) {
-          chapterNum = parseFloat(chapterMatch[1]);
-        } else {
-          // Try alternative formats like "Ch. 123" or "Ch 123"
-          const altMatch = chapterText.match(/Ch\.?\s*(\d+\.?\d*)/i);
-          if (altMatch) {
-            chapterNum = parseFloat(altMatch[1]);
-          } else {
-            // Try to extract just a number if it's the only number in the string
-            const numMatch = chapterText.match(/(\d+\.?\d*)/);
-            if (numMatch && numMatch.length === 2) {
-              chapterNum = parseFloat(numMatch[1]);
-            }
-          }
-        }
+        const { chapter: chapterNum, part } = parseChapterLabel(chapterText);
         
         // Skip if we couldn't extract a chapter number
         if (chapterNum === null) return;
@@ -206,12 +193,15 @@ class MangaParkProvider {
           title: chapterText,
           number: chapterNum.toString(),
           url: chapterHref.startsWith('/') ? `${this.baseUrl}${chapterHref}` : chapterHref,
-          date: date || 'Unknown'
+          date: date || null
         };
         
-        // Track unique chapter numbers - keep the latest upload if duplicates exist
-        if (!chapterMap.has(chapterNum) || !chapterMap.get(chapterNum).date === 'Unknown') {
-          chapterMap.set(chapterNum, chapter);
+        // Track unique chapter numbers - the first upload listed wins, unless it has no
+        // date and a later one does. Parts of one chapter are separate entries.
+        const chapterKey = part ? `${chapterNum}#${part}` : chapterNum;
+        const existing = chapterMap.get(chapterKey);
+        if (!existing || (!existing.date && chapter.date)) {
+          chapterMap.set(chapterKey, chapter);
         }
       });
       
@@ -227,13 +217,13 @@ class MangaParkProvider {
         }
       }
       
-      console.log(`Highest chapter number found: ${highestChapterNum}`);
+      this.log.debug('Highest chapter number', { mangaId, highestChapterNum });
       
       // Check if we need to generate missing chapters
       const shouldGenerateChapters = highestChapterNum > 0 && extractedChapters.length < highestChapterNum / 2;
       
       if (shouldGenerateChapters) {
-        console.log(`Generating complete chapter sequence (1-${highestChapterNum})`);
+        this.log.debug('Generating complete chapter sequence', { mangaId, highestChapterNum });
         
         // Generate all chapters from 1 to highestChapterNum
         for (let i = 1; i <= highestChapterNum; i++) {
@@ -286,8 +276,8 @@ class MangaParkProvider {
               title: `Chapter ${i}`,
               number: i.toString(),
               url: chapterUrl,
-              date: 'Unknown',
-              generated: true // Mark as generated
+              // Not listed on the site; the index and /read don't count it as available
+              generated: true
             };
             
             chapterMap.set(i, generatedChapter);
@@ -304,8 +294,7 @@ class MangaParkProvider {
       // Sort chapters by chapter number (descending)
       chapters.sort((a, b) => (parseFloat(b.number) || 0) - (parseFloat(a.number) || 0));
       
-      console.log(`Found ${extractedChapters.length} chapters directly on page`);
-      console.log(`Returning ${chapters.length} total chapters for manga: ${title}`);
+      this.log.debug('Manga info', { mangaId, title, onPage: extractedChapters.length, chapters: chapters.length });
       
       return {
         id: mangaId,
@@ -313,14 +302,44 @@ class MangaParkProvider {
         image: image && image.startsWith('/') ? `${this.baseUrl}${image}` : image,
         description,
         genres,
-        chapters
+        // Chapter IDs become the path under /title/, which is what fetchChapterPages loads
+        chapters: normalizeChapters(chapters.map(chapter => ({
+          ...chapter,
+          id: chapter.url.startsWith(`${this.baseUrl}/title/`)
+            ? chapter.url.slice(`${this.baseUrl}/title/`.length)
+            : `${mangaId}/${chapter.id}`
+        })))
       };
     } catch (error) {
-      console.error(`MangaPark info error:`, error);
-      throw new Error(`Failed to get manga info from MangaPark: ${error.message}`);
+      this.log.error('Manga info failed', { mangaId, error });
+      throw wrapError(error, 'Failed to get manga info from MangaPark', UpstreamError);
     }
   }
 
+  /**
+   * Accept both `mangaId/chapterId` and the site's `title/mangaId/chapterId` form
+   * @param {string} chapterPath - Raw path after `/pages/`
+   * @returns {string} - Chapter ID
+   */
+  resolveChapterId(chapterPath) {
+    return super.resolveChapterId(chapterPath).replace(/^title\//, '');
+  }
+
+  /**
+   * Parse https://mangapark.net/title/<mangaId>[/<chapterId>] links
+   * @param {string} url - MangaPark URL
+   * @returns {Object|null} - { mangaId, chapterId } or null
+   */
+  parseUrl(url) {
+    const segments = this.getPathSegments(url, ['mangapark.net', 'mangapark.io', 'mangapark.com']);
+    if (!segments || segments[0] !== 'title' || !segments[1]) return null;
+    
+    return {
+      mangaId: segments[1],
+      chapterId: segments[2] ? segments.slice(1, 3).join('/') : null
+    };
+  }
+
   /**
    * Fetch chapter pages from MangaPark
    * @param {string} chapterId - The chapter ID
@@ -328,7 +347,7 @@ class MangaParkProvider {
    */
   async fetchChapterPages(chapterId) {
     try {
-      console.log(`Fetching chapter pages from MangaPark for chapter ID: ${chapterId}`);
+      this.log.info('Fetching chapter pages', { chapterId });
       
       // Handle different formats of chapterId
       let chapterUrl;
@@ -344,7 +363,7 @@ class MangaParkProvider {
         chapterUrl = `${this.baseUrl}/title/${chapterId}`;
       }
       
-      console.log(`Requesting URL: ${chapterUrl}`);
+      this.log.debug('Requesting chapter', { url: chapterUrl });
       
       // Fetch chapter page HTML
       const htmlContent = await this.fetchHtml(chapterUrl);
@@ -357,7 +376,7 @@ class MangaParkProvider {
       const jsonMatches = Array.from(htmlContent.matchAll(jsonRegex));
       
       if (jsonMatches.length > 0) {
-        console.log(`Found ${jsonMatches.length} images in JSON data`);
+        this.log.debug('Found images in JSON data', { count: jsonMatches.length });
         let index = 1;
         for (const match of jsonMatches) {
           const imageUrl = match[1].replace(/\\u002F/g, '/').replace(/\\\//g, '/');
@@ -375,7 +394,7 @@ class MangaParkProvider {
       const mpDomainMatches = Array.from(htmlContent.matchAll(mpDomainRegex));
       
       if (mpDomainMatches.length > 0) {
-        console.log(`Found ${mpDomainMatches.length} images from MangaPark domains`);
+        this.log.debug('Found images on MangaPark domains', { count: mpDomainMatches.length });
         const existingUrls = new Set(pages.map(p => p.url));
         let index = pages.length + 1;
         
@@ -397,7 +416,7 @@ class MangaParkProvider {
         const matches = Array.from(htmlContent.matchAll(imageRegex));
         
         if (matches.length > 0) {
-          console.log(`Found ${matches.length} images in HTML attributes`);
+          this.log.debug('Found images in HTML attributes', { count: matches.length });
           const existingUrls = new Set(pages.map(p => p.url));
           let index = pages.length + 1;
           
@@ -456,7 +475,7 @@ class MangaParkProvider {
               }
               
               if (Array.isArray(imgData) && imgData.length > 0) {
-                console.log(`Found ${imgData.length} images in script data`);
+                this.log.debug('Found images in script data', { count: imgData.length });
                 
                 const existingUrls = new Set(pages.map(p => p.url));
                 let index = pages.length + 1;
@@ -476,7 +495,7 @@ class MangaParkProvider {
                 if (pages.length > 0) break;
               }
             } catch (e) {
-              console.error("Error parsing image data from script:", e);
+              this.log.debug('Could not parse image data from script', { error: e });
             }
           }
         }
@@ -488,7 +507,7 @@ class MangaParkProvider {
         const broadMatches = Array.from(htmlContent.matchAll(broadImageRegex));
         
         if (broadMatches.length > 0) {
-          console.log(`Found ${broadMatches.length} images with broad matching`);
+          this.log.debug('Found images with broad matching', { count: broadMatches.length });
           let index = 1;
           const existingUrls = new Set();
           
@@ -518,11 +537,15 @@ class MangaParkProvider {
       // Sort pages by index to ensure correct order
       pages.sort((a, b) => a.index - b.index);
       
-      console.log(`Retrieved ${pages.length} pages for chapter ID: ${chapterId}`);
+      if (pages.length === 0) {
+        throw new ParseError(`No page images found at ${chapterUrl}`);
+      }
+      
+      this.log.debug('Chapter pages', { chapterId, count: pages.length });
       return pages;
     } catch (error) {
-      console.error(`MangaPark chapter pages error:`, error);
-      throw new Error(`Failed to fetch chapter pages from MangaPark: ${error.message}`);
+      this.log.error('Chapter pages failed', { chapterId, error });
+      throw wrapError(error, 'Failed to fetch chapter pages from MangaPark', UpstreamError);
     }
   }
 }
@@ -0,0 +1,67 @@
+const { cache } = require('../cache');
+const { HttpClient, toResponseError } = require('../http/client');
+const { wrapError, InvalidInputError, UpstreamError } = require('../errors');
+
+class MangaUpdatesProvider {
+  constructor() {
+    this.baseUrl = 'https://api.mangaupdates.com/v1';
+    this.http = new HttpClient({ id: 'mangaupdates', headers: { 'Accept': 'application/json' } });
+  }
+
+  // MangaUpdates IDs come as the numeric series_id of the API or as the base-36
+  // slug in site links (mangaupdates.com/series/<slug>/...)
+  parseId(id) {
+    const value = String(id).trim().toLowerCase();
+    
+    if (/^\d+$/.test(value)) return value;
+    if (/^[0-9a-z]+$/.test(value)) return String(parseInt(value, 36));
+    
+    return null;
+  }
+
+  // Series details, served from the cache when MangaUpdates was asked recently
+  async getSeries(id) {
+    const seriesId = this.parseId(id);
+    
+    if (!seriesId) {
+      throw new InvalidInputError(`Invalid MangaUpdates ID: ${id}`);
+    }
+    
+    return cache.wrap('mangaupdates', seriesId, () => this.fetchSeries(seriesId));
+  }
+
+  async fetchSeries(seriesId) {
+    try {
+      const response = await this.http.fetch(`${this.baseUrl}/series/${seriesId}`);
+      
+      if (response.status === 404) {
+        response.body.resume();
+        return null;
+      }
+      
+      if (!response.ok) {
+        response.body.resume();
+        throw toResponseError(response, `${this.baseUrl}/series/${seriesId}`);
+      }
+      
+      const series = await response.json();
+      
+      // Shaped like a provider manga so title matching and metadata comparison apply as-is
+      return {
+        id: String(series.series_id),
+        title: series.title,
+        altTitles: (series.associated || []).map(associated => associated.title).filter(Boolean),
+        type: series.type,
+        year: series.year,
+        status: series.completed ? 'Completed' : series.status,
+        authors: (series.authors || []).map(author => author.name).filter(Boolean),
+        genres: (series.genres || []).map(genre => genre.genre).filter(Boolean),
+        lastChapter: series.latest_chapter
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to fetch MangaUpdates series', UpstreamError);
+    }
+  }
+}
+
+module.exports = MangaUpdatesProvider;
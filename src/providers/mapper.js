@@ -1,744 +1,837 @@
 const AnilistProvider = require('./anilist');
-const MangadexProvider = require('./mangadex');
-const AsuraScansProvider = require('./asurascans');
-const MangaParkProvider = require('./mangapark');
-const MangaBuddyProvider = require('./mangabuddy');
-const MangaKakalotProvider = require('./mangakakalot');
+const KitsuProvider = require('./kitsu');
+const MangaUpdatesProvider = require('./mangaupdates');
+const { getProvider, listProviders } = require('./index');
+const MappingStore = require('../store/mappings');
+const { titleSimilarity, MATCH_THRESHOLD } = require('../matching/similarity');
+const { compareMetadata } = require('../matching/metadata');
+const { buildChapterIndex, findChapter } = require('../chapters/merge');
+const {
+  wrapError,
+  InvalidInputError,
+  NotFoundError,
+  UnknownProviderError,
+  AnilistNotFoundError,
+  NoProviderMatchError,
+  ChapterNotFoundError,
+  ParseError,
+  RateLimitError,
+  UpstreamError
+} = require('../errors');
+const { createLogger, timed } = require('../logger');
+const { metrics } = require('../metrics');
+
+const log = createLogger('mapper');
+
+// How many rejected candidates are reported alongside a match
+const CANDIDATE_LIMIT = 5;
+
+// Candidates within this title score of the match get their manga info loaded
+// to compare metadata, at most CONTENDER_LIMIT of them per search
+const CONTENDER_MARGIN = 0.1;
+const CONTENDER_LIMIT = 2;
+
+// Sites whose IDs can stand in for an Anilist ID, keyed by route prefix
+const EXTERNAL_SITES = {
+  mal: 'MyAnimeList',
+  kitsu: 'Kitsu',
+  mangaupdates: 'MangaUpdates'
+};
 
 class Mapper {
-  constructor() {
+  constructor(options = {}) {
     this.anilist = new AnilistProvider();
-    this.mangadex = new MangadexProvider();
-    this.asurascans = new AsuraScansProvider();
-    this.mangapark = new MangaParkProvider();
-    this.mangabuddy = new MangaBuddyProvider();
-    this.mangakakalot = new MangaKakalotProvider();
+    this.kitsu = new KitsuProvider();
+    this.mangaUpdates = new MangaUpdatesProvider();
+    this.mappings = options.mappings || new MappingStore();
   }
 
-  // Helper function to calculate string similarity (Levenshtein distance)
-  stringSimilarity(s1, s2) {
-    if (!s1 || !s2) return 0;
-    
-    const longer = s1.length >= s2.length ? s1.toLowerCase() : s2.toLowerCase();
-    const shorter = s1.length >= s2.length ? s2.toLowerCase() : s1.toLowerCase();
+  // Resolve a provider by ID or throw if it isn't registered
+  getProvider(providerId) {
+    const provider = getProvider(providerId);
     
-    const longerLength = longer.length;
-    if (longerLength === 0) return 1.0;
+    if (!provider) {
+      throw new UnknownProviderError(`Unknown provider: ${providerId}`);
+    }
     
-    return (longerLength - this.editDistance(longer, shorter)) / longerLength;
+    return provider;
   }
 
-  editDistance(s1, s2) {
-    s1 = s1.toLowerCase();
-    s2 = s2.toLowerCase();
+  // Pick the title to search with and the synonyms to fall back on
+  getSearchTitles(mediaInfo) {
+    const searchTitle = mediaInfo.title.english || mediaInfo.title.romaji || mediaInfo.title.native;
+    
+    // Other title forms are also worth matching against, but never duplicate the search title
+    const synonyms = [
+      mediaInfo.title.romaji,
+      mediaInfo.title.english,
+      ...(Array.isArray(mediaInfo.synonyms) ? mediaInfo.synonyms : [])
+    ].filter((synonym, index, list) =>
+      synonym &&
+      synonym.trim() !== '' &&
+      synonym.toLowerCase() !== searchTitle.toLowerCase() &&
+      list.findIndex(other => other && other.toLowerCase() === synonym.toLowerCase()) === index
+    );
+    
+    return { searchTitle, synonyms };
+  }
 
-    const costs = [];
-    for (let i = 0; i <= s1.length; i++) {
-      let lastValue = i;
-      for (let j = 0; j <= s2.length; j++) {
-        if (i === 0) {
-          costs[j] = j;
-        } else if (j > 0) {
-          let newValue = costs[j - 1];
-          if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
-            newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-          }
-          costs[j - 1] = lastValue;
-          lastValue = newValue;
+  // Collect every title a search result is known by
+  getResultTitles(manga) {
+    const titles = [manga.title];
+    
+    // Providers expose alt titles either as strings or as { lang: title } objects,
+    // MangaKakalot as one string separated by semicolons or commas
+    if (typeof manga.altTitles === 'string') {
+      titles.push(...manga.altTitles.split(/\s*[;,]\s*/));
+    } else if (Array.isArray(manga.altTitles)) {
+      for (const altTitle of manga.altTitles) {
+        if (typeof altTitle === 'string') {
+          titles.push(altTitle);
+        } else if (altTitle && typeof altTitle === 'object') {
+          titles.push(...Object.values(altTitle));
         }
       }
-      if (i > 0) costs[s2.length] = lastValue;
     }
-    return costs[s2.length];
+    
+    return titles.filter(title => typeof title === 'string' && title.trim() !== '');
   }
 
-  async getChaptersByAnilistId(anilistId) {
+  // Search a provider with the main title, then each synonym until something comes back.
+  // With { strict: true } a first-result fallback counts as no match at all.
+  async searchProvider(provider, mediaInfo, options = {}) {
+    const { searchTitle: title, synonyms } = this.getSearchTitles(mediaInfo);
+    
     try {
-      // Step 1: Get anime info from Anilist
-      const animeInfo = await this.anilist.getInfo(anilistId);
-      
-      // Choose the best title to use for searching
-      const searchTitle = animeInfo.title.english || animeInfo.title.romaji || "Manga";
-      console.log(`Searching for manga: ${searchTitle}`);
-      
-      // Step 2: Search for manga on MangaDex using the title
-      const searchResults = await this.mangadex.search(searchTitle);
-      
-      if (!searchResults || !searchResults.results || searchResults.results.length === 0) {
-        throw new Error(`No matching manga found on Mangadex for title: ${searchTitle}`);
-      }
-      
-      console.log(`Found ${searchResults.results.length} results`);
+      log.info('Searching provider', { provider: provider.id, title });
       
-      // Step 3: Find the best matching title using string similarity
-      let bestMatch = null;
-      let highestSimilarity = 0;
+      let results = [];
+      const searchResults = await provider.search(title);
       
-      // Try to match with both romaji and english titles if available
-      const titlesToMatch = [
-        animeInfo.title.romaji,
-        animeInfo.title.english
-      ].filter(Boolean);
-      
-      for (const manga of searchResults.results) {
-        let maxSimilarity = 0;
-        
-        // Check against each available title format
-        for (const titleToMatch of titlesToMatch) {
-          const similarity = this.stringSimilarity(manga.title, titleToMatch);
-          maxSimilarity = Math.max(maxSimilarity, similarity);
+      if (searchResults && searchResults.results && searchResults.results.length > 0) {
+        log.debug('Search results', { provider: provider.id, count: searchResults.results.length });
+        results = searchResults.results;
+      } else {
+        // If no results found with main title, try synonyms if available
+        for (const synonym of synonyms) {
+          log.debug('Trying synonym', { provider: provider.id, synonym });
+          const synonymResults = await provider.search(synonym);
           
-          // Also check alternative titles
-          if (manga.altTitles && manga.altTitles.length > 0) {
-            for (const altTitle of manga.altTitles) {
-              for (const lang in altTitle) {
-                const altSimilarity = this.stringSimilarity(altTitle[lang], titleToMatch);
-                maxSimilarity = Math.max(maxSimilarity, altSimilarity);
-              }
-            }
+          if (synonymResults && synonymResults.results && synonymResults.results.length > 0) {
+            log.debug('Search results', { provider: provider.id, synonym, count: synonymResults.results.length });
+            results = synonymResults.results;
+            break;
           }
         }
-        
-        if (maxSimilarity > highestSimilarity) {
-          highestSimilarity = maxSimilarity;
-          bestMatch = manga;
-        }
       }
       
-      if (!bestMatch || highestSimilarity < 0.4) { // Lower threshold for accepting a match
-        // If no good match, just use the first result
-        bestMatch = searchResults.results[0];
-        console.log(`No similar manga found, using first result: ${bestMatch.title}`);
+      if (results.length === 0) {
+        throw new NoProviderMatchError(`No matching manga found on ${provider.name} for title: ${title}`);
       }
       
-      console.log(`Found best match: ${bestMatch.title} (ID: ${bestMatch.id}), similarity: ${highestSimilarity}`);
-      
-      // Step 4: Get full manga info with chapters from Mangadex
-      const mangadexInfo = await this.mangadex.getMangaInfo(bestMatch.id);
+      let match = timed('match', () => this.findBestMatch(results, title, synonyms, mediaInfo));
       
-      // Step 5: Return the mapped information with chapters, only essentials
-      return {
-        anilist: {
-          id: anilistId,
-          title: animeInfo.title.english || animeInfo.title.romaji
-        },
-        mangadex: {
-          id: bestMatch.id,
-          title: bestMatch.title,
-          chapters: mangadexInfo.chapters || []
-        }
-      };
-      
-    } catch (error) {
-      console.error("Mapping error:", error);
-      throw new Error(`Mapping error: ${error.message}`);
-    }
-  }
-
-  // Method to search using AsuraScans
-  async searchAsuraScans(title, synonyms = []) {
-    try {
-      console.log(`Searching for manga on AsuraScans: ${title}`);
-      
-      // Use the AsuraScans provider to search for manga
-      const searchResults = await this.asurascans.search(title);
-      
-      if (!searchResults || !searchResults.results || searchResults.results.length === 0) {
-        // If no results found with main title, try synonyms if available
-        if (synonyms && synonyms.length > 0) {
-          console.log(`No results with main title. Trying synonyms: ${synonyms.join(', ')}`);
-          
-          // Try each synonym until we find results
-          for (const synonym of synonyms) {
-            console.log(`Trying synonym: ${synonym}`);
-            const synonymResults = await this.asurascans.search(synonym);
-            
-            if (synonymResults && synonymResults.results && synonymResults.results.length > 0) {
-              console.log(`Found ${synonymResults.results.length} results using synonym: ${synonym}`);
-              return this.findBestMatch(synonymResults.results, title, synonyms);
-            }
+      // Titles alone can't tell a manga from its novel, remake or spin-off. When other
+      // results score close to the best one, load their manga info and score again.
+      const contenders = this.getContenders(match);
+      if (contenders.length > 0) {
+        log.info('Close candidates, comparing metadata', { provider: provider.id, count: contenders.length });
+        
+        const details = {};
+        await Promise.all([match, ...contenders].map(async candidate => {
+          const id = candidate.manga ? candidate.manga.id : candidate.id;
+          try {
+            details[id] = await provider.getMangaInfo(id);
+          } catch (error) {
+            log.warn('Could not load candidate info', { provider: provider.id, mangaId: id, error });
           }
-        }
+        }));
         
-        throw new Error(`No matching manga found on AsuraScans for title: ${title}`);
+        match = timed('match', () => this.findBestMatch(results, title, synonyms, mediaInfo, details));
+        match.mangaInfo = details[match.manga.id] || null;
       }
       
-      console.log(`Found ${searchResults.results.length} results on AsuraScans`);
+      metrics.matchScore.observe({ provider: provider.id, fallback: match.fallback }, match.score);
+      
+      if (match.fallback && options.strict) {
+        throw new NoProviderMatchError(`No matching manga found on ${provider.name} for title: ${title} (best similarity ${match.score.toFixed(2)} is below ${MATCH_THRESHOLD})`);
+      }
       
-      // Find the best match using title and synonyms
-      return this.findBestMatch(searchResults.results, title, synonyms);
+      return match;
     } catch (error) {
-      console.error(`AsuraScans search error:`, error);
-      throw new Error(`Failed to search manga on AsuraScans: ${error.message}`);
+      // Not having the manga is an answer, not a failure of the provider
+      log.write(error instanceof NoProviderMatchError ? 'info' : 'error', 'Provider search failed', { provider: provider.id, error });
+      throw wrapError(error, `Failed to search manga on ${provider.name}`, UpstreamError);
     }
   }
+
+  // Rejected candidates whose title score is close enough to the match to need metadata
+  getContenders(match) {
+    if (match.fallback) return [];
+    
+    return match.candidates
+      .filter(candidate => candidate.titleScore >= match.titleScore - CONTENDER_MARGIN)
+      .slice(0, CONTENDER_LIMIT);
+  }
   
-  // Method to search using MangaPark
-  async searchMangaPark(title, synonyms = []) {
-    try {
-      console.log(`Searching for manga on MangaPark: ${title}`);
-      
-      // Use the MangaPark provider to search for manga
-      const searchResults = await this.mangapark.search(title);
+  // Helper method to find best match considering both title and synonyms, adjusted
+  // by Anilist metadata (format, year, chapters, authors, status) when available.
+  // `details` maps result IDs to already loaded manga info with extra metadata.
+  // Returns the match with its score and the signals behind it, which titles matched,
+  // the best rejected candidates, and whether it is only a first-result fallback.
+  findBestMatch(results, title, synonyms = [], mediaInfo = null, details = {}) {
+    if (results.length === 0) {
+      throw new NoProviderMatchError(`No manga results found to match with title: ${title}`);
+    }
+    
+    const titlesToMatch = [
+      { value: title, source: 'main title' },
+      ...synonyms.map(synonym => ({ value: synonym, source: `synonym "${synonym}"` }))
+    ];
+    
+    // Score every result by its best title (or alt title) against every title we know,
+    // using normalized token-set and character similarity
+    const scored = results.map((manga, position) => {
+      let best = { manga, position, titleScore: 0, matchedTitle: null, matchedAgainst: null };
       
-      if (!searchResults || !searchResults.results || searchResults.results.length === 0) {
-        // If no results found with main title, try synonyms if available
-        if (synonyms && synonyms.length > 0) {
-          console.log(`No results with main title. Trying synonyms: ${synonyms.join(', ')}`);
+      for (const resultTitle of this.getResultTitles(manga)) {
+        for (const titleToMatch of titlesToMatch) {
+          const similarity = titleSimilarity(resultTitle, titleToMatch.value);
           
-          // Try each synonym until we find results
-          for (const synonym of synonyms) {
-            console.log(`Trying synonym: ${synonym}`);
-            const synonymResults = await this.mangapark.search(synonym);
-            
-            if (synonymResults && synonymResults.results && synonymResults.results.length > 0) {
-              console.log(`Found ${synonymResults.results.length} results using synonym: ${synonym}`);
-              return this.findBestMatch(synonymResults.results, title, synonyms);
-            }
+          if (similarity > best.titleScore) {
+            best = { manga, position, titleScore: similarity, matchedTitle: resultTitle, matchedAgainst: titleToMatch.source };
           }
         }
-        
-        throw new Error(`No matching manga found on MangaPark for title: ${title}`);
       }
       
-      console.log(`Found ${searchResults.results.length} results on MangaPark`);
+      // Then let the metadata push the score up or down
+      const { adjustment, signals } = mediaInfo
+        ? compareMetadata(mediaInfo, { ...manga, ...(details[manga.id] || {}), title: manga.title })
+        : { adjustment: 0, signals: [] };
       
-      // Find the best match using title and synonyms
-      return this.findBestMatch(searchResults.results, title, synonyms);
-    } catch (error) {
-      console.error(`MangaPark search error:`, error);
-      throw new Error(`Failed to search manga on MangaPark: ${error.message}`);
+      return {
+        ...best,
+        rank: best.titleScore + adjustment,
+        score: Math.min(1, Math.max(0, best.titleScore + adjustment)),
+        signals
+      };
+    });
+    
+    // Highest score first (uncapped, so metadata still separates two perfect titles),
+    // keeping the provider's own ordering for ties
+    scored.sort((a, b) => b.rank - a.rank || a.position - b.position);
+    
+    const best = scored[0];
+    const fallback = best.score < MATCH_THRESHOLD;
+    
+    // If no good match, use the first result, unless the metadata counted against it (a
+    // novel or spin-off listed first): then the best ranked result it didn't count against
+    const unpenalized = scored.filter(candidate => candidate.rank >= candidate.titleScore);
+    const chosen = fallback
+      ? unpenalized.find(candidate => candidate.position === 0) || unpenalized[0]
+      : best;
+    
+    if (!chosen) {
+      throw new NoProviderMatchError(`No manga results found to match with title: ${title} (Anilist metadata rules out every result below ${MATCH_THRESHOLD})`);
+    }
+    
+    if (fallback) {
+      log.info('No match above the threshold, using the first result', {
+        threshold: MATCH_THRESHOLD,
+        highest: Number(best.score.toFixed(5)),
+        mangaId: chosen.manga.id,
+        title: chosen.manga.title
+      });
+    } else {
+      log.info('Found best match', {
+        mangaId: chosen.manga.id,
+        title: chosen.manga.title,
+        score: chosen.score,
+        matchedAgainst: chosen.matchedAgainst
+      });
     }
+    
+    return {
+      manga: chosen.manga,
+      score: chosen.score,
+      titleScore: chosen.titleScore,
+      matchedTitle: chosen.matchedTitle,
+      matchedAgainst: chosen.matchedAgainst,
+      signals: chosen.signals,
+      fallback,
+      candidates: scored
+        .filter(candidate => candidate !== chosen)
+        .slice(0, CANDIDATE_LIMIT)
+        .map(candidate => ({
+          id: candidate.manga.id,
+          title: candidate.manga.title,
+          score: candidate.score,
+          titleScore: candidate.titleScore,
+          matchedTitle: candidate.matchedTitle,
+          matchedAgainst: candidate.matchedAgainst,
+          signals: candidate.signals
+        }))
+    };
   }
-  
-  // Helper method to find best match considering both title and synonyms
-  findBestMatch(results, title, synonyms = []) {
-    // Find the best matching title using string similarity
-    let bestMatch = null;
-    let highestSimilarity = 0;
-    let matchSource = '';
-    
-    // Check main title first
-    for (const manga of results) {
-      const similarity = this.stringSimilarity(manga.title, title);
-      
-      if (similarity > highestSimilarity) {
-        highestSimilarity = similarity;
-        bestMatch = manga;
-        matchSource = 'main title';
+
+  // Only the Anilist essentials are echoed back in mapping responses
+  formatAnilist(mediaInfo) {
+    return {
+      id: mediaInfo.id,
+      title: mediaInfo.title.english || mediaInfo.title.romaji
+    };
+  }
+
+  // Load Anilist info at most once per request, however many providers need it
+  createMediaLoader(anilistId) {
+    let mediaInfoPromise = null;
+    
+    return () => {
+      if (!mediaInfoPromise) {
+        mediaInfoPromise = this.anilist.getInfo(anilistId);
       }
+      return mediaInfoPromise;
+    };
+  }
+
+  // Main method to map an Anilist ID to a provider's chapters
+  async getChapters(providerId, anilistId, options = {}) {
+    const provider = this.getProvider(providerId);
+    
+    try {
+      return await this.mapProvider(provider, anilistId, this.createMediaLoader(anilistId), options);
+    } catch (error) {
+      log.error('Mapping failed', { provider: provider.id, anilistId, error });
+      throw wrapError(error, `${provider.name} mapping error`, UpstreamError);
     }
+  }
+
+  // Map an Anilist ID to one provider, reusing the stored mapping when there is one.
+  // Pass { refresh: true } to ignore the stored mapping and match again, and
+  // { strict: true } to fail instead of falling back to the first search result.
+  async mapProvider(provider, anilistId, loadMediaInfo, options = {}) {
+    const stored = options.refresh ? null : this.mappings.get(anilistId, provider.id);
     
-    // Also check against synonyms to potentially find better matches
-    if (synonyms && synonyms.length > 0) {
-      for (const manga of results) {
-        for (const synonym of synonyms) {
-          const similarity = this.stringSimilarity(manga.title, synonym);
-          
-          if (similarity > highestSimilarity) {
-            highestSimilarity = similarity;
-            bestMatch = manga;
-            matchSource = `synonym "${synonym}"`;
+    if (stored) {
+      try {
+        // Stored mappings skip Anilist and the search entirely, only the chapter list is fetched
+        const mangaInfo = await provider.getMangaInfo(stored.mangaId);
+        
+        return this.formatResult(
+          provider,
+          { id: parseInt(anilistId), title: this.mappings.getEntry(anilistId).title },
+          { id: stored.mangaId, title: stored.title },
+          mangaInfo,
+          {
+            source: 'stored',
+            method: stored.method || 'similarity',
+            score: stored.score,
+            matchedTitle: stored.matchedTitle,
+            matchedAgainst: stored.matchedAgainst,
+            mappedAt: stored.mappedAt
           }
-        }
+        );
+      } catch (error) {
+        // Only a manga that is gone or no longer parses has moved on the provider. Timeouts,
+        // throttling and outages say nothing about the mapping, so it is kept.
+        if (!(error instanceof NotFoundError || error instanceof ParseError)) throw error;
+        
+        log.warn('Stored mapping failed, remapping', { provider: provider.id, mangaId: stored.mangaId, error });
+        await this.mappings.delete(anilistId, provider.id);
       }
     }
     
-    if (!bestMatch || highestSimilarity < 0.4) { // Increased threshold from 0.3 to 0.4
-      // If no good match, inform about low similarity and use the first result
-      console.log(`No manga found with sufficient similarity (threshold: 0.4, highest: ${highestSimilarity.toFixed(5)})`);
-      
-      if (results.length > 0) {
-      bestMatch = results[0];
-        console.log(`Using first result as fallback: ${bestMatch.title}`);
-      return bestMatch;
-      } else {
-        throw new Error(`No manga results found to match with title: ${title}`);
-      }
+    // Step 1: Get manga info from Anilist
+    const mediaInfo = await loadMediaInfo();
+    const anilist = this.formatAnilist(mediaInfo);
+    
+    // Step 2: Providers that record AniList IDs themselves can map exactly
+    const exact = await this.findExactMatch(provider, mediaInfo);
+    if (exact) {
+      const mangaInfo = await provider.getMangaInfo(exact.id);
+      
+      await this.mappings.set(anilist.id, anilist.title, provider.id, {
+        mangaId: exact.id,
+        title: exact.title,
+        method: 'anilist-link',
+        score: 1
+      });
+      
+      return this.formatResult(provider, anilist, exact, mangaInfo, {
+        source: 'search',
+        method: 'anilist-link',
+        score: 1
+      });
     }
     
-    console.log(`Found best match: ${bestMatch.title} (ID: ${bestMatch.id}), similarity: ${highestSimilarity} with ${matchSource}`);
+    // Step 3: Search for manga on the provider using the title, synonyms and metadata
+    const match = await this.searchProvider(provider, mediaInfo, options);
+    const { manga } = match;
     
-    return bestMatch;
-  }
-  
-  // Get manga details including chapters from AsuraScans
-  async getAsuraScansInfo(mangaId) {
-    try {
-      console.log(`Fetching manga info from AsuraScans for ID: ${mangaId}`);
-      
-      // Use the AsuraScans provider to get manga details
-      return await this.asurascans.getMangaInfo(mangaId);
-    } catch (error) {
-      console.error(`AsuraScans info error:`, error);
-      throw new Error(`Failed to get manga info from AsuraScans: ${error.message}`);
+    // Step 4: Get full manga info with chapters, unless disambiguation already loaded it
+    const mangaInfo = match.mangaInfo || await provider.getMangaInfo(manga.id);
+    
+    // Step 5: Remember confident matches; first-result fallbacks are matched again next time
+    if (!match.fallback) {
+      await this.mappings.set(anilist.id, anilist.title, provider.id, {
+        mangaId: manga.id,
+        title: manga.title,
+        method: 'similarity',
+        score: match.score,
+        matchedTitle: match.matchedTitle,
+        matchedAgainst: match.matchedAgainst
+      });
     }
+    
+    // Step 6: Return the mapped information with chapters
+    return this.formatResult(provider, anilist, manga, mangaInfo, {
+      source: 'search',
+      method: match.fallback ? 'first-result-fallback' : 'similarity',
+      score: match.score,
+      titleScore: match.titleScore,
+      matchedTitle: match.matchedTitle,
+      matchedAgainst: match.matchedAgainst,
+      signals: match.signals,
+      candidates: match.candidates
+    });
   }
-  
-  // Get manga details including chapters from MangaPark
-  async getMangaParkInfo(mangaId) {
+
+  // Ask the provider for a manga linked to this AniList entry; lookup failures fall back to search
+  async findExactMatch(provider, mediaInfo) {
+    if (typeof provider.findExactMatch !== 'function') return null;
+    
     try {
-      console.log(`Fetching manga info from MangaPark for ID: ${mangaId}`);
-      
-      // Use the MangaPark provider to get manga details
-      return await this.mangapark.getMangaInfo(mangaId);
+      return await provider.findExactMatch(mediaInfo);
     } catch (error) {
-      console.error(`MangaPark info error:`, error);
-      throw new Error(`Failed to get manga info from MangaPark: ${error.message}`);
+      log.warn('AniList link lookup failed, searching instead', { provider: provider.id, error });
+      return null;
     }
   }
-  
-  // Main method to map Anilist ID to AsuraScans chapters
-  async getChaptersByAnilistIdFromAsura(anilistId) {
-    try {
-      // Step 1: Get anime info from Anilist
-      const animeInfo = await this.anilist.getInfo(anilistId);
-      
-      // Get main title to search with
-      const searchTitle = animeInfo.title.english || animeInfo.title.romaji || animeInfo.title.native;
-      
-      // Extract ONLY the true synonyms from Anilist, don't include alt titles
-      let synonyms = [];
-      if (animeInfo.synonyms && Array.isArray(animeInfo.synonyms)) {
-        // Filter out empty synonyms and those that match the main title
-        synonyms = animeInfo.synonyms.filter(synonym => 
-          synonym && 
-          synonym.trim() !== '' && 
-          synonym.toLowerCase() !== searchTitle.toLowerCase()
-        );
+
+  // Build the response for one provider mapping
+  formatResult(provider, anilist, match, mangaInfo, mapping) {
+    return {
+      anilist,
+      [provider.id]: {
+        id: match.id,
+        title: match.title || mangaInfo.title,
+        image: match.image || mangaInfo.image,
+        altTitles: mangaInfo.altTitles,
+        description: mangaInfo.description,
+        author: mangaInfo.author,
+        status: mangaInfo.status || match.status,
+        genres: mangaInfo.genres || match.genres || [],
+        mapping,
+        chapters: mangaInfo.chapters || []
       }
+    };
+  }
+
+  // Map an Anilist ID against every provider at once, sharing one Anilist lookup.
+  // A provider failing only affects its own entry in the response.
+  async getChaptersFromAllProviders(anilistId, options = {}) {
+    const loadMediaInfo = this.createMediaLoader(anilistId);
+    
+    // Step 1: Without stored mappings every provider needs Anilist, so fetch it up front.
+    // This also makes an unknown Anilist ID fail the whole request instead of each provider.
+    const entry = options.refresh ? null : this.mappings.getEntry(anilistId);
+    const anilist = entry
+      ? { id: parseInt(anilistId), title: entry.title }
+      : this.formatAnilist(await loadMediaInfo());
+    
+    // Step 2: Run every provider mapping in parallel
+    const entries = await Promise.all(listProviders().map(async provider => {
+      const startTime = Date.now();
       
-      console.log(`Searching for manga on AsuraScans: ${searchTitle}`);
-      if (synonyms.length > 0) {
-        console.log(`Also trying synonyms: ${synonyms.join(', ')}`);
+      try {
+        const result = await this.mapProvider(provider, anilistId, loadMediaInfo, options);
+        
+        return [provider.id, {
+          status: 'ok',
+          durationMs: Date.now() - startTime,
+          manga: result[provider.id]
+        }];
+      } catch (error) {
+        const status = this.getErrorStatus(provider, error);
+        log.write(status === 'error' ? 'error' : 'warn', 'Mapping failed', { provider: provider.id, anilistId, status, error });
+        
+        return [provider.id, {
+          status,
+          durationMs: Date.now() - startTime,
+          code: error.code || 'INTERNAL_ERROR',
+          error: error.message
+        }];
       }
-      
-      // Step 2: Search for manga on AsuraScans using the title and synonyms
-      const bestMatch = await this.searchAsuraScans(searchTitle, synonyms);
-      
-      // Step 3: Get full manga info with chapters from AsuraScans
-      const asuraScansInfo = await this.getAsuraScansInfo(bestMatch.id);
-      
-      // Step 4: Return the mapped information with chapters
-      return {
-        anilist: {
-          id: anilistId,
-          title: animeInfo.title.english || animeInfo.title.romaji
-        },
-        asurascans: {
-          id: bestMatch.id,
-          title: bestMatch.title,
-          cover: bestMatch.image,
-          status: bestMatch.status,
-          rating: bestMatch.rating,
-          description: asuraScansInfo.description,
-          genres: asuraScansInfo.genres,
-          chapters: asuraScansInfo.chapters || []
-        }
-      };
-      
-    } catch (error) {
-      console.error("AsuraScans mapping error:", error);
-      throw new Error(`AsuraScans mapping error: ${error.message}`);
+    }));
+    
+    return {
+      anilist,
+      providers: Object.fromEntries(entries)
+    };
+  }
+
+  // Per-provider status for a failed mapping: not_found (no match, or the site answered
+  // 404 for the manga), rate_limited (the site or Anilist is throttling us, try again
+  // later) or error
+  getErrorStatus(provider, error) {
+    if (error instanceof NotFoundError) return 'not_found';
+    if (error instanceof RateLimitError) return 'rate_limited';
+    return 'error';
+  }
+
+  // Search Anilist manga, optionally reporting which providers already have a stored mapping
+  async search(query, options = {}) {
+    const result = await this.anilist.search(query, options);
+    
+    if (!options.withAvailability) {
+      return result;
     }
+    
+    return {
+      ...result,
+      results: result.results.map(media => ({
+        ...media,
+        availability: this.getAvailability(media.id)
+      }))
+    };
   }
   
-  // Main method to map Anilist ID to MangaPark chapters
-  async getChaptersByAnilistIdFromMangaPark(anilistId) {
-    try {
-      // Step 1: Get anime info from Anilist
-      const animeInfo = await this.anilist.getInfo(anilistId);
-      
-      // Get main title to search with
-      const searchTitle = animeInfo.title.english || animeInfo.title.romaji || animeInfo.title.native;
-      
-      // Extract ONLY the true synonyms from Anilist, don't include alt titles
-      let synonyms = [];
-      if (animeInfo.synonyms && Array.isArray(animeInfo.synonyms)) {
-        // Filter out empty synonyms and those that match the main title
-        synonyms = animeInfo.synonyms.filter(synonym => 
-          synonym && 
-          synonym.trim() !== '' && 
-          synonym.toLowerCase() !== searchTitle.toLowerCase()
-        );
-      }
-      
-      console.log(`Searching for manga on MangaPark: ${searchTitle}`);
-      if (synonyms.length > 0) {
-        console.log(`Also trying synonyms: ${synonyms.join(', ')}`);
-      }
-      
-      // Step 2: Search for manga on MangaPark using the title and synonyms
-      const bestMatch = await this.searchMangaPark(searchTitle, synonyms);
-      
-      // Step 3: Get full manga info with chapters from MangaPark
-      const mangaParkInfo = await this.getMangaParkInfo(bestMatch.id);
-      
-      // Step 4: Return the mapped information with chapters
-      return {
-        anilist: {
-          id: anilistId,
-          title: animeInfo.title.english || animeInfo.title.romaji
-        },
-        mangapark: {
-          id: bestMatch.id,
-          title: bestMatch.title,
-          image: bestMatch.image,
-          description: mangaParkInfo.description,
-          genres: mangaParkInfo.genres || [],
-          chapters: mangaParkInfo.chapters || []
-        }
-      };
-      
-    } catch (error) {
-      console.error("MangaPark mapping error:", error);
-      throw new Error(`MangaPark mapping error: ${error.message}`);
+  // Stored mapping per registered provider for an Anilist ID
+  getAvailability(anilistId) {
+    const availability = {};
+    
+    for (const provider of listProviders()) {
+      const stored = this.mappings.get(anilistId, provider.id);
+      availability[provider.id] = stored
+        ? { mapped: true, mangaId: stored.mangaId, title: stored.title, method: stored.method || 'similarity', mappedAt: stored.mappedAt }
+        : { mapped: false };
     }
+    
+    return availability;
   }
 
-  // Method to search using MangaBuddy
-  async searchMangaBuddy(title, synonyms = []) {
-    try {
-      // Format search query by replacing spaces with plus signs
-      const formattedTitle = title.replace(/\s+/g, '+');
-      
-      // Format all synonyms with plus signs
-      const formattedSynonyms = synonyms.map(synonym => synonym.replace(/\s+/g, '+'));
-      
-      // Use the MangaBuddy provider to search for manga directly with the formatted title
-      const searchResults = await this.mangabuddy.search(formattedTitle);
-      
-      if (!searchResults || !searchResults.results || searchResults.results.length === 0) {
-        // If no results found with main title, try synonyms if available
-        if (formattedSynonyms && formattedSynonyms.length > 0) {
-          console.log(`No results with main title. Trying synonyms with plus-sign format...`);
-          
-          // Try each formatted synonym until we find results
-          for (const formattedSynonym of formattedSynonyms) {
-            console.log(`Trying synonym: ${formattedSynonym}`);
-            const synonymResults = await this.mangabuddy.search(formattedSynonym);
-            
-            if (synonymResults && synonymResults.results && synonymResults.results.length > 0) {
-              console.log(`Found ${synonymResults.results.length} results using synonym: ${formattedSynonym}`);
-              return this.findBestMatch(synonymResults.results, title, synonyms);
-            }
-          }
-        }
-        
-        throw new Error(`No matching manga found on MangaBuddy for title: ${title}`);
+  // Find the provider and manga ID behind a link to any supported site
+  parseUrl(url) {
+    for (const provider of listProviders()) {
+      const parsed = provider.parseUrl(url);
+      if (parsed && parsed.mangaId) {
+        return { provider, ...parsed };
       }
-      
-      console.log(`Found ${searchResults.results.length} results on MangaBuddy`);
-      
-      // Find the best match using title and synonyms
-      return this.findBestMatch(searchResults.results, title, synonyms);
-    } catch (error) {
-      console.error(`MangaBuddy search error:`, error);
-      throw new Error(`Failed to search manga on MangaBuddy: ${error.message}`);
     }
+    
+    return null;
   }
   
-  // Get manga details including chapters from MangaBuddy
-  async getMangaBuddyInfo(mangaId) {
-    try {
-      console.log(`Fetching manga info from MangaBuddy for ID: ${mangaId}`);
-      
-      // Use the MangaBuddy provider to get manga details
-      return await this.mangabuddy.getMangaInfo(mangaId);
-    } catch (error) {
-      console.error(`MangaBuddy info error:`, error);
-      throw new Error(`Failed to get manga info from MangaBuddy: ${error.message}`);
+  // Map a provider manga back to Anilist, then report the other providers' mappings
+  async resolve(providerId, mangaId) {
+    const provider = this.getProvider(providerId);
+    
+    // Step 1: Load the manga from the provider
+    const mangaInfo = await provider.getMangaInfo(mangaId);
+    const titles = this.getResultTitles(mangaInfo)
+      .filter((title, index, list) => list.findIndex(other => other.toLowerCase() === title.toLowerCase()) === index);
+    
+    if (titles.length === 0) {
+      throw new AnilistNotFoundError(`No Anilist match for ${provider.name} manga ${mangaId}: the provider returned no title`);
+    }
+    
+    // Step 2: Search Anilist with the provider titles and score the results against all of them
+    const match = await this.findAnilistMatch(titles, mangaInfo);
+    
+    if (!match) {
+      throw new AnilistNotFoundError(`No Anilist match for ${provider.name} manga ${mangaId} (${titles[0]})`);
     }
+    
+    // Step 3: A confident match confirms this provider's mapping too
+    const mediaInfo = await this.anilist.getInfo(match.media.id);
+    const anilist = this.formatAnilist(mediaInfo);
+    if (!match.fallback) {
+      await this.mappings.set(anilist.id, anilist.title, provider.id, {
+        mangaId,
+        title: mangaInfo.title,
+        method: 'resolve',
+        score: match.score,
+        matchedTitle: match.matchedTitle,
+        matchedAgainst: match.matchedAgainst
+      });
+    }
+    
+    // Step 4: Stored mappings for the other providers, searching those that have none
+    const providers = {};
+    await Promise.all(listProviders().filter(other => other.id !== provider.id).map(async other => {
+      providers[other.id] = await this.findProviderMapping(other, anilist, mediaInfo);
+    }));
+    
+    return {
+      source: { provider: provider.id, mangaId, title: mangaInfo.title },
+      anilist,
+      confidence: match.score,
+      confident: !match.fallback,
+      matchedTitle: match.matchedTitle,
+      matchedAgainst: match.matchedAgainst,
+      signals: match.signals,
+      candidates: match.candidates,
+      providers
+    };
   }
   
-  // Main method to map Anilist ID to MangaBuddy chapters
-  async getChaptersByAnilistIdFromMangaBuddy(anilistId) {
-    try {
-      // Step 1: Get anime info from Anilist
-      const animeInfo = await this.anilist.getInfo(anilistId);
-      
-      // Get main title to search with
-      const searchTitle = animeInfo.title.english || animeInfo.title.romaji || animeInfo.title.native;
-      
-      // Format the search title by replacing spaces with plus signs
-      const formattedSearchTitle = searchTitle.replace(/\s+/g, '+');
-      
-      // Extract ONLY the true synonyms from Anilist, don't include alt titles
-      let synonyms = [];
-      if (animeInfo.synonyms && Array.isArray(animeInfo.synonyms)) {
-        // Filter out empty synonyms and those that match the main title
-        synonyms = animeInfo.synonyms.filter(synonym => 
-          synonym && 
-          synonym.trim() !== '' && 
-          synonym.toLowerCase() !== searchTitle.toLowerCase()
-        );
-      }
-      
-      console.log(`Searching for manga on MangaBuddy: ${formattedSearchTitle}`);
-      
-      try {
-        // First try searching with the main title
-        const searchResults = await this.mangabuddy.search(formattedSearchTitle);
-        
-        if (searchResults && searchResults.results && searchResults.results.length > 0) {
-          console.log(`Found ${searchResults.results.length} results with main title`);
-          
-          // Check if there's a good match with similarity >= 0.5
-          let bestMatch = null;
-          let highestSimilarity = 0;
-          
-          for (const manga of searchResults.results) {
-            const similarity = this.stringSimilarity(manga.title, searchTitle);
-            if (similarity > highestSimilarity) {
-              highestSimilarity = similarity;
-              bestMatch = manga;
-            }
-          }
-          
-          console.log(`Best main title match: ${bestMatch?.title || 'None'}, similarity: ${highestSimilarity}`);
-          
-          // If we found a match with similarity >= 0.5, use it
-          if (bestMatch && highestSimilarity >= 0.5) {
-            console.log(`Using main title match with similarity ${highestSimilarity}`);
-      
-      // Step 3: Get full manga info with chapters from MangaBuddy
-      const mangaBuddyInfo = await this.getMangaBuddyInfo(bestMatch.id);
+  // Search Anilist with up to three provider titles until one gives a confident match
+  async findAnilistMatch(titles, mangaInfo) {
+    const seen = new Map();
+    let best = null;
+    
+    for (const title of titles.slice(0, 3)) {
+      const { results } = await this.anilist.search(title, { perPage: 10 });
       
-      // Step 4: Return the mapped information with chapters
-      return {
-        anilist: {
-          id: anilistId,
-          title: animeInfo.title.english || animeInfo.title.romaji
-        },
-        mangabuddy: {
-          id: bestMatch.id,
-          title: bestMatch.title,
-          image: bestMatch.image,
-          description: mangaBuddyInfo.description,
-          author: mangaBuddyInfo.author,
-          status: mangaBuddyInfo.status,
-          genres: mangaBuddyInfo.genres || [],
-          chapters: mangaBuddyInfo.chapters || []
-        }
-      };
-          } else {
-            console.log(`No main title match with similarity >= 0.5, trying synonyms`);
-            throw new Error('No main title match with sufficient similarity');
-          }
-        } else {
-          throw new Error('No results found with main title');
-        }
-        
-      } catch (error) {
-        // If main title search failed or had low similarity, try synonyms
-        if (synonyms.length > 0) {
-          console.log(`Main title search issue: ${error.message}`);
-          console.log(`Trying with synonyms: ${synonyms.join(', ')}`);
-          
-          // Try each synonym until we find a good match
-          for (const synonym of synonyms) {
-            try {
-              const formattedSynonym = synonym.replace(/\s+/g, '+');
-              console.log(`Searching with synonym: ${formattedSynonym}`);
-              
-              const synonymResults = await this.mangabuddy.search(formattedSynonym);
-              
-              if (synonymResults && synonymResults.results && synonymResults.results.length > 0) {
-                console.log(`Found ${synonymResults.results.length} results with synonym: ${synonym}`);
-                
-                // Check for a good match with this synonym
-                let bestSynonymMatch = null;
-                let highestSynonymSimilarity = 0;
-                
-                for (const manga of synonymResults.results) {
-                  // First check similarity with the synonym itself
-                  const similarityToSynonym = this.stringSimilarity(manga.title, synonym);
-                  
-                  if (similarityToSynonym > highestSynonymSimilarity) {
-                    highestSynonymSimilarity = similarityToSynonym;
-                    bestSynonymMatch = manga;
-                  }
-                  
-                  // Also check similarity with main title
-                  const similarityToMain = this.stringSimilarity(manga.title, searchTitle);
-                  if (similarityToMain > highestSynonymSimilarity) {
-                    highestSynonymSimilarity = similarityToMain;
-                    bestSynonymMatch = manga;
-                  }
-                }
-                
-                console.log(`Best match with synonym "${synonym}": ${bestSynonymMatch?.title || 'None'}, similarity: ${highestSynonymSimilarity}`);
-                
-                // If we found a match with reasonable similarity, use it
-                if (bestSynonymMatch && highestSynonymSimilarity >= 0.4) {
-                  // Get full manga info with chapters
-                  const mangaBuddyInfo = await this.getMangaBuddyInfo(bestSynonymMatch.id);
-                  
-                  // Return the mapped information with chapters
-                  return {
-                    anilist: {
-                      id: anilistId,
-                      title: animeInfo.title.english || animeInfo.title.romaji
-                    },
-                    mangabuddy: {
-                      id: bestSynonymMatch.id,
-                      title: bestSynonymMatch.title,
-                      image: bestSynonymMatch.image,
-                      description: mangaBuddyInfo.description,
-                      author: mangaBuddyInfo.author,
-                      status: mangaBuddyInfo.status,
-                      genres: mangaBuddyInfo.genres || [],
-                      chapters: mangaBuddyInfo.chapters || []
-                    }
-                  };
-                }
-              }
-            } catch (synonymError) {
-              console.log(`Error searching with synonym ${synonym}: ${synonymError.message}`);
-              // Continue to the next synonym
-            }
-          }
+      for (const media of results) {
+        if (!seen.has(media.id)) {
+          seen.set(media.id, timed('match', () => this.scoreAnilistResult(media, titles, mangaInfo)));
         }
-        
-        // If no good matches with main title or synonyms, use the best available match
-        // from the original search results if any were found
-        try {
-          console.log(`No good matches with synonyms, falling back to best available match`);
-          const fallbackResults = await this.mangabuddy.search(formattedSearchTitle);
-          
-          if (fallbackResults && fallbackResults.results && fallbackResults.results.length > 0) {
-            const fallbackMatch = fallbackResults.results[0]; // Just use the first result
-            console.log(`Using fallback match: ${fallbackMatch.title}`);
-            
-            const mangaBuddyInfo = await this.getMangaBuddyInfo(fallbackMatch.id);
-            
-            return {
-              anilist: {
-                id: anilistId,
-                title: animeInfo.title.english || animeInfo.title.romaji
-              },
-              mangabuddy: {
-                id: fallbackMatch.id,
-                title: fallbackMatch.title,
-                image: fallbackMatch.image,
-                description: mangaBuddyInfo.description,
-                author: mangaBuddyInfo.author,
-                status: mangaBuddyInfo.status,
-                genres: mangaBuddyInfo.genres || [],
-                chapters: mangaBuddyInfo.chapters || []
-              }
-            };
-          }
-        } catch (fallbackError) {
-          console.log(`Fallback search failed: ${fallbackError.message}`);
-        }
-        
-        // If we get here, nothing worked
-        throw new Error(`Could not find manga on MangaBuddy with title: ${searchTitle} or any synonyms`);
       }
       
-    } catch (error) {
-      console.error("MangaBuddy mapping error:", error);
-      throw new Error(`MangaBuddy mapping error: ${error.message}`);
+      best = Array.from(seen.values()).sort((a, b) => b.rank - a.rank)[0] || null;
+      if (best && best.score >= MATCH_THRESHOLD) break;
     }
+    
+    if (!best) return null;
+    
+    const ranked = Array.from(seen.values()).sort((a, b) => b.rank - a.rank);
+    return {
+      media: best.media,
+      score: best.score,
+      matchedTitle: best.matchedTitle,
+      matchedAgainst: best.matchedAgainst,
+      signals: best.signals,
+      fallback: best.score < MATCH_THRESHOLD,
+      candidates: ranked.slice(1, CANDIDATE_LIMIT + 1).map(candidate => ({
+        id: candidate.media.id,
+        title: candidate.media.title,
+        score: candidate.score
+      }))
+    };
   }
-
-  // Method to search using MangaKakalot
-  async searchMangaKakalot(title, synonyms = []) {
-    try {
-      // Try the main title first
-      const searchResults = await this.mangakakalot.search(title);
-      
-      if (!searchResults || !searchResults.results || searchResults.results.length === 0) {
-        // If no results found with main title, try synonyms if available
-        if (synonyms && synonyms.length > 0) {
-          // Try each synonym until we find results
-          for (const synonym of synonyms) {
-            // Only try non-empty synonyms
-            if (synonym && synonym.trim()) {
-              const synonymResults = await this.mangakakalot.search(synonym);
-              
-              if (synonymResults && synonymResults.results && synonymResults.results.length > 0) {
-                return this.findBestMatch(synonymResults.results, title, synonyms);
-              }
-            }
-          }
+  
+  // Best title pair between an Anilist result and the provider titles, adjusted by metadata
+  scoreAnilistResult(media, titles, mangaInfo) {
+    const anilistTitles = [media.title.english, media.title.romaji, media.title.native, ...(media.synonyms || [])]
+      .filter(Boolean);
+    
+    let best = { titleScore: 0, matchedTitle: null, matchedAgainst: null };
+    for (const title of titles) {
+      for (const anilistTitle of anilistTitles) {
+        const similarity = titleSimilarity(title, anilistTitle);
+        if (similarity > best.titleScore) {
+          best = { titleScore: similarity, matchedTitle: anilistTitle, matchedAgainst: title };
         }
-        
-        throw new Error(`No matching manga found on MangaKakalot for title: ${title}`);
       }
-      
-      // Find the best match using title and synonyms
-      return this.findBestMatch(searchResults.results, title, synonyms);
-    } catch (error) {
-      throw new Error(`Failed to search manga on MangaKakalot: ${error.message}`);
     }
+    
+    const { adjustment, signals } = compareMetadata(media, mangaInfo);
+    const rank = best.titleScore + adjustment;
+    
+    return {
+      media,
+      rank,
+      score: Math.max(0, Math.min(1, rank)),
+      titleScore: best.titleScore,
+      matchedTitle: best.matchedTitle,
+      matchedAgainst: best.matchedAgainst,
+      signals
+    };
   }
   
-  // Get manga details including chapters from MangaKakalot
-  async getMangaKakalotInfo(mangaId) {
+  // A provider's mapping for an Anilist entry: stored if known, otherwise searched and remembered
+  async findProviderMapping(provider, anilist, mediaInfo) {
+    const stored = this.mappings.get(anilist.id, provider.id);
+    if (stored) {
+      return { status: 'ok', source: 'stored', mangaId: stored.mangaId, title: stored.title, method: stored.method || 'similarity', score: stored.score };
+    }
+    
     try {
-      // Use the MangaKakalot provider to get manga details
-      return await this.mangakakalot.getMangaInfo(mangaId);
+      const exact = await this.findExactMatch(provider, mediaInfo);
+      const match = exact
+        ? { manga: exact, score: 1, fallback: false, method: 'anilist-link' }
+        : { ...(await this.searchProvider(provider, mediaInfo, { strict: true })), method: 'similarity' };
+      
+      await this.mappings.set(anilist.id, anilist.title, provider.id, {
+        mangaId: match.manga.id,
+        title: match.manga.title,
+        method: match.method,
+        score: match.score,
+        matchedTitle: match.matchedTitle,
+        matchedAgainst: match.matchedAgainst
+      });
+      
+      return { status: 'ok', source: 'search', mangaId: match.manga.id, title: match.manga.title, method: match.method, score: match.score };
     } catch (error) {
-      throw new Error(`Failed to get manga info from MangaKakalot: ${error.message}`);
+      return { status: this.getErrorStatus(provider, error), code: error.code || 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  // Translate a MyAnimeList, Kitsu or MangaUpdates ID to Anilist, with every cross-site ID known
+  async resolveExternalId(site, externalId) {
+    const siteName = EXTERNAL_SITES[site];
+    
+    if (!siteName) {
+      throw new InvalidInputError(`Unknown ID site: ${site}`);
     }
+    
+    const known = { [site]: site === 'mangaupdates' ? null : parseInt(externalId) };
+    let anilistId = null;
+    let match = null;
+    
+    if (site === 'mal') {
+      anilistId = await this.anilist.getIdByMal(externalId);
+    } else if (site === 'kitsu') {
+      // Kitsu links most manga to Anilist directly, the rest only to MyAnimeList
+      const mappings = await this.kitsu.getMappings(externalId);
+      if (mappings) {
+        known.mal = mappings.mal;
+        anilistId = mappings.anilist || (mappings.mal ? await this.anilist.getIdByMal(mappings.mal) : null);
+      }
+    } else {
+      // MangaUpdates doesn't link to Anilist, so its series is matched by title like a provider manga
+      const series = await this.mangaUpdates.getSeries(externalId);
+      if (series) {
+        known.mangaupdates = series.id;
+        match = await this.findAnilistMatch(this.getResultTitles(series), series);
+        if (match && !match.fallback) anilistId = match.media.id;
+      }
+    }
+    
+    if (!anilistId) {
+      throw new AnilistNotFoundError(`No Anilist match for ${siteName} ID ${externalId}`);
+    }
+    
+    const ids = await this.getExternalIds(anilistId, known);
+    
+    return match ? { ids, confidence: match.score } : { ids };
   }
   
-  // Main method to map Anilist ID to MangaKakalot chapters
-  async getChaptersByAnilistIdFromMangaKakalot(anilistId) {
-    try {
-      // Step 1: Get anime info from Anilist
-      const animeInfo = await this.anilist.getInfo(anilistId);
-      
-      // Get main title to search with
-      const searchTitle = animeInfo.title.english || animeInfo.title.romaji || animeInfo.title.native;
-      
-      // Extract ONLY the true synonyms from Anilist, don't include alt titles
-      let synonyms = [];
-      if (animeInfo.synonyms && Array.isArray(animeInfo.synonyms)) {
-        // Filter out empty synonyms and those that match the main title
-        synonyms = animeInfo.synonyms.filter(synonym => 
-          synonym && 
-          synonym.trim() !== '' && 
-          synonym.toLowerCase() !== searchTitle.toLowerCase()
-        );
+  // Cross-site IDs of an Anilist entry; lookups that fail are left null
+  async getExternalIds(anilistId, known = {}) {
+    const ids = {
+      anilist: parseInt(anilistId),
+      mal: known.mal || null,
+      kitsu: known.kitsu || null,
+      mangaupdates: known.mangaupdates || null
+    };
+    
+    if (!ids.mal) {
+      try {
+        ids.mal = (await this.anilist.getInfo(anilistId)).idMal || null;
+      } catch (error) {
+        log.warn('MyAnimeList ID lookup failed', { anilistId, error });
       }
-      
-      console.log(`Searching for manga on MangaKakalot: ${searchTitle}`);
-      if (synonyms.length > 0) {
-        console.log(`Also trying synonyms: ${synonyms.join(', ')}`);
+    }
+    
+    if (!ids.kitsu) {
+      try {
+        ids.kitsu = await this.kitsu.findId('anilist', ids.anilist) ||
+          (ids.mal ? await this.kitsu.findId('mal', ids.mal) : null);
+      } catch (error) {
+        log.warn('Kitsu ID lookup failed', { anilistId, error });
       }
+    }
+    
+    return ids;
+  }
+
+  // One chapter list across all providers, with gaps and the provider furthest ahead
+  async getChapterIndex(anilistId, options = {}) {
+    const { anilist, providers } = await this.getChaptersFromAllProviders(anilistId, options);
+    
+    return {
+      anilist,
+      ...buildChapterIndex(providers)
+    };
+  }
+
+  // Providers /read tries, in order: READ_PROVIDERS (comma separated IDs) or every
+  // registered provider. Unknown IDs are left out.
+  getReadOrder(ids = process.env.READ_PROVIDERS) {
+    if (!ids) return listProviders();
+    
+    return String(ids).split(',')
+      .map(id => getProvider(id.trim()))
+      .filter((provider, index, list) => provider && list.indexOf(provider) === index);
+  }
+
+  // Pages of one chapter from the first provider, in priority order, that has it and
+  // returns pages. Providers that fail to map, lack the chapter (or only generated
+  // it), throw or return no pages are reported in `failed` and the next one is tried.
+  async readChapter(anilistId, chapterNumber, options = {}) {
+    const providers = options.providers || this.getReadOrder();
+    const loadMediaInfo = this.createMediaLoader(anilistId);
+    const failed = [];
+    let anilist = null;
+    
+    for (const provider of providers) {
+      const startTime = Date.now();
+      const fail = (step, status, code, message) => {
+        failed.push({ provider: provider.id, step, status, code, error: message, durationMs: Date.now() - startTime });
+        log.info('Read failed over', { provider: provider.id, anilistId, chapter: chapterNumber, step, code });
+      };
       
-      // Step 2: Search for manga on MangaKakalot using the title and synonyms
-      const bestMatch = await this.searchMangaKakalot(searchTitle, synonyms);
+      // Step 1: Map the Anilist ID, strictly, since a wrong manga would serve the wrong pages
+      let chapter;
+      try {
+        const result = await this.mapProvider(provider, anilistId, loadMediaInfo, { refresh: options.refresh, strict: true });
+        anilist = anilist || result.anilist;
+        chapter = findChapter(result[provider.id].chapters || [], chapterNumber, options.part || null);
+      } catch (error) {
+        // An unknown Anilist ID fails every provider the same way
+        if (error instanceof AnilistNotFoundError) throw error;
+        fail('mapping', this.getErrorStatus(provider, error), error.code || 'INTERNAL_ERROR', error.message);
+        continue;
+      }
       
-      // Step 3: Get full manga info with chapters from MangaKakalot
-      const mangaKakalotInfo = await this.getMangaKakalotInfo(bestMatch.id);
+      if (!chapter) {
+        fail('chapter', 'not_found', 'CHAPTER_NOT_FOUND', `${provider.name} has no chapter ${chapterNumber}`);
+        continue;
+      }
+      // Made up from a count or a URL pattern; the site may not have it at all
+      if (chapter.generated) {
+        fail('chapter', 'not_found', 'CHAPTER_NOT_FOUND', `${provider.name} doesn't list chapter ${chapterNumber}, it is only generated`);
+        continue;
+      }
       
-      // Step 4: Return the mapped information with chapters
-      return {
-        anilist: {
-          id: anilistId,
-          title: animeInfo.title.english || animeInfo.title.romaji
-        },
-        mangakakalot: {
-          id: bestMatch.id,
-          title: bestMatch.title,
-          image: bestMatch.image,
-          altTitles: mangaKakalotInfo.altTitles,
-          description: mangaKakalotInfo.description,
-          author: mangaKakalotInfo.author,
-          status: mangaKakalotInfo.status,
-          genres: mangaKakalotInfo.genres || [],
-          chapters: mangaKakalotInfo.chapters || []
+      // Step 2: Fetch the pages; an empty list is a failure like any other
+      try {
+        const pages = await provider.fetchChapterPages(provider.resolveChapterId(String(chapter.id)));
+        
+        if (!pages || pages.length === 0) {
+          fail('pages', 'error', 'PARSE_FAILED', `${provider.name} returned no pages for chapter ${chapter.id}`);
+          continue;
         }
-      };
-      
-    } catch (error) {
-      throw new Error(`MangaKakalot mapping error: ${error.message}`);
+        
+        return {
+          anilist,
+          chapter: {
+            number: chapter.number,
+            part: chapter.part || null,
+            title: chapter.title,
+            id: chapter.id,
+            url: chapter.url,
+            publishedAt: chapter.publishedAt
+          },
+          provider: provider.id,
+          pages,
+          failed
+        };
+      } catch (error) {
+        fail('pages', this.getErrorStatus(provider, error), error.code || 'INTERNAL_ERROR', error.message);
+      }
+    }
+    
+    const details = { failed };
+    
+    // Nobody has the chapter (or the manga) is a 404; anything else means providers that have it broke
+    if (failed.every(attempt => attempt.status === 'not_found')) {
+      throw new ChapterNotFoundError(`No provider has chapter ${chapterNumber} of Anilist ${anilistId}`, { details });
     }
+    throw new UpstreamError(`No provider could serve chapter ${chapterNumber} of Anilist ${anilistId}`, { details });
   }
 }
 
-module.exports = Mapper; 
\ No newline at end of file
+module.exports = Mapper;
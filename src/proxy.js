@@ -0,0 +1,170 @@
+// Image proxy helpers: most scanlation CDNs reject hotlinked requests, so page
+// images are fetched server-side with the Referer and User-Agent of the site
+// they belong to, restricted to the hosts each provider is known to serve from.
+
+const { HostNotAllowedError, UpstreamError } = require('./errors');
+
+// Request headers forwarded to the image host
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-none-match', 'if-modified-since'];
+
+// Response headers passed back to the client
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'cache-control',
+  'etag',
+  'last-modified'
+];
+
+const MAX_REDIRECTS = 3;
+
+/**
+ * Hosts a provider may proxy images from: its mirrors, plus its image hosts.
+ * IMAGE_HOSTS_<PROVIDER> (comma separated) replaces the provider's built-in image
+ * hosts, e.g. IMAGE_HOSTS_MANGABUDDY=mbcdn.xyz,example.org
+ * @param {BaseProvider} provider - Provider the image belongs to
+ * @returns {string[]} - Domains; subdomains are allowed too
+ */
+function getImageHosts(provider) {
+  const override = process.env[`IMAGE_HOSTS_${provider.id.toUpperCase()}`];
+  const hosts = override
+    ? override.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    : provider.imageHosts || [];
+
+  return provider.mirrors ? [...provider.mirrors.domains, ...hosts] : hosts;
+}
+
+/**
+ * Referer sent with image requests, overridable with IMAGE_REFERER_<PROVIDER>.
+ * Sites with mirrors default to the mirror in use.
+ * @param {BaseProvider} provider - Provider the image belongs to
+ * @returns {string|null} - Referer URL
+ */
+function getImageReferer(provider) {
+  return process.env[`IMAGE_REFERER_${provider.id.toUpperCase()}`]
+    || provider.imageReferer
+    || (provider.mirrors ? `${provider.baseUrl}/` : null);
+}
+
+/**
+ * Whether a URL points at one of the provider's image hosts
+ * @param {BaseProvider} provider - Provider the image belongs to
+ * @param {string} url - Image URL
+ * @returns {boolean} - True if the URL may be proxied
+ */
+function isAllowedImageUrl(provider, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+  const hostname = parsed.hostname.toLowerCase();
+  return getImageHosts(provider).some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Check that an image host answered with an image, or a range or conditional
+ * reply for one. Error pages and HTML challenges are not passed on.
+ * @param {Response} response - node-fetch response
+ * @param {string} url - Image URL
+ * @returns {Response} - The response
+ */
+function checkImageResponse(response, url) {
+  const contentType = response.headers.get('content-type') || '';
+
+  if (response.status === 304 || ([200, 206].includes(response.status) && contentType.startsWith('image/'))) {
+    return response;
+  }
+
+  response.body.resume();
+  throw new UpstreamError(`Image host answered ${response.status}${contentType ? ` (${contentType})` : ''}`, {
+    details: { url, status: response.status }
+  });
+}
+
+/**
+ * Fetch an image from a provider's image host. Redirects are followed by hand
+ * so every hop is checked against the allowlist, and anything but an image is
+ * an UpstreamError.
+ * @param {BaseProvider} provider - Provider the image belongs to
+ * @param {string} url - Image URL
+ * @param {Object} requestHeaders - Incoming request headers; Range and validators are forwarded
+ * @returns {Promise<Response>} - node-fetch response with the image body
+ */
+async function fetchImage(provider, url, requestHeaders = {}) {
+  const headers = {
+    'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8'
+  };
+
+  const referer = getImageReferer(provider);
+  if (referer) headers['Referer'] = referer;
+
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    if (requestHeaders[name]) headers[name] = requestHeaders[name];
+  }
+
+  let currentUrl = url;
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    if (!isAllowedImageUrl(provider, currentUrl)) {
+      throw new HostNotAllowedError(`Image host not allowed for ${provider.name}: ${new URL(currentUrl).hostname}`);
+    }
+
+    // Images have their own bucket per host, so pages don't queue behind scraping, and
+    // are streamed, so a large one or a slow client only times out once it stalls
+    const response = await provider.http.fetch(currentUrl, { headers, redirect: 'manual', bucket: 'images', stream: true });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      currentUrl = new URL(response.headers.get('location'), currentUrl).toString();
+      continue;
+    }
+
+    return checkImageResponse(response, currentUrl);
+  }
+
+  throw new UpstreamError(`Too many redirects fetching ${url}`);
+}
+
+/**
+ * Copy the relevant upstream response headers onto an Express response
+ * @param {Response} upstream - node-fetch response
+ * @param {Object} res - Express response
+ */
+function forwardImageHeaders(upstream, res) {
+  for (const name of FORWARDED_RESPONSE_HEADERS) {
+    const value = upstream.headers.get(name);
+    if (value) res.set(name, value);
+  }
+}
+
+/**
+ * Rewrite page URLs so they go through `/proxy/image`
+ * @param {Array} pages - fetchChapterPages output ({ url } or consumet's { img })
+ * @param {BaseProvider} provider - Provider the pages belong to
+ * @param {string} baseUrl - Public URL of this API, e.g. http://localhost:3000
+ * @returns {Array} - Pages with proxied URLs
+ */
+function proxyPages(pages, provider, baseUrl) {
+  const proxied = url => `${baseUrl}/proxy/image?provider=${provider.id}&url=${encodeURIComponent(url)}`;
+
+  return pages.map(page => {
+    const result = { ...page };
+    if (page.url) result.url = proxied(page.url);
+    if (page.img) result.img = proxied(page.img);
+    return result;
+  });
+}
+
+module.exports = {
+  getImageHosts,
+  getImageReferer,
+  isAllowedImageUrl,
+  fetchImage,
+  forwardImageHeaders,
+  proxyPages
+};
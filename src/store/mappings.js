@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'mappings.json');
+
+const log = createLogger('mappings');
+
+/**
+ * Persistent AniList -> provider manga ID mappings, kept in a JSON file.
+ *
+ * File layout:
+ * {
+ *   "<anilistId>": {
+ *     "title": "<anilist title>",
+ *     "providers": {
+ *       "<providerId>": {
+ *         "mangaId": "...", "title": "...", "method": "similarity", "score": 0.93,
+ *         "matchedTitle": "...", "matchedAgainst": "main title", "mappedAt": "<ISO date>"
+ *       }
+ *     }
+ *   }
+ * }
+ */
+class MappingStore {
+  /**
+   * @param {string} filePath - JSON file to persist to (default: MAPPINGS_FILE env or data/mappings.json)
+   */
+  constructor(filePath = process.env.MAPPINGS_FILE || DEFAULT_FILE) {
+    this.filePath = filePath;
+    this.data = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Lazily read the store from disk on first access
+   * @returns {Object} - In-memory mapping data
+   */
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Failed to read mapping store', { file: this.filePath, error });
+      }
+      this.data = {};
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Get the stored AniList entry with every provider mapping
+   * @param {string|number} anilistId - The AniList ID
+   * @returns {Object|null} - { title, providers } or null if nothing is stored
+   */
+  getEntry(anilistId) {
+    return this.load()[String(anilistId)] || null;
+  }
+
+  /**
+   * Get one provider mapping for an AniList ID
+   * @param {string|number} anilistId - The AniList ID
+   * @param {string} providerId - The provider ID
+   * @returns {Object|null} - { mangaId, title, method, score, matchedTitle, matchedAgainst, mappedAt } or null
+   */
+  get(anilistId, providerId) {
+    const entry = this.getEntry(anilistId);
+    return (entry && entry.providers[providerId]) || null;
+  }
+
+  /**
+   * Save a confirmed provider mapping
+   * @param {string|number} anilistId - The AniList ID
+   * @param {string} anilistTitle - AniList title, so stored lookups can skip AniList
+   * @param {string} providerId - The provider ID
+   * @param {Object} mapping - { mangaId, title, method, score, matchedTitle, matchedAgainst }
+   * @returns {Promise<void>} - Resolves once written to disk
+   */
+  set(anilistId, anilistTitle, providerId, mapping) {
+    const data = this.load();
+    const key = String(anilistId);
+
+    if (!data[key]) {
+      data[key] = { title: anilistTitle, providers: {} };
+    }
+
+    data[key].title = anilistTitle || data[key].title;
+    data[key].providers[providerId] = {
+      mangaId: mapping.mangaId,
+      title: mapping.title,
+      method: mapping.method || 'similarity',
+      score: mapping.score,
+      matchedTitle: mapping.matchedTitle,
+      matchedAgainst: mapping.matchedAgainst,
+      mappedAt: new Date().toISOString()
+    };
+
+    return this.save();
+  }
+
+  /**
+   * Forget a provider mapping, e.g. when the stored manga ID stopped working
+   * @param {string|number} anilistId - The AniList ID
+   * @param {string} providerId - The provider ID
+   * @returns {Promise<void>} - Resolves once written to disk
+   */
+  delete(anilistId, providerId) {
+    const entry = this.getEntry(anilistId);
+
+    if (!entry || !entry.providers[providerId]) {
+      return Promise.resolve();
+    }
+
+    delete entry.providers[providerId];
+    return this.save();
+  }
+
+  /**
+   * Write the store to disk. Writes are queued so they never interleave, and go
+   * through a temp file so a crash can't leave half-written JSON behind.
+   * @returns {Promise<void>} - Resolves once written to disk
+   */
+  save() {
+    const contents = JSON.stringify(this.data, null, 2);
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.filePath);
+      } catch (error) {
+        // A read-only filesystem shouldn't break mapping; we keep the in-memory copy
+        log.error('Failed to write mapping store', { file: this.filePath, error });
+      }
+    });
+
+    return this.writeQueue;
+  }
+}
+
+module.exports = MappingStore;
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const AnilistProvider = require('../src/providers/anilist');
+const { AnilistNotFoundError, InvalidInputError, UpstreamError } = require('../src/errors');
+
+// Every query is a POST to the same URL, so the stand-in answers by the variables sent
+function answerGraphql(req, body) {
+  const { variables = {} } = JSON.parse(body);
+
+  if (variables.search === '503') return { status: 503, body: '<html>Service Unavailable</html>' };
+  if (variables.search !== undefined) return 'anilist/search.json';
+  if (variables.idMal === 13) return 'anilist/mal.json';
+  if (variables.id === 30013) return 'anilist/media.json';
+  if (variables.id === null) return { status: 400, fixture: 'anilist/invalid.json' };
+  if (variables.id === 429) return { status: 429, headers: { 'Retry-After': '60' }, body: 'Too Many Requests' };
+  return { status: 404, fixture: 'anilist/not-found.json' };
+}
+
+async function anilistFor(t) {
+  const site = await startStandIn(t, [[/^\/$/, answerGraphql]]);
+  const anilist = new AnilistProvider();
+  anilist.baseUrl = `${site.url}/`;
+  return { anilist, site };
+}
+
+test('media info is simplified, with story and art staff as authors', async (t) => {
+  const { anilist, site } = await anilistFor(t);
+
+  const info = await anilist.getInfo(30013);
+
+  assert.strictEqual(site.requests[0].method, 'POST');
+  assert.deepStrictEqual(JSON.parse(site.requests[0].body).variables, { id: 30013 });
+  assert.deepStrictEqual(info.title, { romaji: 'ONE PIECE', english: 'One Piece', native: 'ONE PIECE' });
+  assert.strictEqual(info.idMal, 13);
+  assert.strictEqual(info.startYear, 1997);
+  assert.deepStrictEqual(info.synonyms, ['ワンピース', 'Wan Pīsu']);
+  assert.deepStrictEqual(info.authors, ['Eiichiro Oda', '尾田栄一郎']);
+  assert.match(info.coverImage.large, /bx30013-tbA1wBTDbHXn\.jpg$/);
+});
+
+test('an unknown ID is an AnilistNotFoundError and a malformed one is invalid input', async (t) => {
+  const { anilist } = await anilistFor(t);
+
+  await assert.rejects(anilist.getInfo(999999999), AnilistNotFoundError);
+  await assert.rejects(anilist.getInfo('abc'), InvalidInputError);
+});
+
+test('rate limits and server errors fail with AniList\'s status, not as malformed JSON', async (t) => {
+  const { anilist } = await anilistFor(t);
+  anilist.http.retries = 0;
+
+  await assert.rejects(anilist.getInfo(429), error => error instanceof UpstreamError && error.details.status === 429);
+  await assert.rejects(anilist.search('503'), error => error instanceof UpstreamError && error.details.status === 503);
+});
+
+test('search results fill in missing lists and covers', async (t) => {
+  const { anilist, site } = await anilistFor(t);
+
+  const { pageInfo, results } = await anilist.search('one piece', { formats: ['MANGA'] });
+
+  assert.deepStrictEqual(JSON.parse(site.requests[0].body).variables, { search: 'one piece', page: 1, perPage: 20, formats: ['MANGA'] });
+  assert.strictEqual(pageInfo.total, 2);
+  assert.deepStrictEqual(results.map(result => result.id), [30013, 86457]);
+  assert.strictEqual(results[1].coverImage, null);
+  assert.deepStrictEqual(results[1].synonyms, []);
+  assert.deepStrictEqual(results[1].genres, []);
+});
+
+test('MyAnimeList IDs resolve to the AniList ID, or null when AniList has none', async (t) => {
+  const { anilist } = await anilistFor(t);
+
+  assert.strictEqual(await anilist.getIdByMal(13), 30013);
+  assert.strictEqual(await anilist.getIdByMal(424242), null);
+});
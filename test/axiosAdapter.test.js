@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const { HttpClient } = require('../src/http/client');
+const { createAxiosAdapter } = require('../src/http/axiosAdapter');
+const { NotFoundError } = require('../src/errors');
+
+// The parts of an axios request config the adapter reads; axios passes its headers as AxiosHeaders
+const config = (url, extra = {}) => ({
+  url,
+  method: 'get',
+  headers: { toJSON: () => ({ Accept: 'application/json, text/plain, */*' }) },
+  validateStatus: status => status >= 200 && status < 300,
+  ...extra
+});
+
+test('requests are sent through the client with its headers, the URL built from baseURL and params', async (t) => {
+  const site = await startStandIn(t, [
+    [/^\/manga\?title=solo\+leveling&limit=5$/, { headers: { 'Content-Type': 'application/json' }, body: '{"data":[]}' }]
+  ]);
+  const adapter = createAxiosAdapter(new HttpClient({ headers: { 'Referer': 'https://site.example/' } }));
+
+  const response = await adapter(config('/manga', { baseURL: site.url, params: { title: 'solo leveling', limit: 5, offset: undefined } }));
+
+  assert.strictEqual(response.status, 200);
+  // Left as text for axios' transformResponse to parse
+  assert.strictEqual(response.data, '{"data":[]}');
+  assert.strictEqual(response.headers['content-type'], 'application/json');
+  assert.strictEqual(site.requests[0].headers.referer, 'https://site.example/');
+  assert.strictEqual(site.requests[0].headers.accept, 'application/json, text/plain, */*');
+  assert.doesNotMatch(site.requests[0].headers['user-agent'], /axios/);
+});
+
+test('5xx answers are retried by the client before axios sees them', async (t) => {
+  let attempts = 0;
+  const site = await startStandIn(t, [
+    [/^\/series$/, () => ++attempts < 2 ? { status: 502, body: 'bad gateway' } : { body: '<html></html>' }]
+  ]);
+  const adapter = createAxiosAdapter(new HttpClient({ retries: 2 }));
+
+  const response = await adapter(config(`${site.url}/series`));
+
+  assert.strictEqual(response.data, '<html></html>');
+  assert.strictEqual(attempts, 2);
+});
+
+test('statuses axios rejects fail with the client\'s typed errors and the axios response', async (t) => {
+  const site = await startStandIn(t, []);
+  const adapter = createAxiosAdapter(new HttpClient());
+
+  await assert.rejects(adapter(config(`${site.url}/gone`)), error => {
+    assert.ok(error instanceof NotFoundError);
+    assert.strictEqual(error.response.status, 404);
+    assert.strictEqual(error.response.data, 'not found');
+    return true;
+  });
+
+  const response = await adapter(config(`${site.url}/gone`, { validateStatus: () => true }));
+  assert.strictEqual(response.status, 404);
+});
+
+test('request bodies are sent for methods that have one', async (t) => {
+  const site = await startStandIn(t, [[/^\/graphql$/, { body: '{}' }]]);
+  const adapter = createAxiosAdapter(new HttpClient());
+
+  await adapter(config(`${site.url}/graphql`, { method: 'post', data: '{"query":"{}"}' }));
+
+  assert.strictEqual(site.requests[0].method, 'POST');
+  assert.strictEqual(site.requests[0].body, '{"query":"{}"}');
+});
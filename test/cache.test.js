@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('node:net');
+const { Cache } = require('../src/cache');
+const MemoryCache = require('../src/cache/memory');
+const RedisCache = require('../src/cache/redis');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('memory entries expire after their TTL', async () => {
+  const memory = new MemoryCache();
+
+  await memory.set('short', 'a', 20);
+  await memory.set('long', 'b', 60000);
+  assert.strictEqual(await memory.get('short'), 'a');
+
+  await sleep(40);
+  assert.strictEqual(await memory.get('short'), undefined);
+  assert.strictEqual(await memory.get('long'), 'b');
+  assert.strictEqual(memory.entries.has('short'), false);
+});
+
+test('the least recently used memory entry is evicted first', async () => {
+  const memory = new MemoryCache(2);
+
+  await memory.set('a', 1, 60000);
+  await memory.set('b', 2, 60000);
+  await memory.get('a');
+  await memory.set('c', 3, 60000);
+
+  assert.strictEqual(await memory.get('b'), undefined);
+  assert.strictEqual(await memory.get('a'), 1);
+  assert.strictEqual(await memory.get('c'), 3);
+});
+
+test('memory values are copies, so callers changing them leave the cache alone', async () => {
+  const memory = new MemoryCache();
+  const info = { title: 'One Piece', chapters: [{ id: 'op/1', number: 1 }] };
+
+  await memory.set('info', info, 60000);
+  info.chapters.push({ id: 'op/2', number: 2 });
+  (await memory.get('info')).chapters.length = 0;
+
+  assert.deepStrictEqual(await memory.get('info'), { title: 'One Piece', chapters: [{ id: 'op/1', number: 1 }] });
+});
+
+test('wrap loads once for concurrent misses and skips empty results', async () => {
+  const cache = new Cache(new MemoryCache(), { search: 60 });
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    await sleep(10);
+    return { results: [{ id: 'op' }] };
+  };
+
+  const [first, second] = await Promise.all([cache.wrap('search', 'op', loader), cache.wrap('search', 'op', loader)]);
+  assert.strictEqual(loads, 1);
+  assert.deepStrictEqual(first, second);
+
+  await cache.wrap('search', 'op', loader);
+  assert.strictEqual(loads, 1);
+  assert.deepStrictEqual(cache.kindStats.search, { hits: 1, misses: 2 });
+
+  await cache.wrap('search', 'nothing', async () => ({ results: [] }));
+  assert.strictEqual(await cache.backend.get('search:nothing'), undefined);
+});
+
+test('a maximum TTL passed to wrap caps the kind\'s TTL', async (t) => {
+  const cache = new Cache(new MemoryCache(), { pages: 24 * 60 * 60 });
+  const set = t.mock.method(cache.backend, 'set');
+
+  await cache.wrap('pages', 'dex', async () => ['page'], 300);
+  await cache.wrap('pages', 'op', async () => ['page']);
+
+  assert.deepStrictEqual(set.mock.calls.map(call => call.arguments[2]), [300 * 1000, 24 * 60 * 60 * 1000]);
+});
+
+/**
+ * Minimal Redis stand-in: GET, SET with PX, DEL, AUTH and SELECT over RESP.
+ * Commands for which `hang(args)` returns true are never answered.
+ */
+async function startRedis(t, { hang = () => false } = {}) {
+  const data = new Map();
+  const commands = [];
+  const sockets = new Set();
+  let connections = 0;
+
+  const answer = args => {
+    const [command, key, value, , ttl] = args;
+    switch (command.toUpperCase()) {
+      case 'GET': {
+        const entry = data.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) return '$-1\r\n';
+        return `$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n`;
+      }
+      case 'SET':
+        data.set(key, { value, expiresAt: ttl ? Date.now() + parseInt(ttl) : Infinity });
+        return '+OK\r\n';
+      case 'DEL':
+        return `:${data.delete(key) ? 1 : 0}\r\n`;
+      case 'AUTH':
+        return key === 'secret' ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      default:
+        return '+OK\r\n';
+    }
+  };
+
+  const server = net.createServer(socket => {
+    connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      // Requests are arrays of bulk strings: *<n>\r\n then $<length>\r\n<arg>\r\n per argument
+      for (;;) {
+        const text = buffer.toString('latin1');
+        const header = text.match(/^\*(\d+)\r\n/);
+        if (!header) return;
+
+        const args = [];
+        let offset = header[0].length;
+        for (let i = 0; i < parseInt(header[1]); i++) {
+          const length = text.slice(offset).match(/^\$(\d+)\r\n/);
+          if (!length || text.length < offset + length[0].length + parseInt(length[1]) + 2) return;
+          offset += length[0].length;
+          args.push(buffer.toString('utf8', offset, offset + parseInt(length[1])));
+          offset += parseInt(length[1]) + 2;
+        }
+        buffer = buffer.subarray(offset);
+
+        commands.push(args);
+        if (!hang(args)) socket.write(answer(args));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  });
+
+  return { url: `redis://127.0.0.1:${server.address().port}`, commands, connections: () => connections };
+}
+
+test('the Redis backend stores JSON with a millisecond TTL and deletes', async (t) => {
+  const redis = await startRedis(t);
+  const backend = new RedisCache(`${redis.url}/2`, { prefix: 'test:' });
+  t.after(() => backend.reset(new Error('test over')));
+
+  await backend.set('info:op', { title: 'One Piece', chapters: [1, 2] }, 60000);
+  assert.deepStrictEqual(await backend.get('info:op'), { title: 'One Piece', chapters: [1, 2] });
+  assert.strictEqual(await backend.get('info:missing'), undefined);
+
+  await backend.set('pages:short', ['a'], 20);
+  await sleep(40);
+  assert.strictEqual(await backend.get('pages:short'), undefined);
+
+  await backend.delete('info:op');
+  assert.strictEqual(await backend.get('info:op'), undefined);
+
+  assert.deepStrictEqual(redis.commands[0], ['SELECT', '2']);
+  assert.deepStrictEqual(redis.commands[1], ['SET', 'test:info:op', '{"title":"One Piece","chapters":[1,2]}', 'PX', '60000']);
+  assert.strictEqual(redis.connections(), 1);
+});
+
+test('the Redis backend authenticates with the password in the URL', async (t) => {
+  const redis = await startRedis(t);
+  const backend = new RedisCache(redis.url.replace('redis://', 'redis://:secret@'));
+  t.after(() => backend.reset(new Error('test over')));
+
+  await backend.set('key', 'value', 1000);
+
+  assert.deepStrictEqual(redis.commands[0], ['AUTH', 'secret']);
+  assert.strictEqual(await backend.get('key'), 'value');
+});
+
+test('a Redis command timing out fails and the next command reconnects', async (t) => {
+  let hung = false;
+  const redis = await startRedis(t, {
+    hang: args => {
+      if (hung || args[0] !== 'GET') return false;
+      hung = true;
+      return true;
+    }
+  });
+  const backend = new RedisCache(redis.url, { timeout: 50 });
+  t.after(() => backend.reset(new Error('test over')));
+
+  await backend.set('key', 'value', 60000);
+  await assert.rejects(backend.get('key'), /timed out/);
+  assert.strictEqual(backend.socket, null);
+
+  assert.strictEqual(await backend.get('key'), 'value');
+  assert.strictEqual(redis.connections(), 2);
+});
+
+test('a Redis outage only costs the cache, never the request', async (t) => {
+  const redis = await startRedis(t, { hang: () => true });
+  const cache = new Cache(new RedisCache(redis.url, { timeout: 20 }), { info: 60 });
+  t.after(() => cache.backend.reset(new Error('test over')));
+
+  assert.strictEqual(await cache.wrap('info', 'op', async () => 'loaded'), 'loaded');
+  assert.strictEqual(cache.stats.errors, 1);
+});
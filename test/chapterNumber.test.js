@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseChapterLabel, parseChapterSlug, chapterNumberFrom } = require('../src/chapters/chapterNumber');
+const fixtures = require('./fixtures/chapter-labels.json');
+
+for (const { label, expected } of fixtures.labels) {
+  test(`parses label ${JSON.stringify(label)}`, () => {
+    const result = parseChapterLabel(label);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.strictEqual(result[field], value, `${field} of ${JSON.stringify(label)}`);
+    }
+  });
+}
+
+for (const { slug, expected } of fixtures.slugs) {
+  test(`parses slug "${slug}"`, () => {
+    const result = parseChapterSlug(slug);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.strictEqual(result[field], value, `${field} of "${slug}"`);
+    }
+  });
+}
+
+test('chapterNumberFrom returns just the chapter', () => {
+  assert.strictEqual(chapterNumberFrom('Vol.3 Ch.12.5 - Extra'), 12.5);
+  assert.strictEqual(chapterNumberFrom(7), 7);
+  assert.strictEqual(chapterNumberFrom(NaN), null);
+  assert.strictEqual(chapterNumberFrom(undefined), null);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDate, normalizeChapter, normalizeChapters } = require('../src/chapters/normalize');
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+test('parseDate handles relative dates', () => {
+  assert.strictEqual(parseDate('2 days ago', now), '2024-06-13T12:00:00.000Z');
+  assert.strictEqual(parseDate('an hour ago', now), '2024-06-15T11:00:00.000Z');
+  assert.strictEqual(parseDate('5 mins ago', now), '2024-06-15T11:55:00.000Z');
+  assert.strictEqual(parseDate('2 weeks ago', now), '2024-06-01T12:00:00.000Z');
+  assert.strictEqual(parseDate('3 months ago', now), '2024-03-15T12:00:00.000Z');
+  assert.strictEqual(parseDate('1y ago', now), '2023-06-15T12:00:00.000Z');
+  assert.strictEqual(parseDate('Yesterday', now), '2024-06-14T12:00:00.000Z');
+  assert.strictEqual(parseDate('just now', now), now.toISOString());
+});
+
+test('parseDate handles absolute dates', () => {
+  assert.strictEqual(parseDate('Jan 05,2024', now), '2024-01-05T00:00:00.000Z');
+  assert.strictEqual(parseDate('Jan-05-2024 12:30', now), '2024-01-05T12:30:00.000Z');
+  assert.strictEqual(parseDate('January 5, 2024', now), '2024-01-05T00:00:00.000Z');
+  assert.strictEqual(parseDate('Jan 05,24', now), '2024-01-05T00:00:00.000Z');
+  assert.strictEqual(parseDate('05 Jan 2024', now), '2024-01-05T00:00:00.000Z');
+  assert.strictEqual(parseDate('2024-01-05T10:00:00Z', now), '2024-01-05T10:00:00.000Z');
+});
+
+test('parseDate returns null for placeholders', () => {
+  for (const value of ['Unknown', 'Recent', '', null, undefined, 'Chapter 5']) {
+    assert.strictEqual(parseDate(value, now), null);
+  }
+});
+
+test('normalizeChapter maps provider fields onto the schema', () => {
+  assert.deepStrictEqual(normalizeChapter({
+    id: 'abc',
+    chapterNumber: '3',
+    volumeNumber: '1',
+    title: ' The Start ',
+    releaseDate: '2024-01-01'
+  }, { now }), {
+    id: 'abc',
+    number: 3,
+    numberEnd: null,
+    volume: 1,
+    part: null,
+    special: null,
+    title: 'The Start',
+    publishedAt: '2024-01-01T00:00:00.000Z',
+    language: 'en',
+    scanlator: null,
+    url: null,
+    generated: false
+  });
+});
+
+test('normalizeChapter falls back to the title and ID for the number', () => {
+  assert.strictEqual(normalizeChapter({ id: 'x', title: 'Chapter 55.5: Extra' }).number, 55.5);
+  assert.strictEqual(normalizeChapter({ id: 'manga/chapter-12-5', title: 'Oneshot' }).number, 12.5);
+  assert.strictEqual(normalizeChapter({ id: 'manga/extra', title: 'Oneshot' }).number, null);
+});
+
+test('normalizeChapter keeps volume, range, part and special from the title', () => {
+  const chapter = normalizeChapter({ id: 'x', title: 'Vol.3 Ch.12.5 - Extra' });
+  assert.strictEqual(chapter.volume, 3);
+  assert.strictEqual(chapter.number, 12.5);
+  assert.strictEqual(chapter.special, 'extra');
+
+  assert.strictEqual(normalizeChapter({ id: 'x', title: 'Chapter 10-12' }).numberEnd, 12);
+  assert.strictEqual(normalizeChapter({ id: 'x', title: 'Chapter 100 (Part 2)' }).part, 2);
+  assert.strictEqual(normalizeChapter({ id: 'x', number: 4, title: 'Season 2 Episode 4' }).volume, 2);
+});
+
+test('normalizeChapters drops provider-specific fields and entries without an ID', () => {
+  const chapters = normalizeChapters([
+    { id: 'm/chapter-2', title: 'Chapter 2', date: 'Unknown', views: 100, generated: true },
+    { id: '', title: 'Broken' }
+  ], { now });
+
+  assert.strictEqual(chapters.length, 1);
+  assert.deepStrictEqual(Object.keys(chapters[0]), ['id', 'number', 'numberEnd', 'volume', 'part', 'special', 'title', 'publishedAt', 'language', 'scanlator', 'url', 'generated']);
+  assert.strictEqual(chapters[0].publishedAt, null);
+  assert.strictEqual(chapters[0].generated, true);
+  assert.strictEqual(normalizeChapter({ id: 'x', title: 'Chapter 1' }).generated, false);
+});
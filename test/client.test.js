@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { HttpClient, getProxyUrl } = require('../src/http/client');
+const { NotFoundError, UpstreamBlockedError, UpstreamTimeoutError, ParseError } = require('../src/errors');
+
+// Local server answering with the handler for each path; requests are recorded
+function startServer(handlers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    (handlers[req.url] || ((req, res) => res.end('ok')))(req, res, requests.length);
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: path => `http://127.0.0.1:${server.address().port}${path}` });
+  }));
+}
+
+test('5xx answers are retried until one succeeds', async (t) => {
+  let attempts = 0;
+  const { server, url } = await startServer({
+    '/flaky': (req, res) => {
+      attempts++;
+      res.statusCode = attempts < 3 ? 502 : 200;
+      res.end(attempts < 3 ? 'bad gateway' : 'finally');
+    }
+  });
+  t.after(() => server.close());
+
+  const client = new HttpClient({ retries: 2 });
+  assert.strictEqual(await client.text(url('/flaky'), { rateLimit: false }), 'finally');
+  assert.strictEqual(attempts, 3);
+});
+
+test('4xx answers are not retried', async (t) => {
+  let attempts = 0;
+  const { server, url } = await startServer({
+    '/missing': (req, res) => {
+      attempts++;
+      res.statusCode = 404;
+      res.end('not found');
+    }
+  });
+  t.after(() => server.close());
+
+  const client = new HttpClient({ retries: 2 });
+  await assert.rejects(
+    client.text(url('/missing'), { rateLimit: false }),
+    error => error instanceof NotFoundError && /404 Not Found/.test(error.message)
+  );
+  assert.strictEqual(attempts, 1);
+});
+
+test('slow answers time out', async (t) => {
+  const { server, url } = await startServer({
+    '/slow': (req, res) => setTimeout(() => res.end('late'), 1000)
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const client = new HttpClient({ timeout: 100, retries: 0 });
+  await assert.rejects(
+    client.text(url('/slow'), { rateLimit: false }),
+    error => error instanceof UpstreamTimeoutError && error.code === 'UPSTREAM_TIMEOUT'
+  );
+});
+
+test('Cloudflare challenges are reported as blocked', async (t) => {
+  const { server, url } = await startServer({
+    '/challenge': (req, res) => {
+      res.writeHead(403, { 'Server': 'cloudflare', 'Content-Type': 'text/html' });
+      res.end('<title>Just a moment...</title>');
+    }
+  });
+  t.after(() => server.close());
+
+  const client = new HttpClient({ retries: 0 });
+  await assert.rejects(
+    client.text(url('/challenge'), { rateLimit: false }),
+    error => error instanceof UpstreamBlockedError && /Cloudflare/.test(error.message) && error.status === 502
+  );
+});
+
+test('a body that stalls after the headers times out', async (t) => {
+  const { server, url } = await startServer({
+    '/stalled': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.write('<html>');
+    }
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const client = new HttpClient({ timeout: 100, retries: 0 });
+  await assert.rejects(client.text(url('/stalled'), { rateLimit: false }), UpstreamTimeoutError);
+});
+
+test('a streamed body only times out once it stalls', async (t) => {
+  const { server, url } = await startServer({
+    // 250ms in all, but never 100ms without data
+    '/steady': (req, res) => {
+      let chunks = 0;
+      const interval = setInterval(() => {
+        res.write(`${chunks}`);
+        if (++chunks === 5) {
+          clearInterval(interval);
+          res.end();
+        }
+      }, 50);
+    },
+    '/stalled': (req, res) => {
+      res.writeHead(200);
+      res.write('0');
+    }
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const client = new HttpClient({ timeout: 100, retries: 0 });
+  const steady = await client.fetch(url('/steady'), { rateLimit: false, stream: true });
+  assert.strictEqual(await steady.text(), '01234');
+
+  const stalled = await client.fetch(url('/stalled'), { rateLimit: false, stream: true });
+  const chunks = [];
+  await assert.rejects(async () => {
+    for await (const chunk of stalled.body) chunks.push(chunk.toString());
+  }, UpstreamTimeoutError);
+  assert.deepStrictEqual(chunks, ['0']);
+});
+
+test('Cloudflare challenges are not retried', async (t) => {
+  const { server, requests, url } = await startServer({
+    '/mitigated': (req, res) => {
+      res.writeHead(403, { 'Server': 'cloudflare', 'cf-mitigated': 'challenge' });
+      res.end();
+    },
+    '/page': (req, res) => {
+      res.writeHead(503, { 'Server': 'cloudflare', 'Content-Type': 'text/html' });
+      res.end('<html><head><title>Just a moment...</title></head><script src="/cdn-cgi/challenge-platform/h/b/orchestrate/chl_page/v1"></script></html>');
+    }
+  });
+  t.after(() => server.close());
+
+  const client = new HttpClient({ retries: 2 });
+  for (const path of ['/mitigated', '/page']) {
+    await assert.rejects(
+      client.text(url(path), { rateLimit: false }),
+      error => error instanceof UpstreamBlockedError && /Cloudflare challenge/.test(error.message)
+    );
+  }
+  assert.deepStrictEqual(requests.map(request => request.url), ['/mitigated', '/page']);
+});
+
+test('a 503 passed on by Cloudflare without a challenge is retried', async (t) => {
+  let attempts = 0;
+  const { server, url } = await startServer({
+    '/down': (req, res) => {
+      attempts++;
+      res.writeHead(attempts < 2 ? 503 : 200, { 'Server': 'cloudflare' });
+      res.end(attempts < 2 ? 'Service Unavailable' : 'back');
+    }
+  });
+  t.after(() => server.close());
+
+  const client = new HttpClient({ retries: 1 });
+  assert.strictEqual(await client.text(url('/down'), { rateLimit: false }), 'back');
+  assert.strictEqual(attempts, 2);
+});
+
+test('malformed JSON is a parse failure', async (t) => {
+  const { server, url } = await startServer({
+    '/broken': (req, res) => res.end('<html>')
+  });
+  t.after(() => server.close());
+
+  const client = new HttpClient({ retries: 0 });
+  await assert.rejects(client.json(url('/broken'), { rateLimit: false }), ParseError);
+});
+
+test('default headers are sent and the User-Agent rotates', async (t) => {
+  const { server, requests, url } = await startServer({});
+  t.after(() => server.close());
+
+  const client = new HttpClient({ headers: { 'Referer': 'https://example.com/' } });
+  await client.text(url('/a'), { rateLimit: false });
+  await client.text(url('/b'), { rateLimit: false, headers: { 'Accept': 'text/plain' } });
+
+  assert.strictEqual(requests[0].headers.referer, 'https://example.com/');
+  assert.strictEqual(requests[1].headers.accept, 'text/plain');
+  assert.notStrictEqual(requests[0].headers['user-agent'], requests[1].headers['user-agent']);
+});
+
+test('a User-Agent in the default headers is kept', async (t) => {
+  const { server, requests, url } = await startServer({});
+  t.after(() => server.close());
+
+  const client = new HttpClient({ headers: { 'User-Agent': 'pinned' } });
+  await client.text(url('/a'), { rateLimit: false });
+
+  assert.strictEqual(requests[0].headers['user-agent'], 'pinned');
+});
+
+test('OUTBOUND_PROXY_<ID> wins over OUTBOUND_PROXY and "none" disables it', () => {
+  const env = {
+    OUTBOUND_PROXY: 'socks5://127.0.0.1:1080',
+    OUTBOUND_PROXY_ANILIST: 'none',
+    OUTBOUND_PROXY_MANGAPARK: 'http://proxy:8080'
+  };
+
+  assert.strictEqual(getProxyUrl('mangadex', env), 'socks5://127.0.0.1:1080');
+  assert.strictEqual(getProxyUrl('anilist', env), null);
+  assert.strictEqual(getProxyUrl('mangapark', env), 'http://proxy:8080');
+  assert.strictEqual(getProxyUrl('mangadex', {}), null);
+});
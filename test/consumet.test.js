@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const { consumetMissing: skip } = require('./helpers/consumet');
+const { checkSearch, checkInfo, checkPages } = require('../src/health');
+
+// MangaDex and AsuraScans parse through @consumet/extensions, so their fixtures are
+// the API answers and pages that library requests, served in place of the real hosts.
+// The results are held to the same checks as the health canaries.
+
+const MANGADEX_ROUTES = [
+  [/^\/manga\?/, 'mangadex/search.json'],
+  [/^\/manga\/[\w-]+\/feed\?/, 'mangadex/feed.json'],
+  [/^\/manga\/[\w-]+(?:\?|$)/, 'mangadex/manga.json'],
+  [/^\/cover\/[\w-]+/, 'mangadex/cover.json'],
+  [/^\/at-home\/server\/[\w-]+/, 'mangadex/at-home.json']
+];
+
+const ASURASCANS_ROUTES = [
+  [/^\/series\?/, 'asurascans/search.html'],
+  [/^\/series\/[\w-]+\/chapter\/\d+/, 'asurascans/chapter.html'],
+  [/^\/series\/[\w-]+(?:\?|$)/, 'asurascans/series.html']
+];
+
+// MangaDex with both its own lookups and the consumet client pointed at the stand-in
+async function mangadexFor(t) {
+  const MangadexProvider = require('../src/providers/mangadex');
+  const api = await startStandIn(t, MANGADEX_ROUTES);
+  const provider = new MangadexProvider();
+  provider.apiUrl = api.url;
+  provider.client.apiUrl = api.url;
+  return { provider, api };
+}
+
+async function asurascansFor(t) {
+  const AsuraScansProvider = require('../src/providers/asurascans');
+  const site = await startStandIn(t, ASURASCANS_ROUTES);
+  const provider = new AsuraScansProvider();
+  provider.client.baseUrl = site.url;
+  return { provider, site };
+}
+
+test('MangaDex search, info and pages pass the canary checks', { skip }, async (t) => {
+  const { provider, api } = await mangadexFor(t);
+
+  const manga = checkSearch(await provider.search('Solo Leveling'), 'Solo Leveling');
+  assert.strictEqual(manga.id, '32d76d19-8a05-4db0-9fc2-e0b0648fe9d0');
+
+  const info = await provider.getMangaInfo(manga.id);
+  const chapter = checkInfo(info);
+  assert.strictEqual(info.title, 'Solo Leveling');
+  assert.deepStrictEqual(info.chapters.map(({ number }) => number), [2, 1]);
+  assert.strictEqual(chapter.url, 'https://mangadex.org/chapter/e86ec2c4-c5e4-4710-bfaa-7604f00939c7');
+
+  const pages = await provider.fetchChapterPages(chapter.id);
+  assert.strictEqual(checkPages(pages), 2);
+  assert.match(pages[0].img, /^https:\/\/uploads\.mangadex\.org\/data\/3a1c86e3f1bd1b0b1e1d79a1f0bd2a0e\/1-/);
+  // consumet's requests were sent by the provider's HttpClient, not axios
+  assert.ok(api.requests.every(request => !/axios/.test(request.headers['user-agent'])));
+});
+
+test('MangaDex finds the manga linking to an AniList entry', { skip }, async (t) => {
+  const { provider, api } = await mangadexFor(t);
+
+  const match = await provider.findExactMatch({
+    id: 105398,
+    title: { english: 'Solo Leveling', romaji: 'Na Honjaman Level Up' },
+    synonyms: []
+  });
+
+  assert.deepStrictEqual(match, { id: '32d76d19-8a05-4db0-9fc2-e0b0648fe9d0', title: 'Solo Leveling' });
+  assert.match(api.requests[0].url, /contentRating%5B%5D=pornographic/);
+});
+
+test('AsuraScans search, info and pages pass the canary checks', { skip }, async (t) => {
+  const { provider } = await asurascansFor(t);
+
+  const manga = checkSearch(await provider.search('Solo Leveling'), 'Solo Leveling');
+  assert.strictEqual(manga.id, 'series/solo-leveling-1bd7c7ac');
+
+  const info = await provider.getMangaInfo(manga.id);
+  const chapter = checkInfo(info);
+  assert.strictEqual(info.title, 'Solo Leveling');
+  assert.strictEqual(chapter.number, 1);
+
+  const pages = await provider.fetchChapterPages(provider.resolveChapterId(chapter.id));
+  assert.strictEqual(checkPages(pages), 2);
+});
+
+test('MangaDex and AsuraScans links parse to manga and chapter IDs', { skip }, () => {
+  const MangadexProvider = require('../src/providers/mangadex');
+  const AsuraScansProvider = require('../src/providers/asurascans');
+  const mangadex = new MangadexProvider();
+  const asurascans = new AsuraScansProvider();
+
+  assert.deepStrictEqual(mangadex.parseUrl('https://mangadex.org/title/32d76d19-8a05-4db0-9fc2-e0b0648fe9d0/solo-leveling'), {
+    mangaId: '32d76d19-8a05-4db0-9fc2-e0b0648fe9d0'
+  });
+  assert.strictEqual(mangadex.parseUrl('https://mangadex.org/title/solo-leveling'), null);
+
+  assert.deepStrictEqual(asurascans.parseUrl('https://asuracomic.net/series/solo-leveling-1bd7c7ac/chapter/200'), {
+    mangaId: 'series/solo-leveling-1bd7c7ac',
+    chapterId: 'solo-leveling-1bd7c7ac/chapter/200'
+  });
+  assert.deepStrictEqual(asurascans.parseUrl('https://asuracomic.net/series/solo-leveling-1bd7c7ac'), { mangaId: 'series/solo-leveling-1bd7c7ac', chapterId: null });
+  assert.strictEqual(asurascans.parseUrl('https://asuracomic.net/bookmarks'), null);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { Writable } = require('node:stream');
+const { startStandIn } = require('./helpers/standIn');
+const BaseProvider = require('../src/providers/base');
+const { buildComicInfo, describeChapter, writeCbz } = require('../src/download');
+const { UpstreamError } = require('../src/errors');
+
+// Stand-ins for page images; only the bytes and content types matter
+const GIF = Buffer.from('R0lGODlhAQABAAAAACw=', 'base64');
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+class PageProvider extends BaseProvider {
+  constructor() {
+    super({ id: 'pages', name: 'Pages' });
+    this.imageHosts = ['127.0.0.1'];
+  }
+}
+
+const ANILIST = {
+  id: 30013,
+  title: { romaji: 'ONE PIECE', english: 'One Piece' },
+  description: 'Gol D. Roger was known as the <i>Pirate King</i>.<br><br>Luffy & friends',
+  authors: ['Eiichiro Oda'],
+  genres: ['Action', 'Adventure']
+};
+
+// Everything written to it, once the archive is done
+function collect() {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  return { output, data: () => Buffer.concat(chunks) };
+}
+
+// [name, contents] of every zip entry, in archive order, read through the central directory
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + size);
+    entries.push([name, method === 8 ? zlib.inflateRawSync(data) : data]);
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+test('a chapter is archived as ordered pages and ComicInfo.xml', async (t) => {
+  const site = await startStandIn(t, [
+    [/^\/1\.gif$/, { headers: { 'Content-Type': 'image/gif' }, body: GIF }],
+    // No extension in the URL, so the content type names the file
+    [/^\/page\?n=2$/, { headers: { 'Content-Type': 'image/png' }, body: PNG }]
+  ]);
+  const { output, data } = collect();
+
+  await writeCbz({
+    provider: new PageProvider(),
+    chapterId: 'one-piece/chapter-1130',
+    // Out of order on purpose
+    pages: [{ url: `${site.url}/page?n=2`, index: 2 }, { img: `${site.url}/1.gif`, index: 1 }],
+    output,
+    anilist: ANILIST,
+    chapter: describeChapter({ number: 1130, volume: null, title: 'Chapter 1130: Zoro', publishedAt: '2024-11-03T00:00:00.000Z' }, 'one-piece/chapter-1130')
+  });
+
+  const entries = unzip(data());
+  assert.deepStrictEqual(entries.map(([name]) => name), ['001.gif', '002.png', 'ComicInfo.xml']);
+  assert.deepStrictEqual(entries[0][1], GIF);
+  assert.deepStrictEqual(entries[1][1], PNG);
+
+  const comicInfo = entries[2][1].toString('utf8');
+  for (const field of [
+    '<Series>One Piece</Series>',
+    '<LocalizedSeries>ONE PIECE</LocalizedSeries>',
+    '<Number>1130</Number>',
+    '<Title>Chapter 1130: Zoro</Title>',
+    '<Summary>Gol D. Roger was known as the Pirate King.\n\nLuffy &amp; friends</Summary>',
+    '<Writer>Eiichiro Oda</Writer>',
+    '<Year>2024</Year>',
+    '<Month>11</Month>',
+    '<Day>3</Day>',
+    '<PageCount>2</PageCount>',
+    '<Web>https://anilist.co/manga/30013</Web>'
+  ]) {
+    assert.ok(comicInfo.includes(field), `ComicInfo.xml lacks ${field}`);
+  }
+});
+
+test('a first page that fails is thrown before anything is written', async (t) => {
+  const site = await startStandIn(t, []);
+  const { output, data } = collect();
+
+  await assert.rejects(writeCbz({
+    provider: new PageProvider(),
+    chapterId: 'gone',
+    pages: [{ url: `${site.url}/1.gif`, index: 1 }],
+    output
+  }), UpstreamError);
+
+  assert.strictEqual(data().length, 0);
+  // Tried once more before giving up
+  assert.strictEqual(site.requests.length, 2);
+});
+
+test('without AniList or a chapter entry ComicInfo.xml still numbers the chapter from its ID', () => {
+  const comicInfo = buildComicInfo({
+    provider: new PageProvider(),
+    chapterId: 'one-piece/chapter-1129.5',
+    pageCount: 3,
+    chapter: describeChapter(null, 'one-piece/chapter-1129.5')
+  });
+
+  assert.match(comicInfo, /<Number>1129\.5<\/Number>/);
+  assert.match(comicInfo, /<PageCount>3<\/PageCount>/);
+  assert.doesNotMatch(comicInfo, /<Series>/);
+});
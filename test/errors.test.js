@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  AppError,
+  NotFoundError,
+  AnilistNotFoundError,
+  NoProviderMatchError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  RateLimitError,
+  wrapError,
+  toResponseBody
+} = require('../src/errors');
+
+test('typed errors carry their code and status', () => {
+  const error = new AnilistNotFoundError('No media found with ID 1');
+
+  assert.ok(error instanceof NotFoundError);
+  assert.strictEqual(error.code, 'ANILIST_NOT_FOUND');
+  assert.strictEqual(error.status, 404);
+  assert.strictEqual(new UpstreamTimeoutError('slow').status, 504);
+  assert.strictEqual(new RateLimitError('kitsu.app', 'answered 429', 30).status, 503);
+});
+
+test('wrapError keeps the type and leaves the original untouched', () => {
+  const original = new NoProviderMatchError('No matching manga found on MangaDex for title: X');
+  const wrapped = wrapError(original, 'Failed to search manga on MangaDex', UpstreamError);
+
+  assert.ok(wrapped instanceof NoProviderMatchError);
+  assert.strictEqual(wrapped.code, 'NO_PROVIDER_MATCH');
+  assert.strictEqual(wrapped.message, 'Failed to search manga on MangaDex: No matching manga found on MangaDex for title: X');
+  assert.strictEqual(original.message, 'No matching manga found on MangaDex for title: X');
+});
+
+test('wrapError gives untyped errors the fallback type', () => {
+  const cause = new Error('socket hang up');
+  const wrapped = wrapError(cause, 'Failed to fetch manga info', UpstreamError);
+
+  assert.ok(wrapped instanceof UpstreamError);
+  assert.strictEqual(wrapped.code, 'UPSTREAM_ERROR');
+  assert.strictEqual(wrapped.cause, cause);
+});
+
+test('response bodies have a stable shape', () => {
+  assert.deepStrictEqual(toResponseBody(new RateLimitError('kitsu.app', 'answered 429', 30)), {
+    error: 'Rate limited',
+    code: 'RATE_LIMITED',
+    message: 'Rate limited: kitsu.app answered 429',
+    details: { host: 'kitsu.app', retryAfter: 30 }
+  });
+  assert.deepStrictEqual(toResponseBody(new Error('boom')), {
+    error: 'Server error',
+    code: 'INTERNAL_ERROR',
+    message: 'boom'
+  });
+  assert.ok(new AppError('x') instanceof Error);
+});
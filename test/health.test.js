@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BaseProvider = require('../src/providers/base');
+const { HealthMonitor, checkInfo } = require('../src/health');
+
+// Provider answering the canary from fixed data; `pages` can be swapped to break it
+class CanaryProvider extends BaseProvider {
+  constructor(id, overrides = {}) {
+    super({ id, name: id });
+    this.data = {
+      search: { results: [{ id: 'other', title: 'One Piece Party' }, { id: 'op', title: 'One Piece' }] },
+      info: { title: 'One Piece', chapters: [{ id: 'op/2', number: 2 }, { id: 'op/1', number: 1 }] },
+      pages: [{ url: 'https://cdn.example.com/1.jpg', index: 1 }],
+      ...overrides
+    };
+    this.calls = [];
+  }
+
+  async search(query) {
+    this.calls.push(['search', query]);
+    return this.data.search;
+  }
+
+  async getMangaInfo(mangaId) {
+    this.calls.push(['getMangaInfo', mangaId]);
+    if (this.data.info instanceof Error) throw this.data.info;
+    return this.data.info;
+  }
+
+  async fetchChapterPages(chapterId) {
+    this.calls.push(['fetchChapterPages', chapterId]);
+    return this.data.pages;
+  }
+}
+
+function monitorFor(providers) {
+  return new HealthMonitor({ providers: () => providers, getCanary: () => 'One Piece', interval: 0 });
+}
+
+test('a provider passing every step is healthy', async () => {
+  const provider = new CanaryProvider('good');
+  const result = await monitorFor([provider]).checkProvider(provider);
+
+  assert.strictEqual(result.status, 'healthy');
+  assert.strictEqual(result.failedStep, null);
+  assert.deepStrictEqual(provider.calls, [
+    ['search', 'One Piece'],
+    ['getMangaInfo', 'op'],
+    ['fetchChapterPages', 'op/1']
+  ]);
+  assert.strictEqual(result.steps.pages.count, 1);
+});
+
+test('empty pages make a provider degraded at the pages step', async () => {
+  const provider = new CanaryProvider('nopages', { pages: [] });
+  const result = await monitorFor([provider]).checkProvider(provider);
+
+  assert.strictEqual(result.status, 'degraded');
+  assert.strictEqual(result.failedStep, 'pages');
+  assert.strictEqual(result.error.code, 'PARSE_FAILED');
+});
+
+test('pages without image URLs are not well formed', async () => {
+  const provider = new CanaryProvider('badpages', { pages: [{ url: '' }, { url: 'https://cdn.example.com/2.jpg' }] });
+  const result = await monitorFor([provider]).checkProvider(provider);
+
+  assert.strictEqual(result.failedStep, 'pages');
+  assert.match(result.error.message, /1 of 2 pages/);
+});
+
+test('a failing search or info step makes a provider down', async () => {
+  const noResults = new CanaryProvider('noresults', { search: { results: [] } });
+  const brokenInfo = new CanaryProvider('brokeninfo', { info: Object.assign(new Error('blocked'), { code: 'UPSTREAM_BLOCKED' }) });
+  const monitor = monitorFor([noResults, brokenInfo]);
+
+  const results = await monitor.checkAll();
+
+  assert.strictEqual(results.status, 'down');
+  assert.strictEqual(results.providers.noresults.failedStep, 'search');
+  assert.deepStrictEqual(results.providers.brokeninfo.error, { code: 'UPSTREAM_BLOCKED', message: 'blocked' });
+});
+
+test('the overall status is unknown until every provider was checked, then degraded when mixed', async () => {
+  const monitor = monitorFor([new CanaryProvider('good'), new CanaryProvider('nopages', { pages: [] })]);
+
+  assert.strictEqual(monitor.getResults().status, 'unknown');
+  assert.strictEqual((await monitor.checkAll()).status, 'degraded');
+});
+
+test('canaries skip the cache', async () => {
+  const provider = new CanaryProvider('uncached');
+
+  await provider.search('One Piece');
+  provider.data.search = { results: [] };
+
+  assert.strictEqual((await provider.search('One Piece')).results.length, 2);
+  assert.strictEqual((await provider.callUncached('search', 'One Piece')).results.length, 0);
+});
+
+test('the lowest numbered chapter is checked', () => {
+  assert.strictEqual(checkInfo({ title: 'X', chapters: [{ id: 'c3', number: 3 }, { id: 'c1', number: 1 }] }).id, 'c1');
+  assert.strictEqual(checkInfo({ title: 'X', chapters: [{ id: 'a' }, { id: 'b' }] }).id, 'a');
+});
@@ -0,0 +1,13 @@
+// The mapper and the MangaDex and AsuraScans providers load @consumet/extensions,
+// which not every checkout can install. Tests needing it pass this as `skip`.
+
+let consumetMissing = false;
+try {
+  require.resolve('@consumet/extensions');
+} catch (error) {
+  consumetMissing = '@consumet/extensions is not installed';
+}
+
+module.exports = {
+  consumetMissing
+};
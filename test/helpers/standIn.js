@@ -0,0 +1,76 @@
+// Local HTTP server standing in for a provider's site. Each route maps a request
+// to a saved page under test/fixtures, so scraper tests run the real provider
+// code, request building included, without touching the network.
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json'
+};
+
+// The stand-in is a single host, which the scheduler would otherwise hold to
+// the 2 requests a second scraped sites get
+process.env.RATE_LIMIT_127_0_0_1 = 'off';
+
+/**
+ * Read a saved page
+ * @param {string} name - Path under test/fixtures, e.g. "mangapark/search.html"
+ * @returns {string} - File contents
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Start a stand-in, closed when the test ends
+ * @param {Object} t - node:test context
+ * @param {Array} routes - [pattern, response] pairs tried in order against the
+ *   request path and query. A response is a fixture name, { status, fixture },
+ *   { status, headers, body } for anything that isn't a saved page, or a function
+ *   called with (req, body) returning one of those. Unmatched requests get a 404.
+ * @returns {Promise<Object>} - { url, requests } with the server's base URL and the requests it received
+ */
+async function startStandIn(t, routes) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+    const route = routes.find(([pattern]) => pattern.test(req.url));
+    let answer = route ? route[1] : null;
+    if (typeof answer === 'function') answer = answer(req, body);
+    if (typeof answer === 'string') answer = { fixture: answer };
+
+    if (!answer) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('not found');
+      return;
+    }
+
+    res.writeHead(answer.status || 200, {
+      'Content-Type': (answer.fixture && CONTENT_TYPES[path.extname(answer.fixture)]) || 'text/plain',
+      ...answer.headers
+    });
+    res.end(answer.fixture ? readFixture(answer.fixture) : answer.body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+module.exports = {
+  startStandIn,
+  readFixture
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const { cache } = require('../src/cache');
+const KitsuProvider = require('../src/providers/kitsu');
+const { UpstreamError } = require('../src/errors');
+
+async function kitsuFor(t, routes) {
+  const site = await startStandIn(t, routes);
+  const kitsu = new KitsuProvider();
+  kitsu.baseUrl = site.url;
+  return { kitsu, site };
+}
+
+test('a manga\'s mappings give its AniList and MyAnimeList IDs', async (t) => {
+  const { kitsu } = await kitsuFor(t, [
+    [/^\/manga\/38\/mappings$/, 'kitsu/mappings.json'],
+    [/^\/manga\/41000\/mappings$/, 'kitsu/mappings-mal-only.json']
+  ]);
+
+  assert.deepStrictEqual(await kitsu.getMappings(38), { anilist: 30013, mal: 13 });
+  assert.deepStrictEqual(await kitsu.getMappings(41000), { anilist: null, mal: 121496 });
+
+  // Cached under a kind of their own, apart from AniList's
+  assert.deepStrictEqual(await kitsu.getMappings(38), { anilist: 30013, mal: 13 });
+  assert.deepStrictEqual(cache.kindStats.kitsu, { hits: 1, misses: 2 });
+  assert.strictEqual(cache.kindStats.anilist, undefined);
+});
+
+test('an unknown manga has no mappings and other failures are upstream errors', async (t) => {
+  const { kitsu } = await kitsuFor(t, [
+    [/^\/manga\/38001\/mappings$/, { status: 500, body: 'oops' }]
+  ]);
+
+  assert.strictEqual(await kitsu.getMappings(99999999), null);
+  await assert.rejects(kitsu.getMappings(38001), UpstreamError);
+});
+
+test('the Kitsu ID is found through the external site\'s mapping', async (t) => {
+  const { kitsu, site } = await kitsuFor(t, [
+    [/^\/mappings\?.*filter%5BexternalId%5D=30013/, 'kitsu/lookup.json'],
+    [/^\/mappings\?/, { headers: { 'Content-Type': 'application/vnd.api+json' }, body: '{"data":[]}' }]
+  ]);
+
+  assert.strictEqual(await kitsu.findId('anilist', 30013), 38);
+  assert.strictEqual(await kitsu.findId('mal', 4), null);
+
+  const params = new URL(site.requests[0].url, site.url).searchParams;
+  assert.strictEqual(params.get('filter[externalSite]'), 'anilist/manga');
+  assert.strictEqual(params.get('include'), 'item');
+  assert.strictEqual(site.requests[0].headers.accept, 'application/vnd.api+json');
+});
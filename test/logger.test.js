@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, runWithContext, getContext, timed } = require('../src/logger');
+const { UpstreamTimeoutError } = require('../src/errors');
+
+// Logger writing parsed lines to an array
+function capture(level = 'debug') {
+  const lines = [];
+  const log = createLogger('test', { level, stream: { write: line => lines.push(JSON.parse(line)) } });
+  return { log, lines };
+}
+
+test('lines below the level are dropped', () => {
+  const { log, lines } = capture('warn');
+
+  log.debug('hidden');
+  log.info('hidden');
+  log.warn('shown', { provider: 'mangadex' });
+
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(lines[0].level, 'warn');
+  assert.strictEqual(lines[0].scope, 'test');
+  assert.strictEqual(lines[0].msg, 'shown');
+  assert.strictEqual(lines[0].provider, 'mangadex');
+});
+
+test('lines carry the request ID across awaits', async () => {
+  const { log, lines } = capture();
+
+  await Promise.all(['a', 'b'].map(requestId => runWithContext({ requestId }, async () => {
+    await new Promise(resolve => setTimeout(resolve, requestId === 'a' ? 20 : 5));
+    log.info('done', { id: requestId });
+  })));
+  log.info('outside');
+
+  assert.deepStrictEqual(lines.map(line => [line.requestId, line.id]), [['b', 'b'], ['a', 'a'], [undefined, undefined]]);
+});
+
+test('errors are serialized, with stacks only for untyped ones', () => {
+  const { log, lines } = capture();
+
+  log.error('typed', { error: new UpstreamTimeoutError('Timed out fetching x') });
+  log.error('untyped', { error: new TypeError('boom') });
+
+  assert.deepStrictEqual(lines[0].error, { name: 'UpstreamTimeoutError', message: 'Timed out fetching x', code: 'UPSTREAM_TIMEOUT' });
+  assert.strictEqual(lines[1].error.message, 'boom');
+  assert.ok(lines[1].error.stack);
+});
+
+test('timed adds up step durations for the current request', async () => {
+  const timings = await runWithContext({ requestId: 'r' }, async () => {
+    await timed('search', () => new Promise(resolve => setTimeout(resolve, 10)));
+    await timed('search', () => new Promise(resolve => setTimeout(resolve, 10)));
+    assert.strictEqual(timed('match', () => 42), 42);
+    await assert.rejects(timed('info', () => Promise.reject(new Error('nope'))));
+    return getContext().timings;
+  });
+
+  assert.ok(timings.search >= 15, `search took ${timings.search}ms`);
+  assert.ok(timings.match >= 0);
+  assert.ok(timings.info >= 0);
+  assert.strictEqual(timed('search', () => 'no context'), 'no context');
+});
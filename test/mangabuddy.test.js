@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const MangaBuddyProvider = require('../src/providers/mangabuddy');
+const { isAllowedImageUrl } = require('../src/proxy');
+const { ParseError } = require('../src/errors');
+
+// MangaBuddy scraping the stand-in instead of mangabuddy.com
+async function providerFor(t, routes) {
+  const site = await startStandIn(t, routes);
+  const provider = new MangaBuddyProvider();
+  provider.baseUrl = site.url;
+  return { provider, site };
+}
+
+test('search joins words with plus signs and reads every book item', async (t) => {
+  const { provider, site } = await providerFor(t, [
+    [/^\/search\?q=solo\+leveling$/, 'mangabuddy/search.html']
+  ]);
+
+  const { results } = await provider.search('solo  leveling');
+
+  assert.strictEqual(site.requests.length, 1);
+  assert.deepStrictEqual(results, [
+    {
+      id: 'solo-leveling',
+      title: 'Solo Leveling',
+      image: 'https://thumb.mbcdn.xyz/thumb/solo-leveling.png',
+      url: `${site.url}/solo-leveling`,
+      genres: ['Action', 'Fantasy'],
+      latestChapter: 'Chapter 200'
+    },
+    {
+      id: 'solo-leveling-ragnarok',
+      // No title attribute, so the cover's alt text
+      title: 'Solo Leveling: Ragnarok',
+      image: 'https://thumb.mbcdn.xyz/thumb/solo-leveling-ragnarok.png',
+      url: `${site.url}/solo-leveling-ragnarok`,
+      genres: ['Action'],
+      latestChapter: 'Chapter 41'
+    }
+  ]);
+});
+
+test('manga info reads the details and builds chapters from the header count', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/solo-leveling$/, 'mangabuddy/info.html']
+  ]);
+
+  const info = await provider.getMangaInfo('solo-leveling');
+
+  assert.strictEqual(info.title, 'Solo Leveling');
+  assert.strictEqual(info.author, 'Chugong');
+  assert.strictEqual(info.status, 'Completed');
+  assert.strictEqual(info.rating, '4.8');
+  assert.deepStrictEqual(info.genres, ['Action', 'Fantasy']);
+  assert.match(info.description, /^Ten years ago/);
+  // Only 5 and 4 are linked from the page, the rest come from the count
+  assert.deepStrictEqual(info.chapters.map(chapter => [chapter.id, chapter.number, chapter.generated]), [
+    ['solo-leveling/chapter-5', 5, false],
+    ['solo-leveling/chapter-4', 4, false],
+    ['solo-leveling/chapter-3', 3, true],
+    ['solo-leveling/chapter-2', 2, true],
+    ['solo-leveling/chapter-1', 1, true]
+  ]);
+});
+
+test('without a chapter count the highest chapter link is used', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/solo-leveling-ragnarok$/, 'mangabuddy/info-links.html']
+  ]);
+
+  const info = await provider.getMangaInfo('solo-leveling-ragnarok');
+
+  assert.strictEqual(info.chapters.length, 3);
+  assert.ok(info.chapters.every(chapter => !chapter.generated));
+  assert.strictEqual(info.chapters[0].url, `${provider.baseUrl}/solo-leveling-ragnarok/chapter-3`);
+});
+
+test('manga info without a title is a parse error', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/removed$/, 'mangabuddy/search.html']
+  ]);
+
+  await assert.rejects(provider.getMangaInfo('removed'), ParseError);
+});
+
+test('pages found by their CDN domain are on hosts the image proxy allows', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/solo-leveling\/chapter-200$/, 'mangabuddy/pages-cdn.html']
+  ]);
+
+  const pages = await provider.fetchChapterPages('solo-leveling/chapter-200');
+
+  assert.deepStrictEqual(pages.map(page => page.url), [
+    'https://s2.mbcdn.org/res/manga/solo-leveling/chapter-200/1.jpg',
+    'https://s2.mbcdn.org/res/manga/solo-leveling/chapter-200/2.jpg',
+    'https://mbcdn.com/res/manga/solo-leveling/chapter-200/3.webp'
+  ]);
+  for (const page of pages) assert.ok(isAllowedImageUrl(provider, page.url), page.url);
+});
+
+test('manga and chapter links parse to IDs, site sections and other sites to null', () => {
+  const provider = new MangaBuddyProvider();
+
+  assert.deepStrictEqual(provider.parseUrl('https://mangabuddy.com/solo-leveling'), { mangaId: 'solo-leveling', chapterId: null });
+  assert.deepStrictEqual(provider.parseUrl('https://mangabuddy.com/solo-leveling/chapter-200'), {
+    mangaId: 'solo-leveling',
+    chapterId: 'solo-leveling/chapter-200'
+  });
+  assert.strictEqual(provider.parseUrl('https://mangabuddy.com/genres/action'), null);
+  assert.strictEqual(provider.parseUrl('https://mangabuddy.com/'), null);
+  assert.strictEqual(provider.parseUrl('https://notmangabuddy.com/solo-leveling'), null);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const MangaKakalotProvider = require('../src/providers/mangakakalot');
+const { ParseError } = require('../src/errors');
+
+// MangaKakalot scraping the stand-in instead of mangakakalot.gg
+async function providerFor(t, routes) {
+  const site = await startStandIn(t, routes);
+  const provider = new MangaKakalotProvider();
+  provider.baseUrl = site.url;
+  return { provider, site };
+}
+
+test('search falls back to the underscore slug and reads results and pagination', async (t) => {
+  const { provider, site } = await providerFor(t, [
+    [/^\/search\/story\/One%20Piece$/, 'mangakakalot/search-empty.html'],
+    [/^\/search\/story\/one_piece$/, 'mangakakalot/search.html']
+  ]);
+
+  const { results, pagination } = await provider.search('One Piece');
+
+  assert.deepStrictEqual(site.requests.map(request => request.url), ['/search/story/One%20Piece', '/search/story/one_piece']);
+  assert.strictEqual(results.length, 2);
+  assert.deepStrictEqual(results[0], {
+    id: 'one-piece',
+    title: 'One Piece',
+    image: 'https://imgs-2.2xstorage.com/thumb/one-piece.webp',
+    latestChapters: [
+      { id: 'chapter-1130', name: 'Chapter 1130' },
+      { id: 'chapter-1129', name: 'Chapter 1129' }
+    ],
+    author: 'Oda Eiichiro',
+    updated: 'Oct-18-2026 22:15',
+    views: '203451937'
+  });
+  assert.deepStrictEqual(pagination, { currentPage: 1, hasNextPage: true, totalPages: 3, totalMangas: 52 });
+});
+
+test('manga info reads the details and the chapter list', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/manga\/one-piece$/, 'mangakakalot/info.html']
+  ]);
+
+  const info = await provider.getMangaInfo('one-piece');
+
+  assert.strictEqual(info.title, 'One Piece');
+  assert.strictEqual(info.altTitles, 'ワンピース; Wan Pīsu');
+  assert.strictEqual(info.author, 'Oda Eiichiro');
+  assert.strictEqual(info.status, 'Ongoing');
+  assert.deepStrictEqual(info.genres, ['Action', 'Adventure', 'Comedy']);
+  assert.match(info.description, /Pirate King/);
+  assert.deepStrictEqual(info.chapters.map(chapter => [chapter.id, chapter.number]), [
+    ['one-piece/chapter-1130', 1130],
+    ['one-piece/chapter-1129.5', 1129.5],
+    ['one-piece/chapter-1129', 1129]
+  ]);
+});
+
+test('manga info without a title is a parse error', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/manga\/one-piece-party$/, 'mangakakalot/search-empty.html']
+  ]);
+
+  await assert.rejects(provider.getMangaInfo('one-piece-party'), ParseError);
+});
+
+test('pages come from the reader images, deduplicated and without site icons', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/manga\/one-piece\/chapter-1130$/, 'mangakakalot/pages.html']
+  ]);
+
+  const pages = await provider.fetchChapterPages('one-piece/chapter-1130');
+
+  assert.deepStrictEqual(pages, [1, 2, 3].map(index => ({
+    url: `https://img-r1.2xstorage.com/one-piece/1130/${index}.webp`,
+    index
+  })));
+});
+
+test('pages fall back to the image array in the page scripts', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/manga\/one-piece\/chapter-1129$/, 'mangakakalot/pages-script.html']
+  ]);
+
+  const pages = await provider.fetchChapterPages('one-piece/chapter-1129');
+
+  assert.deepStrictEqual(pages.map(page => page.url), [
+    'https://img-r1.2xstorage.com/one-piece/1129/1.jpg',
+    'https://img-r1.2xstorage.com/one-piece/1129/2.jpg'
+  ]);
+});
+
+test('a chapter without images is a parse error', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/manga\/one-piece\/chapter-1$/, 'mangakakalot/search-empty.html']
+  ]);
+
+  await assert.rejects(provider.fetchChapterPages('one-piece/chapter-1'), ParseError);
+});
+
+test('manga and chapter links parse to IDs, other pages and invalid URLs to null', () => {
+  const provider = new MangaKakalotProvider();
+
+  assert.deepStrictEqual(provider.parseUrl('https://www.mangakakalot.gg/manga/one-piece'), { mangaId: 'one-piece', chapterId: null });
+  assert.deepStrictEqual(provider.parseUrl('https://mangakakalot.gg/manga/one-piece/chapter-1130'), {
+    mangaId: 'one-piece',
+    chapterId: 'one-piece/chapter-1130'
+  });
+  assert.strictEqual(provider.parseUrl('https://mangakakalot.gg/genre/action'), null);
+  assert.strictEqual(provider.parseUrl('not a url'), null);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const MangaParkProvider = require('../src/providers/mangapark');
+const { ParseError } = require('../src/errors');
+
+// MangaPark scraping the stand-in instead of mangapark.net
+async function providerFor(t, routes) {
+  const site = await startStandIn(t, routes);
+  const provider = new MangaParkProvider();
+  provider.baseUrl = site.url;
+  return { provider, site };
+}
+
+test('search reads titles, alternative titles, authors and genres', async (t) => {
+  const { provider, site } = await providerFor(t, [
+    [/^\/search\?word=eleceed$/, 'mangapark/search.html']
+  ]);
+
+  const { results } = await provider.search('eleceed');
+
+  // The third item has no link and is skipped
+  assert.deepStrictEqual(results.map(result => result.id), ['87295-en-eleceed', '341962-en-eleceed-official']);
+  assert.strictEqual(results[0].title, 'Eleceed');
+  assert.strictEqual(results[0].image, `${site.url}/thumb/W600/ampi/7ab/eleceed.jpg`);
+  assert.ok(results[0].altTitles.includes('Elyside'));
+  assert.deepStrictEqual(results[0].authors, ['Son Jae-ho', 'ZHENA']);
+  assert.deepStrictEqual(results[0].genres, ['Action', 'Comedy', 'Supernatural']);
+  // Absolute links to the site follow the mirror in use, here the stand-in
+  assert.strictEqual(results[1].image, `${site.url}/thumb/W600/ampi/c2d/eleceed-official.jpg`);
+});
+
+test('manga info reads the chapter list, keeping parts and skipping unnumbered entries', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/title\/87295-en-eleceed$/, 'mangapark/info.html']
+  ]);
+
+  const info = await provider.getMangaInfo('87295-en-eleceed');
+
+  assert.strictEqual(info.title, 'Eleceed');
+  assert.strictEqual(info.image, `${provider.baseUrl}/thumb/W600/ampi/7ab/eleceed.jpg`);
+  assert.strictEqual(info.description, 'Kaiden is an ex-agent who lives as a cat.');
+  assert.deepStrictEqual(info.genres, ['Action', 'Comedy']);
+  assert.deepStrictEqual(info.chapters.map(chapter => [chapter.id, chapter.number, chapter.part]), [
+    ['87295-en-eleceed/9605874-chapter-3', 3, null],
+    ['87295-en-eleceed/9605873-chapter-2-part-2', 2, 2],
+    ['87295-en-eleceed/9605872-chapter-2', 2, null],
+    ['87295-en-eleceed/2797954-ch-1', 1, null]
+  ]);
+});
+
+test('of several uploads of a chapter the first listed is kept, unless only a later one has a date', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/title\/87297-en-eleceed-reuploads$/, 'mangapark/info-reuploads.html']
+  ]);
+
+  const info = await provider.getMangaInfo('87297-en-eleceed-reuploads');
+
+  assert.deepStrictEqual(info.chapters.map(chapter => chapter.id), [
+    '87297-en-eleceed-reuploads/9605890-chapter-2',
+    '87297-en-eleceed-reuploads/9605881-chapter-1'
+  ]);
+  assert.ok(info.chapters.every(chapter => chapter.publishedAt));
+});
+
+test('a sparse chapter list is filled in with chapters marked as generated', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/title\/87296-en-eleceed-sparse$/, 'mangapark/info-sparse.html']
+  ]);
+
+  const info = await provider.getMangaInfo('87296-en-eleceed-sparse');
+
+  assert.deepStrictEqual(info.chapters.map(chapter => [chapter.number, chapter.generated]), [
+    [6, false], [5, true], [4, true], [3, true], [2, true], [1, true]
+  ]);
+  assert.strictEqual(info.chapters[5].url, `${provider.baseUrl}/title/87296-en-eleceed-sparse/chapter-1`);
+});
+
+test('manga info without a title is a parse error', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/title\/1-en-removed$/, 'mangapark/removed.html']
+  ]);
+
+  await assert.rejects(provider.getMangaInfo('1-en-removed'), ParseError);
+});
+
+// One chapter per page extraction method, each fixture only carrying what that method reads
+const PAGE_FIXTURES = [
+  {
+    method: 'escaped "url" fields in the page JSON',
+    chapterId: '87295-en-eleceed/9605874-chapter-3',
+    fixture: 'mangapark/pages-json.html',
+    urls: ['https://s01.mpfip.org/media/mpup/eleceed/3/001.jpg', 'https://s01.mpfip.org/media/mpup/eleceed/3/002.jpg']
+  },
+  {
+    method: 'links to the MangaPark image servers',
+    chapterId: '87295-en-eleceed/9605872-chapter-2',
+    fixture: 'mangapark/pages-domain.html',
+    urls: ['https://s03.mpqsc.org/media/mpim/eleceed/2/001.webp', 'https://s03.mpqsc.org/media/mpim/eleceed/2/002.webp']
+  },
+  {
+    method: 'image src and data-src attributes',
+    chapterId: '87295-en-eleceed/2797954-ch-1',
+    fixture: 'mangapark/pages-attributes.html',
+    urls: ['https://cdn.example-cdn.net/eleceed/1/001.jpg', 'BASE/media/eleceed/1/002.png']
+  },
+  {
+    method: 'an image array in a page script',
+    chapterId: '87295-en-eleceed/9605873-chapter-2-part-2',
+    fixture: 'mangapark/pages-script.html',
+    urls: ['https://cdn.example-cdn.net/eleceed/2-2/001.jpg', 'https://cdn.example-cdn.net/eleceed/2-2/002.jpg']
+  }
+];
+
+for (const { method, chapterId, fixture, urls } of PAGE_FIXTURES) {
+  test(`pages are found through ${method}`, async (t) => {
+    const { provider, site } = await providerFor(t, [
+      [new RegExp(`^/title/${chapterId}$`), fixture]
+    ]);
+
+    const pages = await provider.fetchChapterPages(chapterId);
+
+    assert.deepStrictEqual(pages, urls.map((url, i) => ({ url: url.replace('BASE', site.url), index: i + 1 })));
+  });
+}
+
+test('a chapter without images is a parse error', async (t) => {
+  const { provider } = await providerFor(t, [
+    [/^\/title\/87295-en-eleceed\/1-chapter-0$/, 'mangapark/removed.html']
+  ]);
+
+  await assert.rejects(provider.fetchChapterPages('87295-en-eleceed/1-chapter-0'), ParseError);
+});
+
+test('title and chapter links parse to IDs, other pages and sites to null', () => {
+  const provider = new MangaParkProvider();
+
+  assert.deepStrictEqual(provider.parseUrl('https://mangapark.net/title/87295-en-eleceed'), { mangaId: '87295-en-eleceed', chapterId: null });
+  assert.deepStrictEqual(provider.parseUrl('https://www.mangapark.io/title/87295-en-eleceed/9605874-chapter-345?page=2'), {
+    mangaId: '87295-en-eleceed',
+    chapterId: '87295-en-eleceed/9605874-chapter-345'
+  });
+  assert.strictEqual(provider.parseUrl('https://mangapark.net/search?word=eleceed'), null);
+  assert.strictEqual(provider.parseUrl('https://mangabuddy.com/title/87295-en-eleceed'), null);
+});
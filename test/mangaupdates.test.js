@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const { cache } = require('../src/cache');
+const MangaUpdatesProvider = require('../src/providers/mangaupdates');
+const { InvalidInputError, UpstreamError } = require('../src/errors');
+
+async function mangaUpdatesFor(t, routes) {
+  const site = await startStandIn(t, routes);
+  const mangaUpdates = new MangaUpdatesProvider();
+  mangaUpdates.baseUrl = site.url;
+  return { mangaUpdates, site };
+}
+
+test('IDs are accepted as the numeric series_id or the base-36 slug from site links', () => {
+  const mangaUpdates = new MangaUpdatesProvider();
+
+  assert.strictEqual(mangaUpdates.parseId('55099564912'), '55099564912');
+  assert.strictEqual(mangaUpdates.parseId(' PB8UWDS '), '55099564912');
+  assert.strictEqual(mangaUpdates.parseId('pb8-uwds'), null);
+});
+
+test('a series is shaped like a provider manga', async (t) => {
+  const { mangaUpdates, site } = await mangaUpdatesFor(t, [
+    [/^\/series\/55099564912$/, 'mangaupdates/series.json']
+  ]);
+
+  const series = await mangaUpdates.getSeries('pb8uwds');
+
+  assert.deepStrictEqual(series, {
+    id: '55099564912',
+    title: 'Solo Leveling',
+    altTitles: ['Na Honjaman Level Up', '나 혼자만 레벨업'],
+    type: 'Manhwa',
+    year: '2018',
+    status: 'Completed',
+    authors: ['Chugong', 'DUBU (REDICE STUDIO)'],
+    genres: ['Action', 'Fantasy'],
+    lastChapter: 179
+  });
+
+  // The numeric ID is the same series, served from its own cache kind
+  assert.deepStrictEqual(await mangaUpdates.getSeries('55099564912'), series);
+  assert.strictEqual(site.requests.length, 1);
+  assert.deepStrictEqual(cache.kindStats.mangaupdates, { hits: 1, misses: 1 });
+  assert.strictEqual(cache.kindStats.anilist, undefined);
+});
+
+test('an unknown series is null, a malformed ID is invalid input and other failures are upstream errors', async (t) => {
+  const { mangaUpdates } = await mangaUpdatesFor(t, [
+    [/^\/series\/2$/, { status: 500, body: 'oops' }]
+  ]);
+
+  assert.strictEqual(await mangaUpdates.getSeries('1'), null);
+  await assert.rejects(mangaUpdates.getSeries('not/an/id'), InvalidInputError);
+  await assert.rejects(mangaUpdates.getSeries('2'), UpstreamError);
+});
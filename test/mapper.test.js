@@ -0,0 +1,276 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { consumetMissing: skip } = require('./helpers/consumet');
+const MappingStore = require('../src/store/mappings');
+const {
+  AnilistNotFoundError,
+  InvalidInputError,
+  NotFoundError,
+  NoProviderMatchError,
+  ChapterNotFoundError,
+  ParseError,
+  RateLimitError,
+  UpstreamError,
+  UpstreamTimeoutError
+} = require('../src/errors');
+
+const MEDIA = {
+  id: 151807,
+  title: { english: 'Solo Leveling', romaji: 'Na Honjaman Level Up', native: '나 혼자만 레벨업' },
+  synonyms: [],
+  format: 'MANGA',
+  startYear: 2018
+};
+
+// Mapper with Anilist answering MEDIA and a mapping store in a temp dir
+function mapperFor(t) {
+  const Mapper = require('../src/providers/mapper');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapper-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const mapper = new Mapper({ mappings: new MappingStore(path.join(dir, 'mappings.json')) });
+  mapper.anilist = { getInfo: async () => MEDIA };
+  return mapper;
+}
+
+// Provider finding Solo Leveling, with any method replaced
+function fakeProvider(id, methods = {}) {
+  return {
+    id,
+    name: id,
+    search: async () => ({ results: [{ id: 'solo-leveling', title: 'Solo Leveling' }] }),
+    getMangaInfo: async mangaId => ({ id: mangaId, title: 'Solo Leveling', chapters: [{ id: `${mangaId}/1`, number: 1 }] }),
+    fetchChapterPages: async chapterId => [{ url: `https://cdn.example.com/${chapterId}.jpg`, index: 1 }],
+    resolveChapterId: chapterId => chapterId,
+    ...methods
+  };
+}
+
+test('a missing manga or match is not_found, throttling is rate_limited, the rest is an error', { skip }, (t) => {
+  const mapper = mapperFor(t);
+  const provider = fakeProvider('site');
+
+  assert.strictEqual(mapper.getErrorStatus(provider, new NoProviderMatchError('no match')), 'not_found');
+  assert.strictEqual(mapper.getErrorStatus(provider, new NotFoundError('404 for the manga')), 'not_found');
+  assert.strictEqual(mapper.getErrorStatus(provider, new RateLimitError('site.example', 'answered 429')), 'rate_limited');
+  assert.strictEqual(mapper.getErrorStatus(provider, new UpstreamError('502')), 'error');
+});
+
+test('/read reports a provider answering 404 for the manga as not having the chapter', { skip }, async (t) => {
+  const mapper = mapperFor(t);
+  const gone = fakeProvider('gone', {
+    getMangaInfo: async () => { throw new NotFoundError('Failed to fetch https://site.example/solo-leveling: 404 Not Found'); }
+  });
+
+  await assert.rejects(mapper.readChapter(MEDIA.id, 1, { providers: [gone] }), error => {
+    assert.ok(error instanceof ChapterNotFoundError);
+    assert.strictEqual(error.details.failed[0].status, 'not_found');
+    return true;
+  });
+});
+
+test('/read passes over a generated chapter to a provider that lists it', { skip }, async (t) => {
+  const mapper = mapperFor(t);
+  const counted = fakeProvider('counted', {
+    getMangaInfo: async mangaId => ({ id: mangaId, title: 'Solo Leveling', chapters: [{ id: `${mangaId}/chapter-1`, number: 1, generated: true }] }),
+    fetchChapterPages: async () => assert.fail('a generated chapter should not be fetched')
+  });
+
+  const result = await mapper.readChapter(MEDIA.id, 1, { providers: [counted, fakeProvider('listed')] });
+
+  assert.strictEqual(result.provider, 'listed');
+  assert.deepStrictEqual(result.failed.map(attempt => [attempt.provider, attempt.step, attempt.status]), [['counted', 'chapter', 'not_found']]);
+});
+
+test('a stored mapping skips the search and survives a provider outage', { skip }, async (t) => {
+  const mapper = mapperFor(t);
+  await mapper.mappings.set(MEDIA.id, 'Solo Leveling', 'site', { mangaId: 'solo-leveling-manual', title: 'Solo Leveling', method: 'manual', score: 1 });
+  let down = true;
+  const provider = fakeProvider('site', {
+    search: async () => assert.fail('a stored mapping should not search'),
+    getMangaInfo: async mangaId => {
+      if (down) throw new UpstreamTimeoutError(`Timed out fetching https://site.example/${mangaId}`);
+      return { id: mangaId, title: 'Solo Leveling', chapters: [] };
+    }
+  });
+
+  await assert.rejects(mapper.mapProvider(provider, MEDIA.id, mapper.createMediaLoader(MEDIA.id)), UpstreamTimeoutError);
+  assert.strictEqual(mapper.mappings.get(MEDIA.id, 'site').mangaId, 'solo-leveling-manual');
+
+  down = false;
+  const result = await mapper.mapProvider(provider, MEDIA.id, mapper.createMediaLoader(MEDIA.id));
+  assert.strictEqual(result.site.id, 'solo-leveling-manual');
+  assert.strictEqual(result.site.mapping.source, 'stored');
+  assert.strictEqual(result.site.mapping.method, 'manual');
+});
+
+for (const error of [new NotFoundError('404 Not Found'), new ParseError('No title found')]) {
+  test(`a stored manga failing with ${error.name} is forgotten and matched again`, { skip }, async (t) => {
+    const mapper = mapperFor(t);
+    await mapper.mappings.set(MEDIA.id, 'Solo Leveling', 'site', { mangaId: 'moved', title: 'Solo Leveling', score: 0.9 });
+    const provider = fakeProvider('site', {
+      getMangaInfo: async mangaId => {
+        if (mangaId === 'moved') throw error;
+        return { id: mangaId, title: 'Solo Leveling', chapters: [] };
+      }
+    });
+
+    const result = await mapper.mapProvider(provider, MEDIA.id, mapper.createMediaLoader(MEDIA.id));
+
+    assert.strictEqual(result.site.id, 'solo-leveling');
+    assert.strictEqual(result.site.mapping.source, 'search');
+    assert.strictEqual(mapper.mappings.get(MEDIA.id, 'site').mangaId, 'solo-leveling');
+  });
+}
+
+// Solo Leveling's novel, scoring below the threshold once its format and year count against it
+const NOVEL = { id: 'novel', title: 'Solo Leveling Novel', releaseDate: 2014 };
+
+test('the first-result fallback never picks a result the metadata counted against', { skip }, (t) => {
+  const mapper = mapperFor(t);
+  const newbie = { id: 'newbie', title: 'Solo Max-Level Newbie' };
+
+  const match = mapper.findBestMatch([NOVEL, newbie], 'Solo Leveling', [], MEDIA);
+
+  assert.strictEqual(match.fallback, true);
+  assert.strictEqual(match.manga.id, 'newbie');
+  assert.deepStrictEqual(match.candidates.map(candidate => candidate.id), ['novel']);
+  assert.throws(() => mapper.findBestMatch([NOVEL], 'Solo Leveling', [], MEDIA), NoProviderMatchError);
+});
+
+test('a provider linking to the AniList entry is mapped exactly and remembered', { skip }, async (t) => {
+  const mapper = mapperFor(t);
+  const linked = fakeProvider('linked', {
+    findExactMatch: async media => ({ id: `al-${media.id}`, title: 'Solo Leveling' }),
+    search: async () => assert.fail('an exact match should not search')
+  });
+
+  const result = await mapper.mapProvider(linked, MEDIA.id, mapper.createMediaLoader(MEDIA.id));
+
+  assert.strictEqual(result.linked.id, 'al-151807');
+  assert.strictEqual(result.linked.mapping.method, 'anilist-link');
+  assert.strictEqual(result.linked.mapping.score, 1);
+  assert.strictEqual(mapper.mappings.get(MEDIA.id, 'linked').method, 'anilist-link');
+});
+
+test('a failing link lookup falls back to the title search', { skip }, async (t) => {
+  const mapper = mapperFor(t);
+  const provider = fakeProvider('site', {
+    findExactMatch: async () => { throw new UpstreamTimeoutError('Timed out fetching https://api.site.example/manga'); }
+  });
+
+  const result = await mapper.mapProvider(provider, MEDIA.id, mapper.createMediaLoader(MEDIA.id));
+
+  assert.strictEqual(result.site.id, 'solo-leveling');
+  assert.strictEqual(result.site.mapping.method, 'similarity');
+});
+
+test('AniList search reports each registered provider\'s stored mapping when asked', { skip }, async (t) => {
+  const { listProviders } = require('../src/providers');
+  const mapper = mapperFor(t);
+  mapper.anilist.search = async () => ({ pageInfo: { total: 2 }, results: [{ id: MEDIA.id }, { id: 1 }] });
+  await mapper.mappings.set(MEDIA.id, 'Solo Leveling', 'mangapark', { mangaId: '75577-en-solo-leveling', title: 'Solo Leveling', score: 1 });
+
+  assert.strictEqual((await mapper.search('solo leveling')).results[0].availability, undefined);
+
+  const { results } = await mapper.search('solo leveling', { withAvailability: true });
+  assert.deepStrictEqual(Object.keys(results[0].availability), listProviders().map(provider => provider.id));
+  assert.deepStrictEqual({ ...results[0].availability.mangapark, mappedAt: null }, {
+    mapped: true,
+    mangaId: '75577-en-solo-leveling',
+    title: 'Solo Leveling',
+    method: 'similarity',
+    mappedAt: null
+  });
+  assert.deepStrictEqual(results[0].availability.mangadex, { mapped: false });
+  assert.ok(Object.values(results[1].availability).every(entry => !entry.mapped));
+});
+
+test('a link is traced to the registered provider and manga it points at', { skip }, (t) => {
+  const mapper = mapperFor(t);
+
+  const parsed = mapper.parseUrl('https://mangapark.net/title/75577-en-solo-leveling/8123456-chapter-1');
+  assert.strictEqual(parsed.provider.id, 'mangapark');
+  assert.strictEqual(parsed.mangaId, '75577-en-solo-leveling');
+  assert.strictEqual(parsed.chapterId, '75577-en-solo-leveling/8123456-chapter-1');
+
+  assert.strictEqual(mapper.parseUrl('https://mangadex.org/title/32d76d19-8a05-4db0-9fc2-e0b0648fe9d0/solo-leveling').provider.id, 'mangadex');
+  assert.strictEqual(mapper.parseUrl('https://example.com/title/solo-leveling'), null);
+});
+
+test('a provider manga resolves to AniList and fills in the other providers', { skip }, async (t) => {
+  const { getProvider } = require('../src/providers');
+  const mapper = mapperFor(t);
+  const ragnarok = { id: 176444, title: { english: 'Solo Leveling: Ragnarok', romaji: 'Solo Leveling: Ragnarok' }, synonyms: [], format: 'MANGA', startYear: 2024 };
+  mapper.anilist.search = async () => ({ results: [ragnarok, MEDIA] });
+  t.mock.method(getProvider('mangapark'), 'getMangaInfo', async mangaId => ({ id: mangaId, title: 'Solo Leveling', altTitles: ['Na Honjaman Level Up'], chapters: [] }));
+  t.mock.method(getProvider('mangadex'), 'findExactMatch', async () => ({ id: '32d76d19-8a05-4db0-9fc2-e0b0648fe9d0', title: 'Solo Leveling' }));
+  // The rest are already known, so nothing else is looked up
+  for (const id of ['asurascans', 'mangabuddy', 'mangakakalot']) {
+    await mapper.mappings.set(MEDIA.id, 'Solo Leveling', id, { mangaId: 'solo-leveling', title: 'Solo Leveling', score: 1 });
+  }
+
+  const result = await mapper.resolve('mangapark', '75577-en-solo-leveling');
+
+  assert.strictEqual(result.anilist.id, MEDIA.id);
+  assert.strictEqual(result.confident, true);
+  assert.deepStrictEqual(result.candidates.map(candidate => candidate.id), [ragnarok.id]);
+  assert.strictEqual(mapper.mappings.get(MEDIA.id, 'mangapark').method, 'resolve');
+  assert.deepStrictEqual(result.providers.mangadex, {
+    status: 'ok',
+    source: 'search',
+    mangaId: '32d76d19-8a05-4db0-9fc2-e0b0648fe9d0',
+    title: 'Solo Leveling',
+    method: 'anilist-link',
+    score: 1
+  });
+  assert.strictEqual(result.providers.mangabuddy.source, 'stored');
+  assert.strictEqual(result.providers.mangapark, undefined);
+});
+
+// Anilist and Kitsu answering for Solo Leveling: MyAnimeList 121496, Kitsu 41000
+function externalMapper(t) {
+  const mapper = mapperFor(t);
+  mapper.anilist = {
+    getInfo: async () => ({ ...MEDIA, idMal: 121496 }),
+    getIdByMal: async malId => parseInt(malId) === 121496 ? MEDIA.id : null,
+    search: async () => ({ results: [MEDIA] })
+  };
+  mapper.kitsu = {
+    getMappings: async kitsuId => parseInt(kitsuId) === 41000 ? { anilist: null, mal: 121496 } : null,
+    findId: async site => site === 'anilist' ? 41000 : null
+  };
+  return mapper;
+}
+
+test('MyAnimeList and Kitsu IDs resolve through AniList\'s and Kitsu\'s links', { skip }, async (t) => {
+  const mapper = externalMapper(t);
+  const ids = { anilist: MEDIA.id, mal: 121496, kitsu: 41000, mangaupdates: null };
+
+  assert.deepStrictEqual(await mapper.resolveExternalId('mal', '121496'), { ids });
+  // Kitsu only links this one to MyAnimeList, which AniList translates
+  assert.deepStrictEqual(await mapper.resolveExternalId('kitsu', '41000'), { ids });
+
+  await assert.rejects(mapper.resolveExternalId('kitsu', '1'), AnilistNotFoundError);
+  await assert.rejects(mapper.resolveExternalId('mal', '1'), AnilistNotFoundError);
+  await assert.rejects(mapper.resolveExternalId('anidb', '1'), InvalidInputError);
+});
+
+test('MangaUpdates IDs resolve by title, and failed cross-site lookups are left null', { skip }, async (t) => {
+  const mapper = externalMapper(t);
+  mapper.kitsu.findId = async () => { throw new UpstreamError('Kitsu is down'); };
+  mapper.mangaUpdates = {
+    getSeries: async id => id === 'pb8uwds'
+      ? { id: '55099564912', title: 'Solo Leveling', altTitles: ['Na Honjaman Level Up'], type: 'Manhwa', year: '2018' }
+      : null
+  };
+
+  const result = await mapper.resolveExternalId('mangaupdates', 'pb8uwds');
+
+  assert.deepStrictEqual(result.ids, { anilist: MEDIA.id, mal: 121496, kitsu: null, mangaupdates: '55099564912' });
+  assert.strictEqual(result.confidence, 1);
+  await assert.rejects(mapper.resolveExternalId('mangaupdates', 'unknown'), AnilistNotFoundError);
+});
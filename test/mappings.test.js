@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const MappingStore = require('../src/store/mappings');
+
+// Path to a store file in a temp dir removed after the test
+function storePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mappings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'mappings.json');
+}
+
+const MAPPING = { mangaId: 'solo-leveling', title: 'Solo Leveling', score: 0.97, matchedTitle: 'Solo Leveling', matchedAgainst: 'main title' };
+
+test('a saved mapping is written to disk and read back by a new store', async (t) => {
+  const file = storePath(t);
+
+  await new MappingStore(file).set(151807, 'Solo Leveling', 'mangapark', MAPPING);
+
+  const reloaded = new MappingStore(file);
+  assert.strictEqual(reloaded.getEntry('151807').title, 'Solo Leveling');
+  assert.deepStrictEqual({ ...reloaded.get(151807, 'mangapark'), mappedAt: null }, {
+    ...MAPPING,
+    method: 'similarity',
+    mappedAt: null
+  });
+  assert.ok(!isNaN(Date.parse(reloaded.get(151807, 'mangapark').mappedAt)));
+  assert.strictEqual(reloaded.get(151807, 'mangadex'), null);
+  assert.strictEqual(reloaded.get(1, 'mangapark'), null);
+});
+
+test('deleting a mapping keeps the other providers of the entry', async (t) => {
+  const file = storePath(t);
+  const store = new MappingStore(file);
+
+  await store.set(151807, 'Solo Leveling', 'mangapark', MAPPING);
+  await store.set(151807, 'Solo Leveling', 'mangabuddy', { ...MAPPING, method: 'manual' });
+  await store.delete(151807, 'mangapark');
+  // Deleting what isn't stored is a no-op
+  await store.delete(151807, 'mangapark');
+  await store.delete(1, 'mangapark');
+
+  const reloaded = new MappingStore(file);
+  assert.strictEqual(reloaded.get(151807, 'mangapark'), null);
+  assert.strictEqual(reloaded.get(151807, 'mangabuddy').method, 'manual');
+});
+
+test('concurrent writes are queued and the last one lands on disk', async (t) => {
+  const file = storePath(t);
+  const store = new MappingStore(file);
+
+  await Promise.all([
+    store.set(1, 'One', 'mangapark', { ...MAPPING, mangaId: 'one' }),
+    store.set(2, 'Two', 'mangapark', { ...MAPPING, mangaId: 'two' }),
+    store.set(3, 'Three', 'mangapark', { ...MAPPING, mangaId: 'three' })
+  ]);
+
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['1', '2', '3']);
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test('a missing or unreadable file starts an empty store', (t) => {
+  const file = storePath(t);
+  assert.strictEqual(new MappingStore(file).getEntry(1), null);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{ half written');
+  assert.strictEqual(new MappingStore(file).getEntry(1), null);
+});
+
+test('a failed write keeps the mapping in memory without rejecting', async (t) => {
+  // The store's directory can't be created where a regular file is
+  const file = storePath(t);
+  fs.writeFileSync(path.dirname(file), '');
+  const store = new MappingStore(file);
+
+  await store.set(151807, 'Solo Leveling', 'mangapark', MAPPING);
+
+  assert.strictEqual(store.get(151807, 'mangapark').mangaId, 'solo-leveling');
+});
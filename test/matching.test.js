@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MATCH_THRESHOLD,
+  normalizeTitle,
+  titleSimilarity
+} = require('../src/matching/similarity');
+const corpus = require('./fixtures/title-pairs.json');
+
+test('normalizeTitle strips punctuation, diacritics, articles and suffixes', () => {
+  assert.strictEqual(normalizeTitle('The Beginning After the End'), 'beginning after end');
+  assert.strictEqual(normalizeTitle('Kaguya-sama: Love is War'), 'kaguya sama love is war');
+  assert.strictEqual(normalizeTitle('Tōkyō Ghoul'), normalizeTitle('Toukyou Ghoul'));
+  assert.strictEqual(normalizeTitle('Boku no Hero Academia 2nd Season'), 'boku no hero academia');
+  assert.strictEqual(normalizeTitle('Tower of God Part 3'), 'tower of god');
+  assert.strictEqual(normalizeTitle('Vinland Saga (2005)'), 'vinland saga');
+  assert.strictEqual(normalizeTitle('【推しの子】'), '推しの子');
+  assert.strictEqual(normalizeTitle(''), '');
+  assert.strictEqual(normalizeTitle(null), '');
+});
+
+test('titleSimilarity is symmetric and bounded', () => {
+  for (const { a, b } of corpus.pairs) {
+    const forward = titleSimilarity(a, b);
+    assert.ok(forward >= 0 && forward <= 1, `${a} / ${b} scored ${forward}`);
+    assert.strictEqual(forward, titleSimilarity(b, a), `${a} / ${b} is not symmetric`);
+  }
+});
+
+test('titleSimilarity scores empty titles as 0', () => {
+  assert.strictEqual(titleSimilarity('', 'One Piece'), 0);
+  assert.strictEqual(titleSimilarity('One Piece', undefined), 0);
+});
+
+for (const { a, b, same } of corpus.pairs) {
+  const expectation = same ? 'matches' : 'does not match';
+
+  test(`"${a}" ${expectation} "${b}"`, () => {
+    const score = titleSimilarity(a, b);
+
+    if (same) {
+      assert.ok(score >= MATCH_THRESHOLD, `expected >= ${MATCH_THRESHOLD}, got ${score}`);
+    } else {
+      assert.ok(score < MATCH_THRESHOLD, `expected < ${MATCH_THRESHOLD}, got ${score}`);
+    }
+  });
+}
+
+for (const { query, expected, candidates } of corpus.rankings) {
+  test(`"${query}" ranks "${expected}" first`, () => {
+    const ranked = [...candidates].sort((x, y) => titleSimilarity(query, y) - titleSimilarity(query, x));
+    assert.strictEqual(ranked[0], expected);
+  });
+}
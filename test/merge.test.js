@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildChapterIndex, findChapter } = require('../src/chapters/merge');
+
+const chapter = (id, number, extra = {}) => ({
+  id,
+  number,
+  numberEnd: null,
+  part: null,
+  special: null,
+  title: number === null ? 'Extra' : `Chapter ${number}`,
+  publishedAt: null,
+  url: null,
+  ...extra
+});
+
+const ok = chapters => ({ status: 'ok', manga: { chapters } });
+
+test('chapters from every provider are merged and ordered', () => {
+  const index = buildChapterIndex({
+    mangadex: ok([chapter('d3', 3), chapter('d1', 1)]),
+    mangapark: ok([chapter('p2', 2), chapter('p1', 1)]),
+    asurascans: { status: 'not_found', error: 'No matching manga found' }
+  });
+
+  assert.deepStrictEqual(index.chapters.map(entry => entry.number), [1, 2, 3]);
+  assert.deepStrictEqual(Object.keys(index.chapters[0].providers), ['mangadex', 'mangapark']);
+  assert.strictEqual(index.chapters[0].providers.mangapark.id, 'p1');
+  assert.deepStrictEqual(index.providers.asurascans, { status: 'not_found', count: 0, generated: 0, latest: null, behind: null });
+});
+
+test('gaps are whole numbers nobody carries', () => {
+  const index = buildChapterIndex({
+    mangadex: ok([chapter('a', 1), chapter('b', 4.5), chapter('c', 6)]),
+    mangapark: ok([chapter('d', 2)])
+  });
+
+  assert.deepStrictEqual(index.gaps, [3, 5]);
+});
+
+test('the provider furthest ahead is reported with how far behind the rest are', () => {
+  const index = buildChapterIndex({
+    mangadex: ok([chapter('a', 10)]),
+    mangapark: ok([chapter('b', 12)]),
+    mangabuddy: ok([chapter('c', 12)])
+  });
+
+  assert.deepStrictEqual(index.latest, { number: 12, providers: ['mangapark', 'mangabuddy'] });
+  assert.strictEqual(index.providers.mangadex.behind, 2);
+  assert.strictEqual(index.providers.mangapark.behind, 0);
+});
+
+test('ranges cover every number they span, parts stay separate', () => {
+  const index = buildChapterIndex({
+    mangadex: ok([chapter('r', 10, { numberEnd: 12 }), chapter('p1', 13, { part: 1 }), chapter('p2', 13, { part: 2 })])
+  });
+
+  assert.deepStrictEqual(index.chapters.map(entry => [entry.number, entry.part]), [[10, null], [11, null], [12, null], [13, 1], [13, 2]]);
+  assert.strictEqual(index.chapters[2].providers.mangadex.id, 'r');
+  assert.strictEqual(index.providers.mangadex.latest, 13);
+  assert.deepStrictEqual(index.gaps, []);
+});
+
+test('generated chapters neither fill gaps nor count towards the latest', () => {
+  const index = buildChapterIndex({
+    mangadex: ok([chapter('a', 1), chapter('b', 3)]),
+    mangabuddy: ok([chapter('g5', 5, { generated: true }), chapter('g2', 2, { generated: true }), chapter('c', 1)])
+  });
+
+  assert.deepStrictEqual(index.chapters.map(entry => entry.number), [1, 3]);
+  assert.deepStrictEqual(index.gaps, [2]);
+  assert.deepStrictEqual(index.latest, { number: 3, providers: ['mangadex'] });
+  assert.deepStrictEqual(index.providers.mangabuddy, { status: 'ok', count: 1, generated: 2, latest: 1, behind: 2 });
+});
+
+test('chapters without a number are listed separately', () => {
+  const index = buildChapterIndex({
+    mangadex: ok([chapter('x', null, { special: 'oneshot' })])
+  });
+
+  assert.deepStrictEqual(index.chapters, []);
+  assert.deepStrictEqual(index.unnumbered, [{ provider: 'mangadex', id: 'x', title: 'Extra', special: 'oneshot' }]);
+  assert.deepStrictEqual(index.latest, { number: null, providers: [] });
+});
+
+test('findChapter prefers an exact number, then a range spanning it', () => {
+  const chapters = [
+    chapter('r', 10, { numberEnd: 12 }),
+    chapter('e', 11),
+    chapter('h', 12.5),
+    chapter('p2', 13, { part: 2 }),
+    chapter('p1', 13, { part: 1 })
+  ];
+
+  assert.strictEqual(findChapter(chapters, 11).id, 'e');
+  assert.strictEqual(findChapter(chapters, 12).id, 'r');
+  assert.strictEqual(findChapter(chapters, 12.5).id, 'h');
+  assert.strictEqual(findChapter(chapters, 14), null);
+});
+
+test('findChapter picks the first part unless one is asked for', () => {
+  const chapters = [chapter('p2', 13, { part: 2 }), chapter('p1', 13, { part: 1 })];
+
+  assert.strictEqual(findChapter(chapters, 13).id, 'p1');
+  assert.strictEqual(findChapter(chapters, 13, 2).id, 'p2');
+  assert.strictEqual(findChapter(chapters, 13, 3), null);
+});
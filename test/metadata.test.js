@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareMetadata, extractCandidateMetadata, normalizeStatus } = require('../src/matching/metadata');
+
+const mediaInfo = {
+  title: { romaji: 'Mushoku Tensei: Isekai Ittara Honki Dasu', english: 'Mushoku Tensei: Jobless Reincarnation' },
+  synonyms: [],
+  format: 'MANGA',
+  status: 'RELEASING',
+  startYear: 2014,
+  chapters: null,
+  volumes: null,
+  authors: ['Rifujin na Magonote', 'Yuka Fujikawa']
+};
+
+const signalNames = result => result.signals.map(signal => signal.signal);
+
+test('normalizeStatus maps provider wording', () => {
+  assert.strictEqual(normalizeStatus('Ongoing'), 'ongoing');
+  assert.strictEqual(normalizeStatus('Completed'), 'completed');
+  assert.strictEqual(normalizeStatus('On Hiatus'), 'hiatus');
+  assert.strictEqual(normalizeStatus('???'), null);
+  assert.strictEqual(normalizeStatus(undefined), null);
+});
+
+test('extractCandidateMetadata reads the fields each provider exposes', () => {
+  assert.deepStrictEqual(extractCandidateMetadata({ title: 'A', author: 'Oda Eiichiro, Someone' }).authors, ['Oda Eiichiro', 'Someone']);
+  assert.strictEqual(extractCandidateMetadata({ title: 'A', latestChapter: 'Chapter 1120' }).latestChapter, 1120);
+  assert.strictEqual(extractCandidateMetadata({ title: 'A', latestChapters: [{ name: 'Chapter 55.5: Extra' }] }).latestChapter, 55.5);
+  assert.strictEqual(extractCandidateMetadata({ title: 'A', releaseDate: 2014 }).year, 2014);
+  assert.deepStrictEqual(extractCandidateMetadata({ title: 'A', altTitles: 'B; C , D' }).titles, ['A', 'B', 'C', 'D']);
+  assert.deepStrictEqual(extractCandidateMetadata({ title: 'A', altTitles: [{ en: 'B' }, 'C'] }).titles, ['A', 'B', 'C']);
+});
+
+test('novels are pushed down when AniList describes a manga', () => {
+  const result = compareMetadata(mediaInfo, { title: 'Mushoku Tensei (Light Novel)' });
+  assert.ok(result.adjustment < 0);
+  assert.deepStrictEqual(signalNames(result), ['format']);
+});
+
+test('markers in MangaKakalot\'s alt title string count too', () => {
+  const result = compareMetadata(mediaInfo, { title: 'Mushoku Tensei', altTitles: 'Jobless Reincarnation; Mushoku Tensei (Light Novel)' });
+  assert.deepStrictEqual(signalNames(result), ['format']);
+});
+
+test('spin-off markers only count when AniList lacks them', () => {
+  assert.ok(compareMetadata(mediaInfo, { title: 'Mushoku Tensei Anthology' }).adjustment < 0);
+
+  const anthology = { ...mediaInfo, title: { romaji: 'Mushoku Tensei Anthology' } };
+  assert.strictEqual(compareMetadata(anthology, { title: 'Mushoku Tensei Anthology' }).adjustment, 0);
+});
+
+test('authors match regardless of name order', () => {
+  const match = compareMetadata(mediaInfo, { title: 'Mushoku Tensei', author: 'Fujikawa Yuka' });
+  assert.ok(match.adjustment > 0);
+
+  const mismatch = compareMetadata(mediaInfo, { title: 'Mushoku Tensei', author: 'Somebody Else' });
+  assert.ok(mismatch.adjustment < 0);
+});
+
+test('year, chapter count and status are compared when both sides know them', () => {
+  const finished = { ...mediaInfo, status: 'FINISHED', chapters: 100 };
+
+  const close = compareMetadata(finished, { title: 'X', releaseDate: 2014, lastChapter: '98', status: 'Completed' });
+  assert.deepStrictEqual(signalNames(close), ['year', 'chapters', 'status']);
+  assert.ok(close.adjustment > 0);
+
+  const far = compareMetadata(finished, { title: 'X', releaseDate: 2021, lastChapter: '12' });
+  assert.deepStrictEqual(signalNames(far), ['year', 'chapters']);
+  assert.ok(far.adjustment < 0);
+});
+
+test('nothing known means no adjustment', () => {
+  assert.deepStrictEqual(compareMetadata(mediaInfo, { title: 'Mushoku Tensei' }), { adjustment: 0, signals: [] });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Registry, registry, metrics, trackProviderCall } = require('../src/metrics');
+const { ParseError } = require('../src/errors');
+
+test('counters render one sample per label set', () => {
+  const local = new Registry();
+  const counter = local.counter('things_total', 'Things', ['kind', 'status']);
+
+  counter.inc({ kind: 'a', status: 200 });
+  counter.inc({ status: 200, kind: 'a' }, 2);
+  counter.inc({ kind: 'say "hi"', status: 500 });
+
+  assert.strictEqual(local.render(), [
+    '# HELP manga_mapper_things_total Things',
+    '# TYPE manga_mapper_things_total counter',
+    'manga_mapper_things_total{kind="a",status="200"} 3',
+    'manga_mapper_things_total{kind="say \\"hi\\"",status="500"} 1',
+    ''
+  ].join('\n'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  const local = new Registry();
+  const histogram = local.histogram('score', 'Scores', ['provider'], [0.5, 1]);
+
+  histogram.observe({ provider: 'mangadex' }, 0.4);
+  histogram.observe({ provider: 'mangadex' }, 0.9);
+
+  const lines = local.render().split('\n');
+  assert.ok(lines.includes('manga_mapper_score_bucket{provider="mangadex",le="0.5"} 1'));
+  assert.ok(lines.includes('manga_mapper_score_bucket{provider="mangadex",le="1"} 2'));
+  assert.ok(lines.includes('manga_mapper_score_bucket{provider="mangadex",le="+Inf"} 2'));
+  assert.ok(lines.includes('manga_mapper_score_sum{provider="mangadex"} 1.3'));
+  assert.ok(lines.includes('manga_mapper_score_count{provider="mangadex"} 2'));
+});
+
+test('provider calls are counted as ok, empty or by error code', async () => {
+  registry.reset();
+
+  await trackProviderCall('mangapark', 'fetchChapterPages', async () => [{ url: 'a.jpg' }]);
+  await trackProviderCall('mangapark', 'fetchChapterPages', async () => []);
+  await assert.rejects(trackProviderCall('mangapark', 'getMangaInfo', async () => {
+    throw new ParseError('No manga title found');
+  }));
+
+  const text = registry.render();
+  assert.match(text, /provider_calls_total\{provider="mangapark",method="fetchChapterPages",outcome="ok"\} 1/);
+  assert.match(text, /provider_calls_total\{provider="mangapark",method="fetchChapterPages",outcome="empty"\} 1/);
+  assert.match(text, /provider_calls_total\{provider="mangapark",method="getMangaInfo",outcome="PARSE_FAILED"\} 1/);
+  assert.match(text, /errors_total\{source="provider",code="PARSE_FAILED"\} 1/);
+  assert.strictEqual(metrics.providerDuration.series.size, 2);
+});
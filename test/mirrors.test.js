@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { startStandIn } = require('./helpers/standIn');
+const { MirrorList, createMirrorList, isParkedPage } = require('../src/http/mirrors');
+const MangaParkProvider = require('../src/providers/mangapark');
+const MangaBuddyProvider = require('../src/providers/mangabuddy');
+const MangaKakalotProvider = require('../src/providers/mangakakalot');
+const { getImageHosts, getImageReferer } = require('../src/proxy');
+
+// Base URL nothing listens on, so requests to it are refused
+async function deadUrl() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  await new Promise(resolve => server.close(resolve));
+  return url;
+}
+
+test('MIRRORS_<PROVIDER> replaces the built-in list, whose domains are still rewritten', () => {
+  const env = { MIRRORS_MANGAPARK: 'https://mangapark.to/, not a url, https://mangapark.io' };
+  const mirrors = createMirrorList('mangapark', ['https://mangapark.net', 'https://mangapark.io'], env);
+
+  assert.deepStrictEqual(mirrors.urls, ['https://mangapark.to', 'https://mangapark.io']);
+  assert.deepStrictEqual(mirrors.hosts, ['mangapark.to', 'mangapark.io', 'mangapark.net']);
+  assert.deepStrictEqual(createMirrorList('mangapark', ['https://mangapark.net'], {}).urls, ['https://mangapark.net']);
+});
+
+test('links on any mirror are rewritten to the one in use, other hosts are left alone', () => {
+  const mirrors = new MirrorList(['https://mangapark.io', 'https://mangapark.net']);
+
+  assert.deepStrictEqual(mirrors.rewriteLinks({
+    results: [{
+      id: '10953-en-one-piece',
+      url: 'https://mangapark.net/title/10953-en-one-piece?tab=chapters',
+      image: 'https://s01.mpfip.org/thumb/one-piece.jpg',
+      title: 'https://mangapark.net/ is not a link field'
+    }]
+  }), {
+    results: [{
+      id: '10953-en-one-piece',
+      url: 'https://mangapark.io/title/10953-en-one-piece?tab=chapters',
+      image: 'https://s01.mpfip.org/thumb/one-piece.jpg',
+      title: 'https://mangapark.net/ is not a link field'
+    }]
+  });
+});
+
+test('mirrors failing together move the list once, and the last wraps around', () => {
+  const mirrors = new MirrorList(['https://a.example', 'https://b.example']);
+
+  assert.strictEqual(mirrors.rotate('https://a.example'), 'https://b.example');
+  assert.strictEqual(mirrors.rotate('https://a.example'), 'https://b.example');
+  assert.strictEqual(mirrors.rotate('https://b.example'), 'https://a.example');
+});
+
+test('parking pages are recognized, site pages mentioning domains are not', () => {
+  assert.strictEqual(isParkedPage('<p>This domain is for sale.</p>'), true);
+  assert.strictEqual(isParkedPage('<script>window.location.href = "/lander";</script>'), true);
+  assert.strictEqual(isParkedPage('<p>We moved to a new domain, update your bookmarks.</p>'), false);
+});
+
+test('a refused connection and a parked domain move the provider to the next mirror', async (t) => {
+  const dead = await deadUrl();
+  const parked = await startStandIn(t, [[/./, 'parked.html']]);
+  const live = await startStandIn(t, [[/^\/search\?word=eleceed/, 'mangapark/search.html']]);
+
+  const provider = new MangaParkProvider();
+  provider.http.retries = 0;
+  provider.mirrors = new MirrorList([dead, parked.url, live.url]);
+
+  const { results } = await provider.search('eleceed');
+
+  assert.strictEqual(results.length, 2);
+  assert.strictEqual(provider.baseUrl, live.url);
+  assert.strictEqual(results[0].image, `${live.url}/thumb/W600/ampi/7ab/eleceed.jpg`);
+
+  // Later requests start from the working mirror
+  await provider.search('eleceed official');
+  assert.strictEqual(parked.requests.length, 1);
+  assert.strictEqual(live.requests.length, 2);
+});
+
+test('a site Referer follows the mirror in use', async (t) => {
+  const site = await startStandIn(t, [[/^\/manga\/one-piece$/, 'mangakakalot/info.html']]);
+
+  const provider = new MangaKakalotProvider();
+  provider.baseUrl = site.url;
+  await provider.getMangaInfo('one-piece');
+
+  assert.strictEqual(site.requests[0].headers.referer, `${site.url}/`);
+});
+
+test('a missing page is not a mirror failure', async (t) => {
+  const first = await startStandIn(t, []);
+  const second = await startStandIn(t, []);
+
+  const provider = new MangaParkProvider();
+  provider.mirrors = new MirrorList([first.url, second.url]);
+
+  await assert.rejects(provider.getMangaInfo('1-en-missing'), error => error.code === 'NOT_FOUND');
+  assert.strictEqual(provider.baseUrl, first.url);
+  assert.strictEqual(second.requests.length, 0);
+});
+
+test('every mirror failing throws the last error', async (t) => {
+  const parked = await startStandIn(t, [[/./, 'parked.html']]);
+
+  const provider = new MangaParkProvider();
+  provider.http.retries = 0;
+  provider.mirrors = new MirrorList([await deadUrl(), parked.url]);
+
+  await assert.rejects(provider.search('berserk'), error => error.code === 'UPSTREAM_ERROR' && /parked/.test(error.message));
+});
+
+test('cached results follow the mirror in use', async (t) => {
+  const first = await startStandIn(t, [[/^\/search/, 'mangabuddy/search.html']]);
+  const second = await startStandIn(t, []);
+
+  const provider = new MangaBuddyProvider();
+  provider.mirrors = new MirrorList([first.url, second.url]);
+
+  assert.strictEqual((await provider.search('solo leveling')).results[0].url, `${first.url}/solo-leveling`);
+
+  provider.mirrors.rotate(first.url);
+  assert.strictEqual((await provider.search('solo leveling')).results[0].url, `${second.url}/solo-leveling`);
+  assert.strictEqual(second.requests.length, 0);
+});
+
+test('the image proxy accepts every mirror and sends the Referer of the one in use', () => {
+  const provider = new MangaParkProvider();
+  provider.mirrors = new MirrorList(['https://mangapark.io'], ['https://mangapark.net']);
+
+  assert.deepStrictEqual(getImageHosts(provider), ['mangapark.io', 'mangapark.net', 'mpcdn.org']);
+  assert.strictEqual(getImageReferer(provider), 'https://mangapark.io/');
+});
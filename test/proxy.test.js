@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startStandIn } = require('./helpers/standIn');
+const BaseProvider = require('../src/providers/base');
+const { MirrorList } = require('../src/http/mirrors');
+const { isAllowedImageUrl, fetchImage, proxyPages } = require('../src/proxy');
+const { scheduler } = require('../src/http/scheduler');
+const { HostNotAllowedError, UpstreamError } = require('../src/errors');
+
+// Smallest valid GIF, served as the page image
+const GIF = Buffer.from('R0lGODlhAQABAAAAACw=', 'base64');
+
+// Provider whose pages live on the stand-in (127.0.0.1) and on cdn.example.com
+class ImageProvider extends BaseProvider {
+  constructor() {
+    super({ id: 'images', name: 'Images' });
+    this.imageReferer = 'https://site.example/';
+    this.imageHosts = ['127.0.0.1', 'cdn.example.com'];
+  }
+}
+
+test('only the provider\'s image hosts and their subdomains are allowed', () => {
+  const provider = new ImageProvider();
+
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://cdn.example.com/1.jpg'), true);
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://s2.cdn.example.com/1.jpg'), true);
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://evil.example/1.jpg'), false);
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://evilcdn.example.com/1.jpg'), false);
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://cdn.example.com.evil.example/1.jpg'), false);
+  assert.strictEqual(isAllowedImageUrl(provider, 'file:///etc/passwd'), false);
+  assert.strictEqual(isAllowedImageUrl(provider, 'not a url'), false);
+});
+
+test('a www mirror allows its bare domain and every other subdomain', () => {
+  const provider = new ImageProvider();
+  provider.mirrors = new MirrorList(['https://www.mangakakalot.gg', 'https://mangakakalot.fan']);
+
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://mangakakalot.gg/1.jpg'), true);
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://img2.mangakakalot.gg/1.jpg'), true);
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://cdn.mangakakalot.fan/1.jpg'), true);
+  assert.strictEqual(isAllowedImageUrl(provider, 'https://evilmangakakalot.gg/1.jpg'), false);
+});
+
+test('an image is fetched with the provider\'s Referer', async (t) => {
+  const site = await startStandIn(t, [
+    [/^\/1\.gif$/, { headers: { 'Content-Type': 'image/gif' }, body: GIF }]
+  ]);
+
+  const response = await fetchImage(new ImageProvider(), `${site.url}/1.gif`, { range: 'bytes=0-', cookie: 'secret' });
+
+  assert.deepStrictEqual(await response.buffer(), GIF);
+  assert.strictEqual(site.requests[0].headers.referer, 'https://site.example/');
+  assert.strictEqual(site.requests[0].headers.range, 'bytes=0-');
+  assert.strictEqual(site.requests[0].headers.cookie, undefined);
+});
+
+test('images are queued in their host\'s image bucket', async (t) => {
+  const site = await startStandIn(t, [
+    [/^\/1\.gif$/, { headers: { 'Content-Type': 'image/gif' }, body: GIF }]
+  ]);
+  const schedule = t.mock.method(scheduler, 'schedule');
+
+  await fetchImage(new ImageProvider(), `${site.url}/1.gif`);
+
+  assert.strictEqual(schedule.mock.callCount(), 1);
+  assert.strictEqual(schedule.mock.calls[0].arguments[0], `${site.url}/1.gif`);
+  assert.deepStrictEqual(schedule.mock.calls[0].arguments[2], { bucket: 'images' });
+});
+
+test('a disallowed host is refused without a request', async () => {
+  await assert.rejects(fetchImage(new ImageProvider(), 'http://evil.example/1.gif'), HostNotAllowedError);
+});
+
+test('redirects are followed on allowed hosts and refused off them', async (t) => {
+  const site = await startStandIn(t, [
+    [/^\/moved\.gif$/, { status: 302, headers: { Location: '/1.gif' } }],
+    [/^\/1\.gif$/, { headers: { 'Content-Type': 'image/gif' }, body: GIF }],
+    [/^\/away\.gif$/, req => ({ status: 302, headers: { Location: `http://localhost:${req.socket.localPort}/1.gif` } })]
+  ]);
+  const provider = new ImageProvider();
+
+  const response = await fetchImage(provider, `${site.url}/moved.gif`);
+  assert.deepStrictEqual(await response.buffer(), GIF);
+
+  // localhost is the same server, but not on the allowlist
+  await assert.rejects(fetchImage(provider, `${site.url}/away.gif`), HostNotAllowedError);
+  assert.deepStrictEqual(site.requests.map(request => request.url), ['/moved.gif', '/1.gif', '/away.gif']);
+});
+
+test('error pages and anything but an image are not passed on', async (t) => {
+  const site = await startStandIn(t, [
+    [/^\/challenge\.gif$/, { headers: { 'Content-Type': 'text/html' }, body: '<html>Just a moment...</html>' }],
+    [/^\/missing\.gif$/, { status: 404, headers: { 'Content-Type': 'image/gif' }, body: GIF }]
+  ]);
+  const provider = new ImageProvider();
+
+  await assert.rejects(fetchImage(provider, `${site.url}/challenge.gif`), error => {
+    assert.ok(error instanceof UpstreamError);
+    assert.match(error.message, /200 \(text\/html\)/);
+    return true;
+  });
+  await assert.rejects(fetchImage(provider, `${site.url}/missing.gif`), error => {
+    assert.ok(error instanceof UpstreamError);
+    assert.strictEqual(error.details.status, 404);
+    return true;
+  });
+});
+
+test('proxied page URLs point at /proxy/image', () => {
+  const pages = proxyPages([{ url: 'https://cdn.example.com/1.jpg?a=1', index: 1 }, { img: 'https://cdn.example.com/2.jpg' }], new ImageProvider(), 'http://api.local');
+
+  assert.deepStrictEqual(pages, [
+    { url: 'http://api.local/proxy/image?provider=images&url=https%3A%2F%2Fcdn.example.com%2F1.jpg%3Fa%3D1', index: 1 },
+    { img: 'http://api.local/proxy/image?provider=images&url=https%3A%2F%2Fcdn.example.com%2F2.jpg' }
+  ]);
+});
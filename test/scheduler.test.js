@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Scheduler, RateLimitError, createScheduler, parseRetryAfter } = require('../src/http/scheduler');
+
+const response = (status, headers = {}) => ({
+  status,
+  headers: new Map(Object.entries(headers))
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('requests beyond the bucket wait for tokens', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 2, per: 0.2, concurrency: 5 }) });
+  const startedAt = Date.now();
+  const times = [];
+
+  await Promise.all([1, 2, 3].map(() => scheduler.schedule('https://example.com/a', async () => {
+    times.push(Date.now() - startedAt);
+    return response(200);
+  })));
+
+  assert.ok(times[0] < 50 && times[1] < 50, `first two start at once: ${times}`);
+  assert.ok(times[2] >= 80, `third waits for a token: ${times}`);
+});
+
+test('concurrency is capped per host', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 100, per: 1, concurrency: 2 }) });
+  let active = 0;
+  let peak = 0;
+
+  await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule('https://example.com/a', async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await delay(20);
+    active--;
+    return response(200);
+  })));
+
+  assert.strictEqual(peak, 2);
+});
+
+test('hosts are limited independently', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 1, per: 10, concurrency: 1 }) });
+
+  await scheduler.schedule('https://one.example/a', async () => response(200));
+  const startedAt = Date.now();
+  await scheduler.schedule('https://two.example/a', async () => response(200));
+
+  assert.ok(Date.now() - startedAt < 50);
+});
+
+test('a host\'s images are queued apart from its other requests', async () => {
+  const limitFor = (host, bucket) => ({ requests: 1, per: 10, concurrency: 1, bucket });
+  const scheduler = new Scheduler({ limitFor });
+
+  await scheduler.schedule('https://one.example/a', async () => response(200));
+  const startedAt = Date.now();
+  await scheduler.schedule('https://one.example/1.jpg', async () => response(200), { bucket: 'images' });
+
+  assert.ok(Date.now() - startedAt < 50);
+  assert.deepStrictEqual(Object.keys(scheduler.getStats()), ['one.example', 'one.example (images)']);
+  assert.strictEqual(scheduler.getStats()['one.example (images)'].limit.bucket, 'images');
+});
+
+test('a 429 pauses the host for Retry-After and the request is sent again', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 100, per: 1, concurrency: 2 }), maxWait: 5 });
+  const answers = [response(429, { 'retry-after': '1' }), response(200)];
+  const startedAt = Date.now();
+  let calls = 0;
+
+  const result = await scheduler.schedule('https://example.com/a', async () => answers[calls++]);
+
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(calls, 2);
+  assert.ok(Date.now() - startedAt >= 950);
+  assert.strictEqual(scheduler.getStats()['example.com'].rateLimited, 1);
+});
+
+test('axios errors with a 429 response are treated like a 429 response', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 100, per: 1, concurrency: 2 }), maxRetries: 0 });
+  const error = Object.assign(new Error('Request failed with status code 429'), {
+    response: { status: 429, headers: { 'retry-after': '120' } }
+  });
+
+  await assert.rejects(
+    scheduler.schedule('https://example.com/a', async () => { throw error; }),
+    rejection => rejection instanceof RateLimitError && rejection.retryAfter === 120
+  );
+  assert.ok(scheduler.getStats()['example.com'].pausedUntil);
+});
+
+test('a Retry-After longer than the allowed wait fails fast', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 100, per: 1, concurrency: 2 }), maxWait: 5 });
+  let calls = 0;
+
+  await assert.rejects(
+    scheduler.schedule('https://example.com/a', async () => {
+      calls++;
+      return response(429, { 'retry-after': '60' });
+    }),
+    /Rate limited: example.com answered 429, retry after 60s/
+  );
+  assert.strictEqual(calls, 1);
+});
+
+test('other errors pass through untouched', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 100, per: 1, concurrency: 2 }) });
+
+  await assert.rejects(
+    scheduler.schedule('https://example.com/a', async () => { throw new Error('socket hang up'); }),
+    /^Error: socket hang up$/
+  );
+});
+
+test('requests beyond the queue limit are refused', async () => {
+  const scheduler = new Scheduler({ limitFor: () => ({ requests: 1, per: 0.05, concurrency: 1 }), maxQueue: 2 });
+  const settled = [1, 2, 3, 4].map(() =>
+    scheduler.schedule('https://example.com/a', async () => response(200)).then(() => 'ok', error => error.message)
+  );
+
+  assert.strictEqual(scheduler.getStats()['example.com'].queued, 2);
+  const results = await Promise.all(settled);
+  assert.deepStrictEqual(results.slice(0, 3), ['ok', 'ok', 'ok']);
+  assert.match(results[3], /Rate limited: example.com has 2 requests queued already/);
+});
+
+test('hosts without a limit are not queued', async () => {
+  const scheduler = new Scheduler({ limitFor: () => null });
+
+  const result = await scheduler.schedule('https://example.com/a', async () => response(200));
+
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(scheduler.getStats(), {});
+});
+
+test('Retry-After is read as seconds, an HTTP date or MangaDex\'s reset timestamp', () => {
+  assert.strictEqual(parseRetryAfter(new Map([['retry-after', '30']])), 30);
+
+  const date = new Date(Date.now() + 10000).toUTCString();
+  const seconds = parseRetryAfter(new Map([['retry-after', date]]));
+  assert.ok(seconds >= 9 && seconds <= 11);
+
+  const resetAt = String(Math.floor(Date.now() / 1000) + 5);
+  const reset = parseRetryAfter({ 'x-ratelimit-retry-after': resetAt });
+  assert.ok(reset >= 4 && reset <= 6);
+
+  assert.strictEqual(parseRetryAfter(new Map()), null);
+});
+
+test('limits come from per-host env vars, then RATE_LIMIT_DEFAULT', () => {
+  const scheduler = createScheduler({
+    RATE_LIMIT_GRAPHQL_ANILIST_CO: '30/60',
+    RATE_LIMIT_DEFAULT: '1/2',
+    RATE_LIMIT_DEFAULT_CONCURRENCY: '3',
+    RATE_LIMIT_MANGAPARK_NET_CONCURRENCY: '1',
+    RATE_LIMIT_API_MANGADEX_ORG: 'off'
+  });
+
+  assert.deepStrictEqual(scheduler.limitFor('graphql.anilist.co'), { requests: 30, per: 60, concurrency: 4 });
+  assert.deepStrictEqual(scheduler.limitFor('mangabuddy.com'), { requests: 1, per: 2, concurrency: 3 });
+  assert.deepStrictEqual(scheduler.limitFor('mangapark.net'), { requests: 1, per: 2, concurrency: 1 });
+  assert.strictEqual(scheduler.limitFor('api.mangadex.org'), null);
+});
+
+test('image buckets follow RATE_LIMIT_IMAGES unless their host is turned off', () => {
+  const scheduler = createScheduler({
+    RATE_LIMIT_IMAGES: '20/1',
+    RATE_LIMIT_IMAGES_CONCURRENCY: '6',
+    RATE_LIMIT_DEFAULT: '1/2',
+    RATE_LIMIT_MANGAPARK_NET: 'off'
+  });
+
+  assert.deepStrictEqual(scheduler.limitFor('s1.mpcdn.org', 'images'), { requests: 20, per: 1, concurrency: 6 });
+  assert.strictEqual(scheduler.limitFor('mangapark.net', 'images'), null);
+  assert.deepStrictEqual(createScheduler({}).limitFor('s1.mpcdn.org', 'images'), { requests: 10, per: 1, concurrency: 4 });
+});